@@ -0,0 +1,129 @@
+/* globals __DEV__ */
+
+/**
+ * Options that decide which attributes are read and updated.
+ *
+ * @typedef {Object} AttributeFilterOptions
+ *
+ * @property {(string|RegExp)[]} [exclude] - Attributes to ignore, as well as the default excludes.
+ * @property {function} [filter] - (name, value) => boolean, false to ignore an attribute.
+ * @property {(string|RegExp)[]} [include] - If set, only these attributes are used.
+ */
+
+/**
+ * The default AttributeFilterOptions, used where an option is not
+ * passed to a function.
+ */
+const defaults = {
+  exclude: [
+    'data-jsx-ext',
+    'data-reactid'
+  ],
+  filter: null,
+  include: null
+}
+
+/**
+ * Does an attribute name match any of a list of names or patterns?
+ *
+ * @param {(string|RegExp)[]} list
+ * @param {string} name
+ *
+ * @returns {boolean}
+ *
+ * @example
+ * matches([ 'class', /^data-v-/ ], 'data-v-1a2b3c')
+ */
+const matches = (list, name) => {
+  for (let i = 0, l = list.length; i < l; i++) {
+    const item = list[ i ]
+
+    if (item instanceof RegExp ? item.test(name) : item === name) {
+      return true
+    }
+  }
+
+  return false
+}
+
+/**
+ * Are AttributeFilterOptions valid?
+ *
+ * @param {AttributeFilterOptions} options
+ *
+ * @throws {TypeError} Throws if not valid
+ *
+ * @returns {true}
+ *
+ * @example
+ * validAttributeFilterOptions({ exclude: [ /^data-v-/ ] })
+ */
+const validAttributeFilterOptions = options => {
+  if (__DEV__) {
+    const lists = [ 'exclude', 'include' ]
+
+    for (let i = 0, l = lists.length; i < l; i++) {
+      const v = options[ lists[ i ] ]
+
+      if (v && !Array.isArray(v)) {
+        throw new TypeError(`${lists[ i ]} option must be of type array`)
+      }
+    }
+
+    if (options.filter && typeof options.filter !== 'function') {
+      throw new TypeError(`filter option must be of type function`)
+    }
+  }
+
+  return true
+}
+
+/**
+ * Creates a function that decides if an attribute should be used.
+ * The exclude option is added to the configured default excludes.
+ * Other options that are not passed fall back to the configured
+ * defaults.
+ *
+ * @param {AttributeFilterOptions} options
+ *
+ * @returns {function} (name, value) => boolean
+ *
+ * @example
+ * attributeFilter({ exclude: [ /^data-v-/ ] })('data-v-1a2b3c', '')
+ */
+const attributeFilter = options => {
+  if (validAttributeFilterOptions(options)) {
+    const option = k => typeof options[ k ] === 'undefined' ? defaults[ k ] : options[ k ]
+    const exclude = [ ...(defaults.exclude || []), ...(options.exclude || []) ]
+    const filter = option('filter')
+    const include = option('include')
+
+    return (name, value) => (
+      (!include || matches(include, name)) &&
+      !matches(exclude, name) &&
+      (!filter || Boolean(filter(name, value)))
+    )
+  }
+}
+
+/**
+ * Sets the default AttributeFilterOptions.
+ *
+ * @param {AttributeFilterOptions} options
+ *
+ * @example
+ * configure({ exclude: [ 'data-reactid', /^data-v-/ ] })
+ */
+const configure = options => {
+  if (validAttributeFilterOptions(options)) {
+    const keys = Object.keys(defaults)
+
+    for (let i = 0, l = keys.length; i < l; i++) {
+      if (typeof options[ keys[ i ] ] !== 'undefined') {
+        defaults[ keys[ i ] ] = options[ keys[ i ] ]
+      }
+    }
+  }
+}
+
+export { attributeFilter, configure }
@@ -0,0 +1,607 @@
+/**
+ * A colour as red, green, blue (0 to 255) and alpha (0 to 1) values.
+ *
+ * @typedef {number[]} Color
+ */
+
+/**
+ * The values used to resolve relative lengths.
+ *
+ * @typedef {Object} LengthContext
+ *
+ * @property {number} fontSize - The font size of the Node, in px.
+ * @property {Object} [viewport] - The width and height of the nearest viewport, in px.
+ */
+
+/**
+ * Attributes that are colours.
+ */
+const colorAttributes = [
+  'color',
+  'fill',
+  'flood-color',
+  'lighting-color',
+  'stop-color',
+  'stroke'
+]
+
+/**
+ * Attributes that are lengths.
+ */
+const lengthAttributes = [
+  'stroke-dashoffset',
+  'stroke-width'
+]
+
+/**
+ * Attributes that are numbers.
+ */
+const numberAttributes = [
+  'fill-opacity',
+  'flood-opacity',
+  'offset',
+  'opacity',
+  'stop-opacity',
+  'stroke-miterlimit',
+  'stroke-opacity'
+]
+
+/**
+ * The axis that percentages of each core prop are relative to.
+ */
+const lengthAxes = {
+  cx: 'x',
+  cy: 'y',
+  height: 'y',
+  r: 'xy',
+  rx: 'x',
+  ry: 'y',
+  width: 'x',
+  x: 'x',
+  x1: 'x',
+  x2: 'x',
+  y: 'y',
+  y1: 'y',
+  y2: 'y'
+}
+
+/**
+ * The number of px in each absolute unit.
+ */
+const absoluteUnits = {
+  cm: 96 / 2.54,
+  in: 96,
+  mm: 96 / 25.4,
+  pc: 16,
+  pt: 4 / 3,
+  px: 1
+}
+
+/**
+ * CSS named colours.
+ */
+const namedColors = {
+  aliceblue: '#f0f8ff',
+  antiquewhite: '#faebd7',
+  aqua: '#00ffff',
+  aquamarine: '#7fffd4',
+  azure: '#f0ffff',
+  beige: '#f5f5dc',
+  bisque: '#ffe4c4',
+  black: '#000000',
+  blanchedalmond: '#ffebcd',
+  blue: '#0000ff',
+  blueviolet: '#8a2be2',
+  brown: '#a52a2a',
+  burlywood: '#deb887',
+  cadetblue: '#5f9ea0',
+  chartreuse: '#7fff00',
+  chocolate: '#d2691e',
+  coral: '#ff7f50',
+  cornflowerblue: '#6495ed',
+  cornsilk: '#fff8dc',
+  crimson: '#dc143c',
+  cyan: '#00ffff',
+  darkblue: '#00008b',
+  darkcyan: '#008b8b',
+  darkgoldenrod: '#b8860b',
+  darkgray: '#a9a9a9',
+  darkgreen: '#006400',
+  darkgrey: '#a9a9a9',
+  darkkhaki: '#bdb76b',
+  darkmagenta: '#8b008b',
+  darkolivegreen: '#556b2f',
+  darkorange: '#ff8c00',
+  darkorchid: '#9932cc',
+  darkred: '#8b0000',
+  darksalmon: '#e9967a',
+  darkseagreen: '#8fbc8f',
+  darkslateblue: '#483d8b',
+  darkslategray: '#2f4f4f',
+  darkslategrey: '#2f4f4f',
+  darkturquoise: '#00ced1',
+  darkviolet: '#9400d3',
+  deeppink: '#ff1493',
+  deepskyblue: '#00bfff',
+  dimgray: '#696969',
+  dimgrey: '#696969',
+  dodgerblue: '#1e90ff',
+  firebrick: '#b22222',
+  floralwhite: '#fffaf0',
+  forestgreen: '#228b22',
+  fuchsia: '#ff00ff',
+  gainsboro: '#dcdcdc',
+  ghostwhite: '#f8f8ff',
+  gold: '#ffd700',
+  goldenrod: '#daa520',
+  gray: '#808080',
+  green: '#008000',
+  greenyellow: '#adff2f',
+  grey: '#808080',
+  honeydew: '#f0fff0',
+  hotpink: '#ff69b4',
+  indianred: '#cd5c5c',
+  indigo: '#4b0082',
+  ivory: '#fffff0',
+  khaki: '#f0e68c',
+  lavender: '#e6e6fa',
+  lavenderblush: '#fff0f5',
+  lawngreen: '#7cfc00',
+  lemonchiffon: '#fffacd',
+  lightblue: '#add8e6',
+  lightcoral: '#f08080',
+  lightcyan: '#e0ffff',
+  lightgoldenrodyellow: '#fafad2',
+  lightgray: '#d3d3d3',
+  lightgreen: '#90ee90',
+  lightgrey: '#d3d3d3',
+  lightpink: '#ffb6c1',
+  lightsalmon: '#ffa07a',
+  lightseagreen: '#20b2aa',
+  lightskyblue: '#87cefa',
+  lightslategray: '#778899',
+  lightslategrey: '#778899',
+  lightsteelblue: '#b0c4de',
+  lightyellow: '#ffffe0',
+  lime: '#00ff00',
+  limegreen: '#32cd32',
+  linen: '#faf0e6',
+  magenta: '#ff00ff',
+  maroon: '#800000',
+  mediumaquamarine: '#66cdaa',
+  mediumblue: '#0000cd',
+  mediumorchid: '#ba55d3',
+  mediumpurple: '#9370db',
+  mediumseagreen: '#3cb371',
+  mediumslateblue: '#7b68ee',
+  mediumspringgreen: '#00fa9a',
+  mediumturquoise: '#48d1cc',
+  mediumvioletred: '#c71585',
+  midnightblue: '#191970',
+  mintcream: '#f5fffa',
+  mistyrose: '#ffe4e1',
+  moccasin: '#ffe4b5',
+  navajowhite: '#ffdead',
+  navy: '#000080',
+  oldlace: '#fdf5e6',
+  olive: '#808000',
+  olivedrab: '#6b8e23',
+  orange: '#ffa500',
+  orangered: '#ff4500',
+  orchid: '#da70d6',
+  palegoldenrod: '#eee8aa',
+  palegreen: '#98fb98',
+  paleturquoise: '#afeeee',
+  palevioletred: '#db7093',
+  papayawhip: '#ffefd5',
+  peru: '#cd853f',
+  pink: '#ffc0cb',
+  plum: '#dda0dd',
+  powderblue: '#b0e0e6',
+  purple: '#800080',
+  rebeccapurple: '#663399',
+  red: '#ff0000',
+  rosybrown: '#bc8f8f',
+  royalblue: '#4169e1',
+  saddlebrown: '#8b4513',
+  salmon: '#fa8072',
+  sandybrown: '#f4a460',
+  seagreen: '#2e8b57',
+  seashell: '#fff5ee',
+  sienna: '#a0522d',
+  silver: '#c0c0c0',
+  skyblue: '#87ceeb',
+  slateblue: '#6a5acd',
+  slategray: '#708090',
+  slategrey: '#708090',
+  snow: '#fffafa',
+  springgreen: '#00ff7f',
+  steelblue: '#4682b4',
+  tan: '#d2b48c',
+  teal: '#008080',
+  thistle: '#d8bfd8',
+  tomato: '#ff6347',
+  turquoise: '#40e0d0',
+  violet: '#ee82ee',
+  wheat: '#f5deb3',
+  white: '#ffffff',
+  whitesmoke: '#f5f5f5',
+  yellow: '#ffff00',
+  yellowgreen: '#9acd32'
+}
+
+/**
+ * Matches a length with an optional unit.
+ */
+const lengthPattern = /^\s*([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)\s*(px|em|ex|%|in|cm|mm|pt|pc)?\s*$/i
+
+/**
+ * Matches a colour function.
+ */
+const colorFunctionPattern = /^\s*(rgba?|hsla?)\(\s*([^)]*)\)\s*$/i
+
+/**
+ * The default font size, in px.
+ */
+const defaultFontSize = 16
+
+/**
+ * Limits a number to a range.
+ *
+ * @param {number} n
+ * @param {number} min
+ * @param {number} max
+ *
+ * @returns {number}
+ *
+ * @example
+ * clamp(300, 0, 255)
+ */
+const clamp = (n, min, max) => Math.min(Math.max(n, min), max)
+
+/**
+ * Parses a length into px.
+ *
+ * @param {string} value
+ * @param {string} axis - The viewport axis that percentages are relative to: x, y or xy.
+ * @param {LengthContext} lengthContext
+ *
+ * @returns {(number|string)} The length in px, or value if it could not be parsed.
+ *
+ * @example
+ * parseLength('50%', 'x', { fontSize: 16, viewport: { width: 100, height: 100 } })
+ */
+const parseLength = (value, axis, lengthContext) => {
+  const n = Number(value)
+
+  if (!Number.isNaN(n)) {
+    return n
+  }
+
+  const match = lengthPattern.exec(value)
+
+  if (!match) {
+    return value
+  }
+
+  const length = parseFloat(match[ 1 ])
+  const unit = (match[ 2 ] || 'px').toLowerCase()
+  const viewport = lengthContext.viewport
+
+  switch (unit) {
+    case 'em':
+      return length * lengthContext.fontSize
+
+    case 'ex':
+      return length * lengthContext.fontSize / 2
+
+    case '%':
+      if (!viewport) {
+        return value
+      }
+
+      const size = axis === 'x'
+        ? viewport.width
+        : axis === 'y'
+          ? viewport.height
+          : Math.sqrt((viewport.width * viewport.width + viewport.height * viewport.height) / 2)
+
+      return length * size / 100
+
+    default:
+      return length * absoluteUnits[ unit ]
+  }
+}
+
+/**
+ * Parses a hex colour.
+ *
+ * @param {string} hex - Without the leading #.
+ *
+ * @returns {(Color|null)}
+ *
+ * @example
+ * parseHex('ff0000')
+ */
+const parseHex = hex => {
+  if (!/^([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(hex)) {
+    return null
+  }
+
+  const short = hex.length < 6
+  const size = short ? 1 : 2
+  const channels = []
+
+  for (let i = 0; i < hex.length; i += size) {
+    const v = hex.substr(i, size)
+    channels.push(parseInt(short ? v + v : v, 16))
+  }
+
+  return [
+    channels[ 0 ],
+    channels[ 1 ],
+    channels[ 2 ],
+    channels.length === 4 ? channels[ 3 ] / 255 : 1
+  ]
+}
+
+/**
+ * Converts a hue to a red, green or blue value.
+ *
+ * @param {number} p
+ * @param {number} q
+ * @param {number} t
+ *
+ * @returns {number}
+ *
+ * @example
+ * hueToRgb(p, q, h + 1 / 3)
+ */
+const hueToRgb = (p, q, t) => {
+  const h = t < 0 ? t + 1 : t > 1 ? t - 1 : t
+
+  if (h < 1 / 6) {
+    return p + (q - p) * 6 * h
+  }
+
+  if (h < 1 / 2) {
+    return q
+  }
+
+  if (h < 2 / 3) {
+    return p + (q - p) * (2 / 3 - h) * 6
+  }
+
+  return p
+}
+
+/**
+ * Parses a colour function.
+ *
+ * @param {string} name - rgb, rgba, hsl or hsla.
+ * @param {string} args
+ *
+ * @returns {(Color|null)}
+ *
+ * @example
+ * parseColorFunction('rgb', '255, 0, 0')
+ */
+const parseColorFunction = (name, args) => {
+  const parts = args.split(/\s*[,/]\s*|\s+/)
+
+  if (parts.length < 3 || parts.length > 4) {
+    return null
+  }
+
+  const values = parts.map(parseFloat)
+
+  if (values.some(v => Number.isNaN(v))) {
+    return null
+  }
+
+  const percent = i => parts[ i ].slice(-1) === '%'
+  const alpha = parts.length === 4 ? clamp(percent(3) ? values[ 3 ] / 100 : values[ 3 ], 0, 1) : 1
+
+  if (name.toLowerCase().indexOf('rgb') === 0) {
+    const channel = i => clamp(percent(i) ? values[ i ] * 255 / 100 : values[ i ], 0, 255)
+    return [ channel(0), channel(1), channel(2), alpha ]
+  }
+
+  const h = (((values[ 0 ] % 360) + 360) % 360) / 360
+  const s = clamp(values[ 1 ], 0, 100) / 100
+  const l = clamp(values[ 2 ], 0, 100) / 100
+
+  if (s === 0) {
+    return [ l * 255, l * 255, l * 255, alpha ]
+  }
+
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s
+  const p = 2 * l - q
+
+  return [
+    hueToRgb(p, q, h + 1 / 3) * 255,
+    hueToRgb(p, q, h) * 255,
+    hueToRgb(p, q, h - 1 / 3) * 255,
+    alpha
+  ]
+}
+
+/**
+ * Parses a colour.
+ *
+ * @param {string} value
+ *
+ * @returns {(Color|string)} The Color, or value if it is not a colour (for example none or a url).
+ *
+ * @example
+ * parseColor('hsl(120, 100%, 50%)')
+ */
+const parseColor = value => {
+  if (typeof value !== 'string') {
+    return value
+  }
+
+  const v = value.trim()
+  const lower = v.toLowerCase()
+
+  if (lower === 'transparent') {
+    return [ 0, 0, 0, 0 ]
+  }
+
+  if (namedColors.hasOwnProperty(lower)) {
+    return parseHex(namedColors[ lower ].slice(1))
+  }
+
+  if (v[ 0 ] === '#') {
+    return parseHex(v.slice(1)) || value
+  }
+
+  const match = colorFunctionPattern.exec(v)
+
+  return (match && parseColorFunction(match[ 1 ], match[ 2 ])) || value
+}
+
+/**
+ * Parses a font-size into px. Percentages, em and ex are relative to
+ * the font size of the parent.
+ *
+ * @param {string} value
+ * @param {LengthContext} parentLengthContext
+ *
+ * @returns {(number|string)} The font size in px, or value if it could not be parsed.
+ *
+ * @example
+ * parseFontSize('150%', parentLengthContext)
+ */
+const parseFontSize = (value, parentLengthContext) => {
+  const match = lengthPattern.exec(value)
+
+  return match && match[ 2 ] === '%'
+    ? parseFloat(match[ 1 ]) * parentLengthContext.fontSize / 100
+    : parseLength(value, 'xy', parentLengthContext)
+}
+
+/**
+ * Parses the typed presentation attributes of an attributes object.
+ * Colours become Colors, and numbers and lengths become numbers.
+ *
+ * @param {Object} attributes
+ * @param {LengthContext} lengthContext - The LengthContext of the Node, as created by nodeLengthContext.
+ *
+ * @returns {Object}
+ *
+ * @example
+ * normaliseAttributes({ fill: 'red', 'stroke-width': '2px' }, lengthContext)
+ */
+const normaliseAttributes = (attributes, lengthContext) => {
+  const result = {}
+
+  for (let k in attributes) {
+    const v = attributes[ k ]
+
+    if (colorAttributes.indexOf(k) !== -1) {
+      result[ k ] = parseColor(v)
+    } else if (k === 'font-size') {
+      // Already resolved against the parent font size by nodeLengthContext
+      result[ k ] = typeof parseFontSize(v, lengthContext) === 'number' ? lengthContext.fontSize : v
+    } else if (lengthAttributes.indexOf(k) !== -1) {
+      result[ k ] = parseLength(v, 'xy', lengthContext)
+    } else if (numberAttributes.indexOf(k) !== -1) {
+      const n = Number(v)
+      result[ k ] = Number.isNaN(n) || v === '' ? v : n
+    } else {
+      result[ k ] = v
+    }
+  }
+
+  return result
+}
+
+/**
+ * The LengthContext for the children of a Node.
+ *
+ * @param {string} type - The nodeName of the Node.
+ * @param {Object} attributes - The attributes of the Node.
+ * @param {LengthContext} lengthContext - The LengthContext of the Node.
+ *
+ * @returns {LengthContext}
+ *
+ * @example
+ * childLengthContext('svg', { viewBox: '0 0 100 100' }, lengthContext)
+ */
+const childLengthContext = (type, attributes, lengthContext) => {
+  let viewport = lengthContext.viewport
+
+  if (type === 'svg') {
+    const viewBox = (attributes.viewBox || '').trim().split(/[\s,]+/).map(parseFloat)
+
+    if (viewBox.length === 4 && viewBox.every(n => !Number.isNaN(n))) {
+      viewport = { width: viewBox[ 2 ], height: viewBox[ 3 ] }
+    } else {
+      const width = parseLength(attributes.width, 'x', lengthContext)
+      const height = parseLength(attributes.height, 'y', lengthContext)
+
+      if (typeof width === 'number' && typeof height === 'number') {
+        viewport = { width, height }
+      }
+    }
+  }
+
+  return { fontSize: lengthContext.fontSize, viewport }
+}
+
+/**
+ * The LengthContext of a Node, given the LengthContext of its parent.
+ *
+ * @param {Object} attributes - The attributes of the Node.
+ * @param {LengthContext} parentLengthContext
+ *
+ * @returns {LengthContext}
+ *
+ * @example
+ * nodeLengthContext({ 'font-size': '2em' }, parentLengthContext)
+ */
+const nodeLengthContext = (attributes, parentLengthContext) => {
+  const fontSize = typeof attributes[ 'font-size' ] === 'undefined'
+    ? parentLengthContext.fontSize
+    : parseFontSize(attributes[ 'font-size' ], parentLengthContext)
+
+  return {
+    fontSize: typeof fontSize === 'number' ? fontSize : parentLengthContext.fontSize,
+    viewport: parentLengthContext.viewport
+  }
+}
+
+/**
+ * Converts an attribute value to the form written to a Node.
+ *
+ * @param {*} value
+ *
+ * @returns {*}
+ *
+ * @example
+ * attributeValue([ 255, 0, 0, 1 ])
+ */
+const attributeValue = value => {
+  if (!Array.isArray(value)) {
+    return value
+  }
+
+  const rgb = `${Math.round(value[ 0 ])},${Math.round(value[ 1 ])},${Math.round(value[ 2 ])}`
+
+  return value[ 3 ] === 1 ? `rgb(${rgb})` : `rgba(${rgb},${value[ 3 ]})`
+}
+
+export {
+  attributeValue,
+  childLengthContext,
+  colorAttributes,
+  defaultFontSize,
+  lengthAttributes,
+  lengthAxes,
+  nodeLengthContext,
+  normaliseAttributes,
+  numberAttributes,
+  parseColor,
+  parseLength
+}
@@ -0,0 +1,140 @@
+import { attributeValue } from './attributeValue'
+import { pathData } from './simplify'
+
+/**
+ * A change between two FrameShapes, as found by frameShapeChanges.
+ *
+ * @typedef {Object} Change
+ *
+ * @property {string[]} [attributes] - The names of the changed attributes, if type is attributes.
+ * @property {string} path - The location of the changed FrameShape, for example childFrameShapes[2]. Empty for the FrameShape itself.
+ * @property {string} type - One of attributes, points, childFrameShapes, passthrough or defs.
+ */
+
+/**
+ * The path of a child FrameShape.
+ *
+ * @param {string} path - The path of the group FrameShape.
+ * @param {number} index
+ *
+ * @returns {string}
+ *
+ * @example
+ * childPath('childFrameShapes[0]', 2)
+ */
+const childPath = (path, index) => path
+  ? `${path}.childFrameShapes[${index}]`
+  : `childFrameShapes[${index}]`
+
+/**
+ * The names of attributes that differ between two attributes objects.
+ *
+ * @param {Object} current
+ * @param {Object} next
+ *
+ * @returns {string[]}
+ *
+ * @example
+ * changedAttributes({ fill: 'red' }, { fill: 'blue' })
+ */
+const changedAttributes = (current, next) => {
+  const names = Object.keys({ ...current, ...next }).sort()
+  const result = []
+
+  for (let i = 0, l = names.length; i < l; i++) {
+    const k = names[ i ]
+
+    const currentValue = current.hasOwnProperty(k) ? String(attributeValue(current[ k ])) : null
+    const nextValue = next.hasOwnProperty(k) ? String(attributeValue(next[ k ])) : null
+
+    if (currentValue !== nextValue) {
+      result.push(k)
+    }
+  }
+
+  return result
+}
+
+/**
+ * Do two Points draw the same path? Points are compared by reference
+ * before their path data.
+ *
+ * @param {Points} current
+ * @param {Points} next
+ *
+ * @returns {boolean}
+ *
+ * @example
+ * samePoints(current.points, next.points)
+ */
+const samePoints = (current, next) => current === next || pathData(current) === pathData(next)
+
+/**
+ * Adds the Changes between two FrameShapes, and their children, to
+ * an array. When the children of a group are added, removed or change
+ * between shape and group, a single childFrameShapes Change is added
+ * for the group.
+ *
+ * @param {FrameShape} current
+ * @param {FrameShape} next
+ * @param {string} path
+ * @param {Change[]} changes
+ *
+ * @example
+ * addChanges(current, next, '', changes)
+ */
+const addChanges = (current, next, path, changes) => {
+  const attributes = changedAttributes(current.attributes, next.attributes)
+
+  if (attributes.length) {
+    changes.push({ attributes, path, type: 'attributes' })
+  }
+
+  if (current.points && next.points) {
+    if (!samePoints(current.points, next.points)) {
+      changes.push({ path, type: 'points' })
+    }
+
+    return
+  }
+
+  const currentChildren = current.childFrameShapes
+  const nextChildren = next.childFrameShapes
+
+  if (!currentChildren || !nextChildren || currentChildren.length !== nextChildren.length) {
+    changes.push({ path, type: 'childFrameShapes' })
+  } else {
+    for (let i = 0, l = nextChildren.length; i < l; i++) {
+      addChanges(currentChildren[ i ], nextChildren[ i ], childPath(path, i), changes)
+    }
+  }
+
+  if (JSON.stringify(current.passthrough) !== JSON.stringify(next.passthrough)) {
+    changes.push({ path, type: 'passthrough' })
+  }
+
+  if (JSON.stringify(current.defs) !== JSON.stringify(next.defs)) {
+    changes.push({ path, type: 'defs' })
+  }
+}
+
+/**
+ * Finds the Changes between two FrameShapes.
+ *
+ * @param {FrameShape} current
+ * @param {FrameShape} next
+ *
+ * @returns {Change[]} Empty if the FrameShapes are the same.
+ *
+ * @example
+ * frameShapeChanges(previous, frameShape)
+ */
+const frameShapeChanges = (current, next) => {
+  const changes = []
+
+  addChanges(current, next, '', changes)
+
+  return changes
+}
+
+export { frameShapeChanges }
@@ -0,0 +1,126 @@
+import { boundingBox } from './geometry'
+
+/**
+ * Do two BoundingBoxes overlap? Boxes that only touch do not.
+ *
+ * @param {BoundingBox} a
+ * @param {BoundingBox} b
+ *
+ * @returns {boolean}
+ *
+ * @example
+ * overlaps({ x: 0, y: 0, width: 10, height: 10 }, { x: 5, y: 5, width: 10, height: 10 })
+ */
+const overlaps = (a, b) => a.x < b.x + b.width &&
+  b.x < a.x + a.width &&
+  a.y < b.y + b.height &&
+  b.y < a.y + a.height
+
+/**
+ * Do the bounding boxes of any of the subpaths overlap? If so, they
+ * may nest, as the hole of a donut does, and drawing them as separate
+ * shapes would lose the effect of fill-rule.
+ *
+ * @param {Points[]} subpaths
+ *
+ * @returns {boolean}
+ *
+ * @example
+ * subpathsOverlap(splitPoints(frameShape.points))
+ */
+const subpathsOverlap = subpaths => {
+  const boxes = subpaths.map(points => boundingBox({ attributes: {}, points }))
+
+  for (let i = 0, l = boxes.length; i < l; i++) {
+    for (let j = i + 1; j < l; j++) {
+      if (overlaps(boxes[ i ], boxes[ j ])) {
+        return true
+      }
+    }
+  }
+
+  return false
+}
+
+/**
+ * Splits Points into the Points of each subpath.
+ *
+ * @param {Points} points
+ *
+ * @returns {Points[]}
+ *
+ * @example
+ * splitPoints(frameShape.points)
+ */
+const splitPoints = points => {
+  const result = []
+
+  for (let i = 0, l = points.length; i < l; i++) {
+    const point = points[ i ]
+
+    if (point.moveTo || !result.length) {
+      result.push([])
+    }
+
+    result[ result.length - 1 ].push(point)
+  }
+
+  return result
+}
+
+/**
+ * Splits a shape FrameShape with more than one subpath into a compound
+ * group FrameShape, with a child FrameShape for each subpath. The
+ * attributes stay on the group. FrameShapes with subpaths that overlap
+ * are returned as they are, so that holes are not filled.
+ *
+ * @param {FrameShape} frameShp
+ *
+ * @returns {FrameShape}
+ *
+ * @example
+ * splitFrameShape({ attributes: { 'fill-rule': 'evenodd' }, points })
+ */
+const splitFrameShape = frameShp => {
+  const subpaths = splitPoints(frameShp.points)
+
+  if (subpaths.length < 2 || subpathsOverlap(subpaths)) {
+    return frameShp
+  }
+
+  return {
+    attributes: frameShp.attributes,
+    childFrameShapes: subpaths.map(points => ({ attributes: {}, points })),
+    compound: true
+  }
+}
+
+/**
+ * Merges a compound group FrameShape back into a shape FrameShape with
+ * a subpath for each child. Groups that are not compound, or have
+ * group children, are returned as they are.
+ *
+ * @param {FrameShape} frameShp
+ *
+ * @returns {FrameShape}
+ *
+ * @example
+ * mergeFrameShape(compoundFrameShape)
+ */
+const mergeFrameShape = frameShp => {
+  const childFrameShapes = frameShp.childFrameShapes
+
+  if (!frameShp.compound || !childFrameShapes || childFrameShapes.some(f => !f.points)) {
+    return frameShp
+  }
+
+  const points = []
+
+  for (let i = 0, l = childFrameShapes.length; i < l; i++) {
+    points.push(...childFrameShapes[ i ].points)
+  }
+
+  return { attributes: frameShp.attributes, points }
+}
+
+export { mergeFrameShape, splitFrameShape }
@@ -0,0 +1,402 @@
+import { toPath } from 'svg-points'
+import { attributeValue, parseColor } from './attributeValue'
+import { primitive, primitiveAttributes } from './primitive'
+import { parseStyle } from './style'
+
+/**
+ * A clip path, mask or gradient referenced by a FrameShape.
+ *
+ * @typedef {Object} Def
+ *
+ * @property {Object} attributes - The attributes of the element, without its id.
+ * @property {FrameShape[]} [childFrameShapes] - The content of a clipPath or mask.
+ * @property {GradientStop[]} [stops] - The stops of a linearGradient or radialGradient.
+ * @property {string} type - The nodeName of the element.
+ */
+
+/**
+ * A gradient stop.
+ *
+ * @typedef {Object} GradientStop
+ *
+ * @property {(Color|string)} color - Including the stop-opacity.
+ * @property {number} offset - Between 0 and 1.
+ */
+
+/**
+ * Node types that can be read as a Def.
+ */
+const defNodeTypes = [ 'clipPath', 'linearGradient', 'mask', 'radialGradient' ]
+
+/**
+ * Node types of gradients.
+ */
+const gradientNodeTypes = [ 'linearGradient', 'radialGradient' ]
+
+/**
+ * Matches a url reference to an id.
+ */
+const urlPattern = /url\(\s*['"]?#([^'")\s]+)['"]?\s*\)/g
+
+/**
+ * A hash of a string, in base 36.
+ *
+ * @param {string} str
+ *
+ * @returns {string}
+ *
+ * @example
+ * hash(JSON.stringify(defs))
+ */
+const hash = str => {
+  let h = 5381
+
+  for (let i = 0, l = str.length; i < l; i++) {
+    h = (h * 33 + str.charCodeAt(i)) | 0
+  }
+
+  return (h >>> 0).toString(36)
+}
+
+/**
+ * Creates the prefix of the ids of rendered Defs. Unless an idPrefix
+ * option is passed, it is a hash of the Defs, so the same Defs are
+ * always rendered with the same ids.
+ *
+ * @param {Object} defs - Ids to Defs.
+ * @param {Object} options - The options passed to the public function.
+ * @param {string} [options.idPrefix]
+ *
+ * @returns {string}
+ *
+ * @example
+ * defsPrefix(frameShape.defs, options)
+ */
+const defsPrefix = (defs, options) => options.idPrefix || `wilderness-${hash(JSON.stringify(defs))}`
+
+/**
+ * The id of a rendered Def.
+ *
+ * @param {string} id - The id the Def was read with.
+ * @param {string} prefix
+ *
+ * @returns {string}
+ *
+ * @example
+ * defId('grad', 'wilderness-1x2y3z')
+ */
+const defId = (id, prefix) => `${prefix}-${id}`
+
+/**
+ * Is a node name one of the types that can be read as a Def?
+ *
+ * @param {string} nodeName
+ *
+ * @returns {boolean}
+ *
+ * @example
+ * defNodeType('clipPath')
+ */
+const defNodeType = nodeName => defNodeTypes.indexOf(nodeName) !== -1
+
+/**
+ * Is a node name that of a gradient?
+ *
+ * @param {string} nodeName
+ *
+ * @returns {boolean}
+ *
+ * @example
+ * gradientNodeType('linearGradient')
+ */
+const gradientNodeType = nodeName => gradientNodeTypes.indexOf(nodeName) !== -1
+
+/**
+ * Creates a GradientStop from the attributes of a stop element.
+ *
+ * @param {Object} attributes
+ *
+ * @returns {GradientStop}
+ *
+ * @example
+ * gradientStop({ offset: '50%', 'stop-color': 'red', 'stop-opacity': '0.5' })
+ */
+const gradientStop = attributes => {
+  const style = parseStyle(attributes.style)
+  const offset = String(attributes.offset || '0').trim()
+  const value = offset.slice(-1) === '%' ? parseFloat(offset) / 100 : parseFloat(offset)
+  const opacity = parseFloat(style[ 'stop-opacity' ] || attributes[ 'stop-opacity' ])
+
+  let color = parseColor(style[ 'stop-color' ] || attributes[ 'stop-color' ] || 'black')
+
+  if (Array.isArray(color) && !Number.isNaN(opacity)) {
+    color = [ color[ 0 ], color[ 1 ], color[ 2 ], color[ 3 ] * Math.min(Math.max(opacity, 0), 1) ]
+  }
+
+  return {
+    color,
+    offset: Number.isNaN(value) ? 0 : Math.min(Math.max(value, 0), 1)
+  }
+}
+
+/**
+ * The ids referenced by url in the attributes of a FrameShape, its
+ * children, or a Def.
+ *
+ * @param {(FrameShape|Def)} frameShp
+ *
+ * @returns {string[]}
+ *
+ * @example
+ * referencedIds({ attributes: { fill: 'url(#grad)' }, points })
+ */
+const referencedIds = frameShp => {
+  const ids = []
+
+  const collect = f => {
+    for (let k in f.attributes) {
+      const v = f.attributes[ k ]
+
+      if (typeof v === 'string') {
+        urlPattern.lastIndex = 0
+
+        let match
+
+        while ((match = urlPattern.exec(v))) {
+          if (ids.indexOf(match[ 1 ]) === -1) {
+            ids.push(match[ 1 ])
+          }
+        }
+      }
+    }
+
+    if (f.childFrameShapes) {
+      for (let i = 0, l = f.childFrameShapes.length; i < l; i++) {
+        collect(f.childFrameShapes[ i ])
+      }
+    }
+  }
+
+  collect(frameShp)
+
+  return ids
+}
+
+/**
+ * Replaces url references to Defs with the ids of the rendered Defs.
+ *
+ * @param {Object} attributes
+ * @param {Object} defs
+ * @param {string} prefix
+ *
+ * @returns {Object}
+ *
+ * @example
+ * referenceAttributes({ fill: 'url(#grad)' }, defs, 'wilderness-1x2y3z')
+ */
+const referenceAttributes = (attributes, defs, prefix) => {
+  const result = {}
+
+  for (let k in attributes) {
+    const v = attributes[ k ]
+
+    result[ k ] = typeof v === 'string'
+      ? v.replace(urlPattern, (match, id) => defs.hasOwnProperty(id) ? `url(#${defId(id, prefix)})` : match)
+      : v
+  }
+
+  return result
+}
+
+/**
+ * Converts attribute values to the strings that are written.
+ *
+ * @param {Object} attributes
+ *
+ * @returns {Object}
+ *
+ * @example
+ * stringAttributes({ fill: [ 255, 0, 0, 1 ], opacity: 0.5 })
+ */
+const stringAttributes = attributes => {
+  const result = {}
+
+  for (let k in attributes) {
+    result[ k ] = String(attributeValue(attributes[ k ]))
+  }
+
+  return result
+}
+
+/**
+ * Replaces url references to Defs, throughout a FrameShape and its
+ * children, with the ids of the rendered Defs. The defs property is
+ * removed.
+ *
+ * @param {FrameShape} frameShp
+ * @param {Object} defs
+ * @param {string} prefix
+ *
+ * @returns {FrameShape}
+ *
+ * @example
+ * withDefIds(frameShape, frameShape.defs, 'wilderness-1x2y3z')
+ */
+const withDefIds = (frameShp, defs, prefix) => {
+  const result = { ...frameShp, attributes: referenceAttributes(frameShp.attributes, defs, prefix) }
+
+  delete result.defs
+
+  if (frameShp.childFrameShapes) {
+    result.childFrameShapes = frameShp.childFrameShapes.map(f => withDefIds(f, defs, prefix))
+  }
+
+  return result
+}
+
+/**
+ * Creates a PassthroughNode from a FrameShape, with the same element
+ * structure that the node function would create.
+ *
+ * @param {FrameShape} frameShp
+ *
+ * @returns {PassthroughNode}
+ *
+ * @example
+ * frameShapePassthroughNode(frameShape)
+ */
+const frameShapePassthroughNode = frameShp => {
+  const attributes = stringAttributes(frameShp.attributes)
+
+  if (frameShp.childFrameShapes) {
+    return {
+      type: 'g',
+      attributes,
+      childNodes: frameShp.childFrameShapes.map(frameShapePassthroughNode)
+    }
+  }
+
+  const shape = primitive(frameShp)
+
+  return shape
+    ? { type: shape.type, attributes: { ...stringAttributes(primitiveAttributes(shape)), ...attributes }, childNodes: [] }
+    : { type: 'path', attributes: { d: toPath(frameShp.points), ...attributes }, childNodes: [] }
+}
+
+/**
+ * Creates the PassthroughNode of the defs element that Defs are
+ * rendered to.
+ *
+ * @param {Object} defs - Ids to Defs.
+ * @param {string} prefix
+ *
+ * @returns {PassthroughNode}
+ *
+ * @example
+ * defsNode(frameShape.defs, 'wilderness-1x2y3z')
+ */
+const defsNode = (defs, prefix) => {
+  const childNodes = []
+
+  for (let id in defs) {
+    const def = defs[ id ]
+
+    const attributes = {
+      id: defId(id, prefix),
+      ...stringAttributes(referenceAttributes(def.attributes, defs, prefix))
+    }
+
+    const children = def.stops
+      ? def.stops.map(stop => ({
+        type: 'stop',
+        attributes: { offset: String(stop.offset), 'stop-color': String(attributeValue(stop.color)) },
+        childNodes: []
+      }))
+      : def.childFrameShapes.map(f => frameShapePassthroughNode(withDefIds(f, defs, prefix)))
+
+    childNodes.push({ type: def.type, attributes, childNodes: children })
+  }
+
+  return { type: 'defs', attributes: { 'data-defs': prefix }, childNodes }
+}
+
+/**
+ * Prepares a FrameShape with Defs to be rendered. References are
+ * replaced with the ids of the rendered Defs, and the defs element
+ * is added as the first Passthrough.
+ *
+ * @param {FrameShape} frameShp
+ * @param {string} prefix
+ *
+ * @returns {FrameShape}
+ *
+ * @example
+ * renderDefs(frameShape, defsPrefix(frameShape.defs, options))
+ */
+const renderDefs = (frameShp, prefix) => ({
+  ...withDefIds(frameShp, frameShp.defs, prefix),
+  passthrough: [
+    { index: 0, node: defsNode(frameShp.defs, prefix) },
+    ...(frameShp.passthrough || [])
+  ]
+})
+
+/**
+ * Removes the Nodes read as Defs from the defs Passthroughs of a
+ * FrameShape and its children, so they are not rendered twice when
+ * the Defs are rendered. defs Passthroughs left empty are removed.
+ *
+ * @param {FrameShape} frameShp
+ * @param {Object} defs - Ids to Defs.
+ *
+ * @returns {FrameShape}
+ *
+ * @example
+ * withoutReadDefs(frameShape, frameShape.defs)
+ */
+const withoutReadDefs = (frameShp, defs) => {
+  const result = { ...frameShp }
+
+  if (frameShp.passthrough) {
+    const passthrough = []
+
+    for (let i = 0, l = frameShp.passthrough.length; i < l; i++) {
+      const item = frameShp.passthrough[ i ]
+      const n = item.node
+
+      if (n.type === 'defs') {
+        const childNodes = n.childNodes.filter(c => !c.attributes || !defs.hasOwnProperty(c.attributes.id))
+
+        if (childNodes.some(c => typeof c.text !== 'string' || c.text.trim())) {
+          passthrough.push({ ...item, node: { ...n, childNodes } })
+        }
+      } else {
+        passthrough.push(item)
+      }
+    }
+
+    if (passthrough.length) {
+      result.passthrough = passthrough
+    } else {
+      delete result.passthrough
+    }
+  }
+
+  if (frameShp.childFrameShapes) {
+    result.childFrameShapes = frameShp.childFrameShapes.map(f => withoutReadDefs(f, defs))
+  }
+
+  return result
+}
+
+export {
+  defNodeType,
+  defsNode,
+  defsPrefix,
+  gradientNodeType,
+  gradientStop,
+  referencedIds,
+  renderDefs,
+  withDefIds,
+  withoutReadDefs
+}
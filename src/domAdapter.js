@@ -0,0 +1,126 @@
+/**
+ * An object of functions used to read and write Nodes. Adapters let
+ * a renderer target something other than the browser DOM, for example
+ * jsdom, a virtual DOM or a custom scene graph.
+ *
+ * @typedef {Object} Adapter
+ *
+ * @property {function} appendChild - (parent, child) => void
+ * @property {function} createElement - (type) => Node
+ * @property {function} createTextNode - (text) => Node
+ * @property {function} getAttributes - (el) => Object of attribute names to values
+ * @property {function} getChildren - (el) => Node[]
+ * @property {function} getComputedStyle - (el, name) => string, empty if not available
+ * @property {function} getElementById - (el, id) => Node or null, searching the document of el
+ * @property {function} getNodeName - (el) => string
+ * @property {function} getNodeValue - (el) => string, the text of a text Node
+ * @property {function} getParent - (el) => Node, or null if el has no parent
+ * @property {function} insertBefore - (parent, child, ref) => void, appending if ref is null
+ * @property {function} observe - (el, callback) => function, calls back after el or its descendants change, returns a function that stops observing
+ * @property {function} removeAttribute - (el, name) => void
+ * @property {function} removeChild - (parent, child) => void
+ * @property {function} setAttribute - (el, name, value) => void
+ */
+
+/**
+ * The namespaces of attribute name prefixes.
+ */
+const namespaces = {
+  xlink: 'http://www.w3.org/1999/xlink',
+  xml: 'http://www.w3.org/XML/1998/namespace'
+}
+
+/**
+ * The namespace of an attribute name, if it has a known prefix.
+ *
+ * @param {string} name
+ *
+ * @returns {(string|undefined)}
+ *
+ * @example
+ * attributeNamespace('xlink:href')
+ */
+const attributeNamespace = name => {
+  const colon = name.indexOf(':')
+  return colon === -1 ? undefined : namespaces[ name.slice(0, colon) ]
+}
+
+/**
+ * An Adapter for the browser DOM.
+ */
+const domAdapter = {
+  appendChild: (parent, child) => {
+    parent.appendChild(child)
+  },
+
+  createElement: type => document.createElementNS('http://www.w3.org/2000/svg', type),
+
+  createTextNode: text => document.createTextNode(text),
+
+  getAttributes: el => {
+    const attributes = {}
+
+    if (el.hasAttributes()) {
+      const attrs = [ ...el.attributes ]
+
+      for (let i = 0, l = attrs.length; i < l; i++) {
+        attributes[ attrs[ i ].name ] = attrs[ i ].value
+      }
+    }
+
+    return attributes
+  },
+
+  getChildren: el => [ ...el.childNodes ],
+
+  getComputedStyle: (el, name) => {
+    const view = el.ownerDocument && el.ownerDocument.defaultView
+    return view ? view.getComputedStyle(el).getPropertyValue(name) : ''
+  },
+
+  getElementById: (el, id) => el.ownerDocument ? el.ownerDocument.getElementById(id) : null,
+
+  getNodeName: el => el.nodeName,
+
+  getNodeValue: el => el.nodeValue,
+
+  getParent: el => el.parentNode,
+
+  insertBefore: (parent, child, ref) => {
+    parent.insertBefore(child, ref)
+  },
+
+  observe: (el, callback) => {
+    const observer = new window.MutationObserver(() => callback())
+
+    observer.observe(el, { attributes: true, characterData: true, childList: true, subtree: true })
+
+    return () => observer.disconnect()
+  },
+
+  removeAttribute: (el, name) => {
+    const namespace = attributeNamespace(name)
+
+    if (namespace) {
+      el.removeAttributeNS(namespace, name.slice(name.indexOf(':') + 1))
+    } else {
+      el.removeAttribute(name)
+    }
+  },
+
+  removeChild: (parent, child) => {
+    parent.removeChild(child)
+  },
+
+  setAttribute: (el, name, value) => {
+    const namespace = attributeNamespace(name)
+
+    if (namespace) {
+      el.setAttributeNS(namespace, name, value)
+    } else {
+      el.setAttribute(name, value)
+    }
+  }
+}
+
+export default domAdapter
@@ -0,0 +1,537 @@
+import { validFrameShape } from './valid'
+
+/**
+ * A cubic bezier curve, as the coordinates of its start point, two
+ * control points and end point.
+ *
+ * @typedef {number[]} Cubic
+ */
+
+/**
+ * A bounding box, as returned by getBBox.
+ *
+ * @typedef {Object} BoundingBox
+ *
+ * @property {number} height
+ * @property {number} width
+ * @property {number} x
+ * @property {number} y
+ */
+
+/**
+ * The nodes and weights of 5 point Gauss-Legendre quadrature over the
+ * interval 0 to 1. Exact for polynomials up to degree 9.
+ */
+const gauss = [
+  [ 0.04691007703066800, 0.11846344252809454 ],
+  [ 0.23076534494715845, 0.23931433524968324 ],
+  [ 0.5, 0.28444444444444444 ],
+  [ 0.76923465505284155, 0.23931433524968324 ],
+  [ 0.95308992296933200, 0.11846344252809454 ]
+]
+
+/**
+ * The number of intervals each Cubic is divided into when measuring
+ * its length.
+ */
+const lengthIntervals = 8
+
+/**
+ * Creates a Cubic for a straight line.
+ *
+ * @param {number} x0
+ * @param {number} y0
+ * @param {number} x3
+ * @param {number} y3
+ *
+ * @returns {Cubic}
+ *
+ * @example
+ * lineCubic(0, 0, 10, 0)
+ */
+const lineCubic = (x0, y0, x3, y3) => [
+  x0,
+  y0,
+  x0 + (x3 - x0) / 3,
+  y0 + (y3 - y0) / 3,
+  x0 + (x3 - x0) * 2 / 3,
+  y0 + (y3 - y0) * 2 / 3,
+  x3,
+  y3
+]
+
+/**
+ * Creates Cubics that approximate an arc curve, each spanning at most
+ * a sixteenth of the ellipse.
+ *
+ * @param {Object} from - The start point.
+ * @param {Object} to - The end point, with the arc curve.
+ *
+ * @returns {Cubic[]}
+ *
+ * @example
+ * arcCubics({ x: 0, y: 0 }, { x: 10, y: 0, curve: { type: 'arc', rx: 5, ry: 5 } })
+ */
+const arcCubics = (from, to) => {
+  const curve = to.curve
+  const phi = (curve.xAxisRotation || 0) * Math.PI / 180
+  const cos = Math.cos(phi)
+  const sin = Math.sin(phi)
+
+  let rx = Math.abs(curve.rx)
+  let ry = Math.abs(curve.ry)
+
+  if (!rx || !ry || (from.x === to.x && from.y === to.y)) {
+    return [ lineCubic(from.x, from.y, to.x, to.y) ]
+  }
+
+  const dx = (from.x - to.x) / 2
+  const dy = (from.y - to.y) / 2
+  const x1 = cos * dx + sin * dy
+  const y1 = -sin * dx + cos * dy
+  const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry)
+
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda)
+    ry *= Math.sqrt(lambda)
+  }
+
+  const num = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1
+  const den = rx * rx * y1 * y1 + ry * ry * x1 * x1
+  const sign = Boolean(curve.largeArcFlag) === Boolean(curve.sweepFlag) ? -1 : 1
+  const coef = sign * Math.sqrt(Math.max(0, num / den))
+  const cx1 = coef * rx * y1 / ry
+  const cy1 = -coef * ry * x1 / rx
+  const cx = cos * cx1 - sin * cy1 + (from.x + to.x) / 2
+  const cy = sin * cx1 + cos * cy1 + (from.y + to.y) / 2
+
+  const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy)
+  const theta = angle(1, 0, (x1 - cx1) / rx, (y1 - cy1) / ry)
+
+  let delta = angle((x1 - cx1) / rx, (y1 - cy1) / ry, (-x1 - cx1) / rx, (-y1 - cy1) / ry)
+
+  if (!curve.sweepFlag && delta > 0) {
+    delta -= 2 * Math.PI
+  } else if (curve.sweepFlag && delta < 0) {
+    delta += 2 * Math.PI
+  }
+
+  const n = Math.ceil(Math.abs(delta) / (Math.PI / 8) - 1e-9)
+  const step = delta / n
+  const k = 4 / 3 * Math.tan(step / 4)
+
+  const point = t => [
+    cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin,
+    cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos
+  ]
+
+  const tangent = t => [
+    -rx * Math.sin(t) * cos - ry * Math.cos(t) * sin,
+    -rx * Math.sin(t) * sin + ry * Math.cos(t) * cos
+  ]
+
+  const cubics = []
+
+  for (let i = 0; i < n; i++) {
+    const t1 = theta + i * step
+    const t2 = t1 + step
+    const p0 = i === 0 ? [ from.x, from.y ] : point(t1)
+    const p3 = i === n - 1 ? [ to.x, to.y ] : point(t2)
+    const d1 = tangent(t1)
+    const d2 = tangent(t2)
+
+    cubics.push([
+      p0[ 0 ],
+      p0[ 1 ],
+      p0[ 0 ] + k * d1[ 0 ],
+      p0[ 1 ] + k * d1[ 1 ],
+      p3[ 0 ] - k * d2[ 0 ],
+      p3[ 1 ] - k * d2[ 1 ],
+      p3[ 0 ],
+      p3[ 1 ]
+    ])
+  }
+
+  return cubics
+}
+
+/**
+ * Splits Points into subpaths of Cubics. Lines and quadratic curves
+ * are converted exactly, and arcs are approximated.
+ *
+ * @param {Points} points
+ *
+ * @returns {Object[]} Subpaths, each with a start point and Cubics.
+ *
+ * @example
+ * subpaths(frameShape.points)
+ */
+const subpaths = points => {
+  const result = []
+
+  let prev = null
+  let subpath = null
+
+  for (let i = 0, l = points.length; i < l; i++) {
+    const point = points[ i ]
+    const curve = point.curve
+
+    if (point.moveTo || !prev) {
+      subpath = { start: point, cubics: [] }
+      result.push(subpath)
+    } else if (!curve) {
+      subpath.cubics.push(lineCubic(prev.x, prev.y, point.x, point.y))
+    } else if (curve.type === 'arc') {
+      subpath.cubics.push(...arcCubics(prev, point))
+    } else if (curve.type === 'quadratic') {
+      subpath.cubics.push([
+        prev.x,
+        prev.y,
+        prev.x + (curve.x1 - prev.x) * 2 / 3,
+        prev.y + (curve.y1 - prev.y) * 2 / 3,
+        point.x + (curve.x1 - point.x) * 2 / 3,
+        point.y + (curve.y1 - point.y) * 2 / 3,
+        point.x,
+        point.y
+      ])
+    } else {
+      subpath.cubics.push([ prev.x, prev.y, curve.x1, curve.y1, curve.x2, curve.y2, point.x, point.y ])
+    }
+
+    prev = point
+  }
+
+  return result
+}
+
+/**
+ * A point on a Cubic.
+ *
+ * @param {Cubic} c
+ * @param {number} t
+ *
+ * @returns {number[]} x and y.
+ *
+ * @example
+ * cubicPoint(cubic, 0.5)
+ */
+const cubicPoint = (c, t) => {
+  const mt = 1 - t
+  const a = mt * mt * mt
+  const b = 3 * mt * mt * t
+  const d = 3 * mt * t * t
+  const e = t * t * t
+
+  return [
+    a * c[ 0 ] + b * c[ 2 ] + d * c[ 4 ] + e * c[ 6 ],
+    a * c[ 1 ] + b * c[ 3 ] + d * c[ 5 ] + e * c[ 7 ]
+  ]
+}
+
+/**
+ * The derivative of a Cubic.
+ *
+ * @param {Cubic} c
+ * @param {number} t
+ *
+ * @returns {number[]} x and y.
+ *
+ * @example
+ * cubicDerivative(cubic, 0.5)
+ */
+const cubicDerivative = (c, t) => {
+  const mt = 1 - t
+  const a = 3 * mt * mt
+  const b = 6 * mt * t
+  const d = 3 * t * t
+
+  return [
+    a * (c[ 2 ] - c[ 0 ]) + b * (c[ 4 ] - c[ 2 ]) + d * (c[ 6 ] - c[ 4 ]),
+    a * (c[ 3 ] - c[ 1 ]) + b * (c[ 5 ] - c[ 3 ]) + d * (c[ 7 ] - c[ 5 ])
+  ]
+}
+
+/**
+ * The values of t between 0 and 1 where one axis of a Cubic has a
+ * turning point.
+ *
+ * @param {number} p0
+ * @param {number} p1
+ * @param {number} p2
+ * @param {number} p3
+ *
+ * @returns {number[]}
+ *
+ * @example
+ * cubicExtrema(0, 10, -10, 0)
+ */
+const cubicExtrema = (p0, p1, p2, p3) => {
+  const a = (p1 - p0) - 2 * (p2 - p1) + (p3 - p2)
+  const b = 2 * ((p2 - p1) - (p1 - p0))
+  const c = p1 - p0
+  const roots = []
+
+  if (Math.abs(a) < 1e-12) {
+    if (Math.abs(b) > 1e-12) {
+      roots.push(-c / b)
+    }
+  } else {
+    const disc = b * b - 4 * a * c
+
+    if (disc >= 0) {
+      const sqrt = Math.sqrt(disc)
+      roots.push((-b + sqrt) / (2 * a), (-b - sqrt) / (2 * a))
+    }
+  }
+
+  return roots.filter(t => t > 0 && t < 1)
+}
+
+/**
+ * The length of a Cubic.
+ *
+ * @param {Cubic} c
+ *
+ * @returns {number}
+ *
+ * @example
+ * cubicLength(cubic)
+ */
+const cubicLength = c => {
+  let length = 0
+
+  for (let j = 0; j < lengthIntervals; j++) {
+    for (let i = 0, l = gauss.length; i < l; i++) {
+      const d = cubicDerivative(c, (j + gauss[ i ][ 0 ]) / lengthIntervals)
+      length += gauss[ i ][ 1 ] / lengthIntervals * Math.sqrt(d[ 0 ] * d[ 0 ] + d[ 1 ] * d[ 1 ])
+    }
+  }
+
+  return length
+}
+
+/**
+ * Measures the Points of a shape FrameShape.
+ *
+ * @param {Points} points
+ *
+ * @returns {Object} The signed area, the area moments, the length, the length moments and the bounds.
+ *
+ * @example
+ * measurePoints(frameShape.points)
+ */
+const measurePoints = points => {
+  const result = { area: 0, ax: 0, ay: 0, length: 0, lx: 0, ly: 0, bounds: null }
+  const paths = subpaths(points)
+
+  const extend = (x, y) => {
+    const b = result.bounds
+
+    if (!b) {
+      result.bounds = [ x, y, x, y ]
+    } else {
+      b[ 0 ] = Math.min(b[ 0 ], x)
+      b[ 1 ] = Math.min(b[ 1 ], y)
+      b[ 2 ] = Math.max(b[ 2 ], x)
+      b[ 3 ] = Math.max(b[ 3 ], y)
+    }
+  }
+
+  const addArea = c => {
+    for (let i = 0, l = gauss.length; i < l; i++) {
+      const t = gauss[ i ][ 0 ]
+      const w = gauss[ i ][ 1 ]
+      const p = cubicPoint(c, t)
+      const d = cubicDerivative(c, t)
+
+      result.area += w * (p[ 0 ] * d[ 1 ] - p[ 1 ] * d[ 0 ]) / 2
+      result.ax += w * p[ 0 ] * p[ 0 ] * d[ 1 ] / 2
+      result.ay -= w * p[ 1 ] * p[ 1 ] * d[ 0 ] / 2
+    }
+  }
+
+  const addLength = c => {
+    for (let j = 0; j < lengthIntervals; j++) {
+      for (let i = 0, l = gauss.length; i < l; i++) {
+        const t = (j + gauss[ i ][ 0 ]) / lengthIntervals
+        const w = gauss[ i ][ 1 ] / lengthIntervals
+        const p = cubicPoint(c, t)
+        const d = cubicDerivative(c, t)
+        const speed = Math.sqrt(d[ 0 ] * d[ 0 ] + d[ 1 ] * d[ 1 ])
+
+        result.length += w * speed
+        result.lx += w * speed * p[ 0 ]
+        result.ly += w * speed * p[ 1 ]
+      }
+    }
+  }
+
+  for (let i = 0, l = paths.length; i < l; i++) {
+    const start = paths[ i ].start
+    const cubics = paths[ i ].cubics
+
+    extend(start.x, start.y)
+
+    for (let _i = 0, _l = cubics.length; _i < _l; _i++) {
+      const c = cubics[ _i ]
+      const ts = cubicExtrema(c[ 0 ], c[ 2 ], c[ 4 ], c[ 6 ]).concat(cubicExtrema(c[ 1 ], c[ 3 ], c[ 5 ], c[ 7 ]))
+
+      extend(c[ 6 ], c[ 7 ])
+
+      for (let t = 0, tl = ts.length; t < tl; t++) {
+        const p = cubicPoint(c, ts[ t ])
+        extend(p[ 0 ], p[ 1 ])
+      }
+
+      addArea(c)
+      addLength(c)
+    }
+
+    if (cubics.length) {
+      const last = cubics[ cubics.length - 1 ]
+      addArea(lineCubic(last[ 6 ], last[ 7 ], start.x, start.y))
+    }
+  }
+
+  return result
+}
+
+/**
+ * Measures a FrameShape and its children. The areas of child
+ * FrameShapes are combined regardless of direction, so that a
+ * centroid is weighted by the size of each child.
+ *
+ * @param {FrameShape} frameShp
+ *
+ * @returns {Object}
+ *
+ * @example
+ * measure(frameShape)
+ */
+const measure = frameShp => {
+  const childFrameShapes = frameShp.childFrameShapes
+
+  if (!childFrameShapes) {
+    const m = measurePoints(frameShp.points)
+    const sign = m.area < 0 ? -1 : 1
+
+    return { ...m, size: m.area * sign, sx: m.ax * sign, sy: m.ay * sign }
+  }
+
+  const result = { area: 0, length: 0, lx: 0, ly: 0, size: 0, sx: 0, sy: 0, bounds: null }
+
+  for (let i = 0, l = childFrameShapes.length; i < l; i++) {
+    const m = measure(childFrameShapes[ i ])
+    const keys = [ 'area', 'length', 'lx', 'ly', 'size', 'sx', 'sy' ]
+
+    for (let _i = 0, _l = keys.length; _i < _l; _i++) {
+      result[ keys[ _i ] ] += m[ keys[ _i ] ]
+    }
+
+    if (m.bounds) {
+      const b = result.bounds
+
+      result.bounds = b ? [
+        Math.min(b[ 0 ], m.bounds[ 0 ]),
+        Math.min(b[ 1 ], m.bounds[ 1 ]),
+        Math.max(b[ 2 ], m.bounds[ 2 ]),
+        Math.max(b[ 3 ], m.bounds[ 3 ])
+      ] : m.bounds
+    }
+  }
+
+  return result
+}
+
+/**
+ * Calculates the bounding box of a FrameShape, including curves and
+ * child FrameShapes. Transforms are not applied.
+ *
+ * @param {FrameShape} frameShp
+ *
+ * @returns {BoundingBox}
+ *
+ * @example
+ * boundingBox(frameShape)
+ */
+const boundingBox = frameShp => {
+  if (validFrameShape(frameShp)) {
+    const b = measure(frameShp).bounds
+
+    return b
+      ? { x: b[ 0 ], y: b[ 1 ], width: b[ 2 ] - b[ 0 ], height: b[ 3 ] - b[ 1 ] }
+      : { x: 0, y: 0, width: 0, height: 0 }
+  }
+}
+
+/**
+ * Calculates the centroid of the area of a FrameShape. If it has no
+ * area, the centroid of its outline is used instead.
+ *
+ * @param {FrameShape} frameShp
+ *
+ * @returns {Object} x and y.
+ *
+ * @example
+ * centroid(frameShape)
+ */
+const centroid = frameShp => {
+  if (validFrameShape(frameShp)) {
+    const m = measure(frameShp)
+
+    if (m.size > 1e-9) {
+      return { x: m.sx / m.size, y: m.sy / m.size }
+    }
+
+    if (m.length > 1e-9) {
+      return { x: m.lx / m.length, y: m.ly / m.length }
+    }
+
+    return m.bounds ? { x: m.bounds[ 0 ], y: m.bounds[ 1 ] } : { x: 0, y: 0 }
+  }
+}
+
+/**
+ * Calculates the signed area of a FrameShape. Each subpath is closed.
+ * The area is positive if the points run clockwise on screen, with the
+ * y axis pointing down.
+ *
+ * @param {FrameShape} frameShp
+ *
+ * @returns {number}
+ *
+ * @example
+ * signedArea(frameShape)
+ */
+const signedArea = frameShp => {
+  if (validFrameShape(frameShp)) {
+    return measure(frameShp).area
+  }
+}
+
+/**
+ * Calculates the total length of a FrameShape, as getTotalLength would.
+ *
+ * @param {FrameShape} frameShp
+ *
+ * @returns {number}
+ *
+ * @example
+ * totalLength(frameShape)
+ */
+const totalLength = frameShp => {
+  if (validFrameShape(frameShp)) {
+    return measure(frameShp).length
+  }
+}
+
+export {
+  boundingBox,
+  centroid,
+  cubicDerivative,
+  cubicLength,
+  cubicPoint,
+  signedArea,
+  subpaths,
+  totalLength
+}
@@ -0,0 +1,326 @@
+/* globals __DEV__ */
+
+import {
+  colorAttributes,
+  lengthAttributes,
+  numberAttributes,
+  parseColor
+} from './attributeValue'
+
+import normalise from './morph'
+import { validFrameShape } from './valid'
+
+/**
+ * The numeric properties of each curve type that are interpolated.
+ * Other properties, such as arc flags, switch halfway.
+ */
+const curveProps = {
+  arc: [ 'rx', 'ry', 'xAxisRotation' ],
+  cubic: [ 'x1', 'y1', 'x2', 'y2' ],
+  quadratic: [ 'x1', 'y1' ]
+}
+
+/**
+ * Interpolates between two numbers.
+ *
+ * @param {number} from
+ * @param {number} to
+ * @param {number} t
+ *
+ * @returns {number}
+ *
+ * @example
+ * tween(0, 10, 0.5)
+ */
+const tween = (from, to, t) => from * (1 - t) + to * t
+
+/**
+ * Interpolates between two Colors. Red, green and blue are clamped to
+ * between 0 and 255, and alpha to between 0 and 1.
+ *
+ * @param {Color} from
+ * @param {Color} to
+ * @param {number} t
+ *
+ * @returns {Color}
+ *
+ * @example
+ * tweenColor([ 255, 0, 0, 1 ], [ 0, 0, 255, 1 ], 0.5)
+ */
+const tweenColor = (from, to, t) => from.map((v, i) => Math.min(Math.max(tween(v, to[ i ], t), 0), i === 3 ? 1 : 255))
+
+/**
+ * Parses an attribute value as a number.
+ *
+ * @param {*} value
+ *
+ * @returns {(number|null)}
+ *
+ * @example
+ * numberValue('0.5')
+ */
+const numberValue = value => {
+  if (typeof value === 'number') {
+    return value
+  }
+
+  if (typeof value === 'string' && value.trim() !== '') {
+    const n = Number(value)
+    return Number.isNaN(n) ? null : n
+  }
+
+  return null
+}
+
+/**
+ * Interpolates between two values of an attribute. The values of
+ * colour presentation attributes are interpolated if both are colours,
+ * and those of number and length presentation attributes if both are
+ * numbers. Other values, including those of any other attribute, such
+ * as id or class, switch halfway.
+ *
+ * @param {string} name
+ * @param {*} from
+ * @param {*} to
+ * @param {number} t
+ *
+ * @returns {*}
+ *
+ * @example
+ * tweenAttribute('fill', 'red', 'blue', 0.5)
+ */
+const tweenAttribute = (name, from, to, t) => {
+  if (colorAttributes.indexOf(name) !== -1) {
+    const fromColor = parseColor(from)
+    const toColor = parseColor(to)
+
+    if (Array.isArray(fromColor) && Array.isArray(toColor)) {
+      return tweenColor(fromColor, toColor, t)
+    }
+  } else if (numberAttributes.indexOf(name) !== -1 || lengthAttributes.indexOf(name) !== -1) {
+    const fromNumber = numberValue(from)
+    const toNumber = numberValue(to)
+
+    if (fromNumber !== null && toNumber !== null) {
+      return tween(fromNumber, toNumber, t)
+    }
+  }
+
+  return t < 0.5 ? from : to
+}
+
+/**
+ * Interpolates between two attributes objects. Attributes missing from
+ * one object switch halfway.
+ *
+ * @param {Object} from
+ * @param {Object} to
+ * @param {number} t - The uneased t.
+ * @param {Object} options
+ *
+ * @returns {Object}
+ *
+ * @example
+ * tweenAttributes({ opacity: 0 }, { opacity: 1 }, 0.5, options)
+ */
+const tweenAttributes = (from, to, t, { attributeEasing, easing }) => {
+  const result = {}
+
+  for (let k in from) {
+    const e = attributeEasing[ k ] || easing
+
+    if (to.hasOwnProperty(k)) {
+      result[ k ] = tweenAttribute(k, from[ k ], to[ k ], e(t))
+    } else if (e(t) < 0.5) {
+      result[ k ] = from[ k ]
+    }
+  }
+
+  for (let k in to) {
+    if (!from.hasOwnProperty(k) && (attributeEasing[ k ] || easing)(t) >= 0.5) {
+      result[ k ] = to[ k ]
+    }
+  }
+
+  return result
+}
+
+/**
+ * Interpolates between two compatible Points.
+ *
+ * @param {Points} from
+ * @param {Points} to
+ * @param {number} t - The eased t.
+ *
+ * @returns {Points}
+ *
+ * @example
+ * tweenPoints(fromPoints, toPoints, 0.5)
+ */
+const tweenPoints = (from, to, t) => {
+  const result = []
+
+  for (let i = 0, l = from.length; i < l; i++) {
+    const a = from[ i ]
+    const b = to[ i ]
+    const point = { x: tween(a.x, b.x, t), y: tween(a.y, b.y, t) }
+
+    if (a.moveTo) {
+      point.moveTo = true
+    }
+
+    if (a.curve) {
+      const curve = { ...(t < 0.5 ? a.curve : b.curve) }
+      const props = curveProps[ a.curve.type ]
+
+      for (let _i = 0, _l = props.length; _i < _l; _i++) {
+        const k = props[ _i ]
+        curve[ k ] = tween(a.curve[ k ] || 0, b.curve[ k ] || 0, t)
+      }
+
+      point.curve = curve
+    }
+
+    result.push(point)
+  }
+
+  return result
+}
+
+/**
+ * Can two FrameShapes be interpolated without being normalised? They
+ * must have the same tree of childFrameShapes, and the same number of
+ * points, subpaths and curve types.
+ *
+ * @param {FrameShape} from
+ * @param {FrameShape} to
+ *
+ * @returns {boolean}
+ *
+ * @example
+ * compatible(fromFrameShape, toFrameShape)
+ */
+const compatible = (from, to) => {
+  if (from.childFrameShapes || to.childFrameShapes) {
+    if (!from.childFrameShapes || !to.childFrameShapes ||
+      from.childFrameShapes.length !== to.childFrameShapes.length) {
+      return false
+    }
+
+    for (let i = 0, l = from.childFrameShapes.length; i < l; i++) {
+      if (!compatible(from.childFrameShapes[ i ], to.childFrameShapes[ i ])) {
+        return false
+      }
+    }
+
+    return true
+  }
+
+  if (from.points.length !== to.points.length) {
+    return false
+  }
+
+  for (let i = 0, l = from.points.length; i < l; i++) {
+    const a = from.points[ i ]
+    const b = to.points[ i ]
+
+    if (Boolean(a.moveTo) !== Boolean(b.moveTo) ||
+      (a.curve ? a.curve.type : null) !== (b.curve ? b.curve.type : null)) {
+      return false
+    }
+  }
+
+  return true
+}
+
+/**
+ * Interpolates between two compatible FrameShapes.
+ *
+ * @param {FrameShape} from
+ * @param {FrameShape} to
+ * @param {number} t - The uneased t.
+ * @param {Object} options
+ *
+ * @returns {FrameShape}
+ *
+ * @example
+ * tweenFrameShape(fromFrameShape, toFrameShape, 0.5, options)
+ */
+const tweenFrameShape = (from, to, t, options) => {
+  const eased = options.easing(t)
+  const result = { ...(eased < 0.5 ? from : to) }
+
+  result.attributes = tweenAttributes(from.attributes, to.attributes, t, options)
+
+  if (from.childFrameShapes) {
+    result.childFrameShapes = from.childFrameShapes.map((f, i) => (
+      tweenFrameShape(f, to.childFrameShapes[ i ], t, options)
+    ))
+  } else {
+    result.points = tweenPoints(from.points, to.points, eased)
+  }
+
+  return result
+}
+
+/**
+ * Are interpolate options valid?
+ *
+ * @param {Object} options
+ *
+ * @throws {TypeError} Throws if not valid
+ *
+ * @returns {true}
+ *
+ * @example
+ * validInterpolateOptions({ easing: t => t * t })
+ */
+const validInterpolateOptions = ({ attributeEasing, easing }) => {
+  if (__DEV__) {
+    if (typeof easing !== 'function') {
+      throw new TypeError(`easing option must be of type function`)
+    }
+
+    if (typeof attributeEasing !== 'object' || attributeEasing === null) {
+      throw new TypeError(`attributeEasing option must be of type object`)
+    }
+
+    for (let k in attributeEasing) {
+      if (typeof attributeEasing[ k ] !== 'function') {
+        throw new TypeError(`attributeEasing option must be an object of functions`)
+      }
+    }
+  }
+
+  return true
+}
+
+/**
+ * Creates a function that interpolates between two FrameShapes. Point
+ * coordinates, curve control points, and numeric and colour attributes
+ * are interpolated, through all childFrameShapes. Other attributes
+ * switch halfway. FrameShapes that are not compatible are normalised
+ * first.
+ *
+ * @param {FrameShape} from
+ * @param {FrameShape} to
+ * @param {Object} [options]
+ * @param {function} [options.easing] - Eases t for the points and attributes.
+ * @param {Object} [options.attributeEasing] - Attribute names to easing functions that replace easing.
+ *
+ * @returns {function} Takes t, from 0 to 1, and returns a FrameShape.
+ *
+ * @example
+ * interpolate(fromFrameShape, toFrameShape, { attributeEasing: { opacity: t => t * t } })(0.5)
+ */
+const interpolate = (from, to, { attributeEasing = {}, easing = t => t } = {}) => {
+  const options = { attributeEasing, easing }
+
+  if (validFrameShape(from) && validFrameShape(to) && validInterpolateOptions(options)) {
+    const frameShapes = compatible(from, to) ? [ from, to ] : normalise(from, to)
+
+    return t => tweenFrameShape(frameShapes[ 0 ], frameShapes[ 1 ], t, options)
+  }
+}
+
+export default interpolate
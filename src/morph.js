@@ -0,0 +1,416 @@
+import { centroid, cubicLength, subpaths } from './geometry'
+import { validFrameShape } from './valid'
+
+/**
+ * Splits a Cubic in two at t.
+ *
+ * @param {Cubic} c
+ * @param {number} t
+ *
+ * @returns {Cubic[]}
+ *
+ * @example
+ * splitCubic(cubic, 0.5)
+ */
+const splitCubic = (c, t) => {
+  const mix = (a, b) => a + (b - a) * t
+
+  const x01 = mix(c[ 0 ], c[ 2 ])
+  const y01 = mix(c[ 1 ], c[ 3 ])
+  const x12 = mix(c[ 2 ], c[ 4 ])
+  const y12 = mix(c[ 3 ], c[ 5 ])
+  const x23 = mix(c[ 4 ], c[ 6 ])
+  const y23 = mix(c[ 5 ], c[ 7 ])
+  const x012 = mix(x01, x12)
+  const y012 = mix(y01, y12)
+  const x123 = mix(x12, x23)
+  const y123 = mix(y12, y23)
+  const x = mix(x012, x123)
+  const y = mix(y012, y123)
+
+  return [
+    [ c[ 0 ], c[ 1 ], x01, y01, x012, y012, x, y ],
+    [ x, y, x123, y123, x23, y23, c[ 6 ], c[ 7 ] ]
+  ]
+}
+
+/**
+ * Divides a Cubic into a number of Cubics of equal t.
+ *
+ * @param {Cubic} c
+ * @param {number} n
+ *
+ * @returns {Cubic[]}
+ *
+ * @example
+ * divideCubic(cubic, 3)
+ */
+const divideCubic = (c, n) => {
+  const result = []
+
+  let rest = c
+
+  for (let i = n; i > 1; i--) {
+    const parts = splitCubic(rest, 1 / i)
+    result.push(parts[ 0 ])
+    rest = parts[ 1 ]
+  }
+
+  result.push(rest)
+
+  return result
+}
+
+/**
+ * Adds Cubics to a subpath by dividing its Cubics, so that it has a
+ * given number of Cubics. The longest Cubics are divided the most.
+ *
+ * @param {Object} subpath
+ * @param {number} count
+ *
+ * @returns {Object}
+ *
+ * @example
+ * addCubics({ start, cubics }, 10)
+ */
+const addCubics = (subpath, count) => {
+  const cubics = subpath.cubics
+
+  if (!cubics.length) {
+    const x = subpath.start.x
+    const y = subpath.start.y
+    const result = []
+
+    for (let i = 0; i < count; i++) {
+      result.push([ x, y, x, y, x, y, x, y ])
+    }
+
+    return { ...subpath, cubics: result }
+  }
+
+  const lengths = cubics.map(cubicLength)
+  const divisions = cubics.map(() => 1)
+
+  for (let i = cubics.length; i < count; i++) {
+    let longest = 0
+
+    for (let _i = 1, _l = cubics.length; _i < _l; _i++) {
+      if (lengths[ _i ] / divisions[ _i ] > lengths[ longest ] / divisions[ longest ]) {
+        longest = _i
+      }
+    }
+
+    divisions[ longest ]++
+  }
+
+  const result = []
+
+  for (let i = 0, l = cubics.length; i < l; i++) {
+    result.push(...divideCubic(cubics[ i ], divisions[ i ]))
+  }
+
+  return { ...subpath, cubics: result }
+}
+
+/**
+ * Does a subpath end where it starts?
+ *
+ * @param {Object} subpath
+ *
+ * @returns {boolean}
+ *
+ * @example
+ * closed({ start, cubics })
+ */
+const closed = ({ start, cubics }) => {
+  if (!cubics.length) {
+    return false
+  }
+
+  const end = cubics[ cubics.length - 1 ]
+
+  return Math.abs(end[ 6 ] - start.x) < 1e-9 && Math.abs(end[ 7 ] - start.y) < 1e-9
+}
+
+/**
+ * Rotates a closed subpath so that it starts at the end of the Cubic
+ * before a given index.
+ *
+ * @param {Object} subpath
+ * @param {number} index
+ *
+ * @returns {Object}
+ *
+ * @example
+ * rotate({ start, cubics }, 2)
+ */
+const rotate = (subpath, index) => {
+  if (!index) {
+    return subpath
+  }
+
+  const cubics = subpath.cubics
+  const prev = cubics[ index - 1 ]
+
+  return {
+    start: { x: prev[ 6 ], y: prev[ 7 ] },
+    cubics: cubics.slice(index).concat(cubics.slice(0, index))
+  }
+}
+
+/**
+ * The rotation of a closed subpath that minimises the distance its
+ * points travel to those of another subpath with the same number of
+ * Cubics.
+ *
+ * @param {Object} from
+ * @param {Object} to
+ *
+ * @returns {number}
+ *
+ * @example
+ * rotation(fromSubpath, toSubpath)
+ */
+const rotation = (from, to) => {
+  const a = from.cubics
+  const b = to.cubics
+  const n = a.length
+
+  let best = 0
+  let min = Infinity
+
+  for (let k = 0; k < n; k++) {
+    let travel = 0
+
+    for (let i = 0; i < n; i++) {
+      const p = a[ i ]
+      const q = b[ (i + k) % n ]
+      const dx = q[ 6 ] - p[ 6 ]
+      const dy = q[ 7 ] - p[ 7 ]
+
+      travel += dx * dx + dy * dy
+    }
+
+    if (travel < min) {
+      min = travel
+      best = k
+    }
+  }
+
+  return best
+}
+
+/**
+ * Converts subpaths to Points.
+ *
+ * @param {Object[]} paths
+ * @param {boolean} lines - Write straight lines rather than cubic curves.
+ *
+ * @returns {Points}
+ *
+ * @example
+ * subpathPoints([ { start, cubics } ], false)
+ */
+const subpathPoints = (paths, lines) => {
+  const points = []
+
+  for (let i = 0, l = paths.length; i < l; i++) {
+    const cubics = paths[ i ].cubics
+
+    points.push({ x: paths[ i ].start.x, y: paths[ i ].start.y, moveTo: true })
+
+    for (let _i = 0, _l = cubics.length; _i < _l; _i++) {
+      const c = cubics[ _i ]
+
+      points.push(lines ? { x: c[ 6 ], y: c[ 7 ] } : {
+        x: c[ 6 ],
+        y: c[ 7 ],
+        curve: { type: 'cubic', x1: c[ 2 ], y1: c[ 3 ], x2: c[ 4 ], y2: c[ 5 ] }
+      })
+    }
+  }
+
+  return points
+}
+
+/**
+ * Collapses a subpath to its centroid, keeping its number of Cubics.
+ *
+ * @param {Object} subpath
+ *
+ * @returns {Object}
+ *
+ * @example
+ * collapsedSubpath({ start, cubics })
+ */
+const collapsedSubpath = subpath => {
+  const c = centroid({ attributes: {}, points: subpathPoints([ subpath ], false) })
+
+  return {
+    start: { x: c.x, y: c.y },
+    cubics: subpath.cubics.map(() => [ c.x, c.y, c.x, c.y, c.x, c.y, c.x, c.y ])
+  }
+}
+
+/**
+ * Creates Points with the same number of subpaths and points from two
+ * Points. Closed subpaths of the second Points are rotated to minimise
+ * the distance their points travel.
+ *
+ * @param {Points} fromPoints
+ * @param {Points} toPoints
+ * @param {Object} options
+ *
+ * @returns {Points[]}
+ *
+ * @example
+ * normalisePoints(fromFrameShape.points, toFrameShape.points, { rotate: true })
+ */
+const normalisePoints = (fromPoints, toPoints, { rotate: rotatable }) => {
+  const lines = fromPoints.concat(toPoints).every(point => !point.curve)
+  const from = subpaths(fromPoints)
+  const to = subpaths(toPoints)
+
+  for (let i = from.length, l = to.length; i < l; i++) {
+    from.push(collapsedSubpath(to[ i ]))
+  }
+
+  for (let i = to.length, l = from.length; i < l; i++) {
+    to.push(collapsedSubpath(from[ i ]))
+  }
+
+  for (let i = 0, l = from.length; i < l; i++) {
+    const count = Math.max(from[ i ].cubics.length, to[ i ].cubics.length)
+
+    from[ i ] = addCubics(from[ i ], count)
+    to[ i ] = addCubics(to[ i ], count)
+
+    if (rotatable && closed(from[ i ]) && closed(to[ i ])) {
+      to[ i ] = rotate(to[ i ], rotation(from[ i ], to[ i ]))
+    }
+  }
+
+  return [ subpathPoints(from, lines), subpathPoints(to, lines) ]
+}
+
+/**
+ * Collapses a FrameShape, and each of its children, to its centroid.
+ * Used as a placeholder for a FrameShape with no counterpart, so its
+ * id, Passthroughs and Defs are removed to avoid duplicating them.
+ *
+ * @param {FrameShape} frameShp
+ *
+ * @returns {FrameShape}
+ *
+ * @example
+ * collapsed(frameShape)
+ */
+const collapsed = frameShp => {
+  const result = { ...frameShp, attributes: { ...frameShp.attributes } }
+
+  delete result.attributes.id
+  delete result.defs
+  delete result.passthrough
+  delete result.shape
+
+  if (frameShp.childFrameShapes) {
+    result.childFrameShapes = frameShp.childFrameShapes.map(collapsed)
+  } else {
+    const c = centroid(frameShp)
+
+    result.points = frameShp.points.map(point => point.moveTo
+      ? { x: c.x, y: c.y, moveTo: true }
+      : { x: c.x, y: c.y })
+  }
+
+  return result
+}
+
+/**
+ * Wraps a shape FrameShape in a group FrameShape.
+ *
+ * @param {FrameShape} frameShp
+ *
+ * @returns {FrameShape}
+ *
+ * @example
+ * grouped(frameShape)
+ */
+const grouped = frameShp => frameShp.childFrameShapes
+  ? frameShp
+  : { attributes: {}, childFrameShapes: [ frameShp ] }
+
+/**
+ * Normalises two valid FrameShapes.
+ *
+ * @param {FrameShape} from
+ * @param {FrameShape} to
+ * @param {Object} options
+ *
+ * @returns {FrameShape[]}
+ *
+ * @example
+ * normaliseFrameShapes(fromFrameShape, toFrameShape, { rotate: true })
+ */
+const normaliseFrameShapes = (from, to, options) => {
+  if (!from.childFrameShapes && !to.childFrameShapes) {
+    const points = normalisePoints(from.points, to.points, options)
+
+    return [
+      { ...from, points: points[ 0 ] },
+      { ...to, points: points[ 1 ] }
+    ]
+  }
+
+  const fromGroup = grouped(from)
+  const toGroup = grouped(to)
+  const fromChildren = fromGroup.childFrameShapes.slice()
+  const toChildren = toGroup.childFrameShapes.slice()
+
+  for (let i = fromChildren.length, l = toChildren.length; i < l; i++) {
+    fromChildren.push(collapsed(toChildren[ i ]))
+  }
+
+  for (let i = toChildren.length, l = fromChildren.length; i < l; i++) {
+    toChildren.push(collapsed(fromChildren[ i ]))
+  }
+
+  const fromResult = []
+  const toResult = []
+
+  for (let i = 0, l = fromChildren.length; i < l; i++) {
+    const children = normaliseFrameShapes(fromChildren[ i ], toChildren[ i ], options)
+    fromResult.push(children[ 0 ])
+    toResult.push(children[ 1 ])
+  }
+
+  return [
+    { ...fromGroup, childFrameShapes: fromResult },
+    { ...toGroup, childFrameShapes: toResult }
+  ]
+}
+
+/**
+ * Creates two FrameShapes that can be morphed between from two
+ * FrameShapes. Both have the same tree of childFrameShapes, and each
+ * pair of shapes has the same number of subpaths and points, with the
+ * same curve types. Missing children and subpaths are added, collapsed
+ * to the centroid of their counterpart.
+ *
+ * @param {FrameShape} from
+ * @param {FrameShape} to
+ * @param {Object} [options]
+ * @param {boolean} [options.rotate=true] - Rotate the start of closed subpaths of to, to minimise the distance points travel.
+ *
+ * @returns {FrameShape[]}
+ *
+ * @example
+ * normalise(fromFrameShape, toFrameShape)
+ */
+const normalise = (from, to, { rotate = true } = {}) => {
+  if (validFrameShape(from) && validFrameShape(to)) {
+    return normaliseFrameShapes(from, to, { rotate })
+  }
+}
+
+export default normalise
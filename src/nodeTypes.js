@@ -0,0 +1,139 @@
+/**
+ * Wilderness' accepted node types core props.
+ */
+const nodeCoreProps = [
+  {
+    type: 'circle',
+    coreProps: [ 'cx', 'cy', 'r' ]
+  },
+  {
+    type: 'ellipse',
+    coreProps: [ 'cx', 'cy', 'rx', 'ry' ]
+  },
+  {
+    type: 'g',
+    coreProps: []
+  },
+  {
+    type: 'line',
+    coreProps: [ 'x1', 'x2', 'y1', 'y2' ]
+  },
+  {
+    type: 'path',
+    coreProps: [ 'd' ]
+  },
+  {
+    type: 'polygon',
+    coreProps: [ 'points' ]
+  },
+  {
+    type: 'polyline',
+    coreProps: [ 'points' ]
+  },
+  {
+    type: 'rect',
+    coreProps: [ 'height', 'rx', 'ry', 'width', 'x', 'y' ]
+  }
+]
+
+/**
+ * Generates Wilderness' accepted node types from core props object.
+ *
+ * @returns {string[]}
+ *
+ * @example
+ * getNodeTypes()
+ */
+const getNodeTypes = () => {
+  const types = []
+
+  for (let i = 0, l = nodeCoreProps.length; i < l; i++) {
+    types.push(nodeCoreProps[ i ].type)
+  }
+
+  return types
+}
+
+/**
+ * Wilderness' accepted node types.
+ */
+const nodeTypes = getNodeTypes()
+
+/**
+ * Core props for the defined node type.
+ *
+ * @param {string} type
+ *
+ * @returns {Object}
+ *
+ * @example
+ * coreProps('rect')
+ */
+const coreProps = type => {
+  for (let i = 0, l = nodeCoreProps.length; i < l; i++) {
+    if (nodeCoreProps[ i ].type === type) {
+      return nodeCoreProps[ i ].coreProps
+    }
+  }
+
+  return []
+}
+
+/**
+ * Node types read as a group, in addition to g.
+ */
+const groupNodeTypes = [ 'defs', 'svg', 'symbol' ]
+
+/**
+ * Node types that are not rendered, so are ignored when reading child nodes.
+ */
+const hiddenNodeTypes = [ 'defs', 'symbol' ]
+
+/**
+ * Is a node name read as a group?
+ *
+ * @param {string} nodeName
+ *
+ * @returns {boolean}
+ *
+ * @example
+ * groupNodeType(nodeName)
+ */
+const groupNodeType = nodeName => nodeName === 'g' || groupNodeTypes.indexOf(nodeName) !== -1
+
+/**
+ * Is a node name one of the accepted node types?
+ *
+ * @param {string} nodeName
+ *
+ * @returns {boolean}
+ *
+ * @example
+ * validNodeType(nodeName)
+ */
+const validNodeType = nodeName => (
+  nodeTypes.indexOf(nodeName) !== -1 ||
+  groupNodeTypes.indexOf(nodeName) !== -1 ||
+  nodeName === 'use'
+)
+
+/**
+ * Is a node name one of the accepted node types that is rendered?
+ *
+ * @param {string} nodeName
+ *
+ * @returns {boolean}
+ *
+ * @example
+ * validChildNodeType(nodeName)
+ */
+const validChildNodeType = nodeName => validNodeType(nodeName) && hiddenNodeTypes.indexOf(nodeName) === -1
+
+export {
+  coreProps,
+  groupNodeType,
+  nodeCoreProps,
+  nodeTypes,
+  validChildNodeType,
+  validNodeType
+}
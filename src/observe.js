@@ -0,0 +1,52 @@
+/* globals __DEV__ */
+
+import { frameShapeChanges } from './changes'
+import { readContext, readFrameShape } from './read'
+import { validNode } from './valid'
+
+/**
+ * Keeps a FrameShape in sync with a Node. Whenever the Node or its
+ * descendants change, the FrameShape is read again and passed to the
+ * callback, along with the Changes from the previous FrameShape.
+ * Points are only created again for Nodes whose core props changed.
+ *
+ * @param {Adapter} adapter
+ * @param {Node} el
+ * @param {function} callback - (frameShape, changes) => void
+ * @param {Object} [options] - The same options as frameShape.
+ *
+ * @returns {Object} An object with a disconnect function, and a frameShape property.
+ *
+ * @example
+ * observe(adapter, el, (frameShape, changes) => console.log(changes))
+ */
+const observe = (adapter, el, callback, options = {}) => {
+  validNode(el, adapter)
+
+  if (__DEV__ && typeof callback !== 'function') {
+    throw new TypeError(`callback must be of type function`)
+  }
+
+  const context = { ...readContext(el, options), pointsCache: new WeakMap() }
+
+  let current = readFrameShape(adapter, el, context)
+
+  const disconnect = adapter.observe(el, () => {
+    const next = readFrameShape(adapter, el, context)
+    const changes = frameShapeChanges(current, next)
+
+    if (changes.length) {
+      current = next
+      callback(next, changes)
+    }
+  })
+
+  return {
+    disconnect,
+    get frameShape () {
+      return current
+    }
+  }
+}
+
+export default observe
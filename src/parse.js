@@ -0,0 +1,214 @@
+/* globals __DEV__ */
+
+/**
+ * A lightweight element created from SVG markup. It has the subset
+ * of DOM Node properties used when creating FrameShapes and
+ * PlainShapeObjects.
+ *
+ * @typedef {Object} ParsedNode
+ *
+ * @property {Object[]} attributes - Objects with name and value properties.
+ * @property {ParsedNode[]} childNodes
+ * @property {function} hasAttributes
+ * @property {string} nodeName
+ * @property {string} [nodeValue] - The text of a text node.
+ */
+
+/**
+ * Matches an opening tag.
+ */
+const openTagPattern = /<([^\s/>]+)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>/g
+
+/**
+ * Matches an attribute within an opening tag.
+ */
+const attributePattern = /([^\s=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g
+
+/**
+ * Named XML entities.
+ */
+const entities = {
+  amp: '&',
+  apos: '\'',
+  gt: '>',
+  lt: '<',
+  quot: '"'
+}
+
+/**
+ * Decodes XML entities in a string.
+ *
+ * @param {string} str
+ *
+ * @returns {string}
+ *
+ * @example
+ * decode('&quot;potato&quot;')
+ */
+const decode = str => str.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, entity) => {
+  if (entity[ 0 ] === '#') {
+    return String.fromCodePoint(entity[ 1 ] === 'x' || entity[ 1 ] === 'X'
+      ? parseInt(entity.slice(2), 16)
+      : parseInt(entity.slice(1), 10))
+  }
+
+  return entities.hasOwnProperty(entity) ? entities[ entity ] : match
+})
+
+/**
+ * Creates a ParsedNode.
+ *
+ * @param {string} nodeName
+ * @param {Object[]} [attributes]
+ * @param {string} [nodeValue]
+ *
+ * @returns {ParsedNode}
+ *
+ * @example
+ * parsedNode('rect', [{ name: 'x', value: '10' }])
+ */
+const parsedNode = (nodeName, attributes = [], nodeValue) => ({
+  attributes,
+  childNodes: [],
+  hasAttributes: () => attributes.length > 0,
+  nodeName,
+  nodeValue
+})
+
+/**
+ * Creates attribute objects from the attribute section of an opening tag.
+ *
+ * @param {string} str
+ *
+ * @returns {Object[]}
+ *
+ * @example
+ * parseAttributes(' x="10" y="20"')
+ */
+const parseAttributes = str => {
+  const attributes = []
+
+  attributePattern.lastIndex = 0
+
+  let match
+
+  while ((match = attributePattern.exec(str))) {
+    attributes.push({ name: match[ 1 ], value: decode(match[ 2 ] || match[ 3 ] || match[ 4 ] || '') })
+  }
+
+  return attributes
+}
+
+/**
+ * Finds the end of a markup section, throwing if it is not found.
+ *
+ * @param {string} markup
+ * @param {string} terminator
+ * @param {number} i - Index to start searching from.
+ *
+ * @throws {SyntaxError} Throws if terminator is not found.
+ *
+ * @returns {number} Index of the character after the terminator.
+ *
+ * @example
+ * sectionEnd(markup, '-->', i)
+ */
+const sectionEnd = (markup, terminator, i) => {
+  const end = markup.indexOf(terminator, i)
+
+  if (end === -1) {
+    throw new SyntaxError(`markup has an unterminated section at position ${i}`)
+  }
+
+  return end + terminator.length
+}
+
+/**
+ * Parses an SVG markup string into a tree of ParsedNodes.
+ *
+ * @param {string} markup
+ *
+ * @throws {SyntaxError} Throws if markup is malformed.
+ *
+ * @returns {ParsedNode} The root element.
+ *
+ * @example
+ * parse('<rect x="10" y="10" width="80" height="80" />')
+ */
+const parse = markup => {
+  if (__DEV__) {
+    if (typeof markup !== 'string') {
+      throw new TypeError(`markup must be of type string`)
+    }
+  }
+
+  const doc = parsedNode('#document')
+  const stack = [ doc ]
+
+  let i = 0
+
+  while (i < markup.length) {
+    const parent = stack[ stack.length - 1 ]
+
+    if (markup[ i ] !== '<') {
+      const next = markup.indexOf('<', i)
+      const end = next === -1 ? markup.length : next
+      parent.childNodes.push(parsedNode('#text', [], decode(markup.slice(i, end))))
+      i = end
+    } else if (markup.startsWith('<!--', i)) {
+      i = sectionEnd(markup, '-->', i)
+    } else if (markup.startsWith('<![CDATA[', i)) {
+      const end = sectionEnd(markup, ']]>', i)
+      parent.childNodes.push(parsedNode('#cdata-section', [], markup.slice(i + 9, end - 3)))
+      i = end
+    } else if (markup.startsWith('<?', i)) {
+      i = sectionEnd(markup, '?>', i)
+    } else if (markup.startsWith('<!', i)) {
+      const bracket = markup.indexOf('[', i)
+      const close = markup.indexOf('>', i)
+      i = bracket !== -1 && bracket < close ? sectionEnd(markup, ']>', bracket) : sectionEnd(markup, '>', i)
+    } else if (markup.startsWith('</', i)) {
+      const end = sectionEnd(markup, '>', i)
+      const name = markup.slice(i + 2, end - 1).trim()
+
+      if (stack.length === 1 || parent.nodeName !== name) {
+        throw new SyntaxError(`markup has an unexpected closing tag </${name}> at position ${i}`)
+      }
+
+      stack.pop()
+      i = end
+    } else {
+      openTagPattern.lastIndex = i
+
+      const match = openTagPattern.exec(markup)
+
+      if (!match || match.index !== i) {
+        throw new SyntaxError(`markup has an invalid tag at position ${i}`)
+      }
+
+      const el = parsedNode(match[ 1 ], parseAttributes(match[ 2 ]))
+
+      parent.childNodes.push(el)
+
+      if (!match[ 3 ]) {
+        stack.push(el)
+      }
+
+      i = openTagPattern.lastIndex
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new SyntaxError(`markup has an unclosed tag <${stack[ stack.length - 1 ].nodeName}>`)
+  }
+
+  const root = doc.childNodes.filter(n => n.nodeName[ 0 ] !== '#')[ 0 ]
+
+  if (!root) {
+    throw new SyntaxError(`markup must contain an element`)
+  }
+
+  return root
+}
+
+export default parse
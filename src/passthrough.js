@@ -0,0 +1,69 @@
+/**
+ * A copy of a Node that is not a shape, such as title, desc, text or
+ * linearGradient. It is not read as a FrameShape, but is re-created
+ * verbatim. A text Node is copied as an object with only a text property.
+ *
+ * @typedef {Object} PassthroughNode
+ *
+ * @property {Object} [attributes]
+ * @property {PassthroughNode[]} [childNodes]
+ * @property {string} [text] - The text of a text Node.
+ * @property {string} [type] - The nodeName of the Node.
+ */
+
+/**
+ * A PassthroughNode and its position within a group.
+ *
+ * @typedef {Object} Passthrough
+ *
+ * @property {number} index - The number of childFrameShapes before the Node.
+ * @property {PassthroughNode} node
+ */
+
+/**
+ * Is a nodeName that of a text Node?
+ *
+ * @param {string} name
+ *
+ * @returns {boolean}
+ *
+ * @example
+ * textNodeName('#text')
+ */
+const textNodeName = name => name === '#text' || name === '#cdata-section'
+
+/**
+ * Merges childFrameShapes and Passthroughs into a single array in
+ * the order they are written. Passthroughs must be ordered by index.
+ *
+ * @param {FrameShape[]} childFrameShapes
+ * @param {Passthrough[]} [passthrough]
+ *
+ * @returns {Object[]} Objects with either a frameShape or a passthroughNode property.
+ *
+ * @example
+ * groupChildren(childFrameShapes, [ { index: 0, node: { type: 'title', attributes: {}, childNodes: [] } } ])
+ */
+const groupChildren = (childFrameShapes, passthrough = []) => {
+  const result = []
+
+  let p = 0
+
+  const pushPassthrough = index => {
+    while (p < passthrough.length && passthrough[ p ].index <= index) {
+      result.push({ passthroughNode: passthrough[ p ].node })
+      p++
+    }
+  }
+
+  for (let i = 0, l = childFrameShapes.length; i < l; i++) {
+    pushPassthrough(i)
+    result.push({ frameShape: childFrameShapes[ i ] })
+  }
+
+  pushPassthrough(Infinity)
+
+  return result
+}
+
+export { groupChildren, textNodeName }
@@ -0,0 +1,117 @@
+/* globals __DEV__ */
+
+/**
+ * The changes required to update a Node, as plain data.
+ *
+ * @typedef {Object} Patch
+ *
+ * @property {Object} [attributes] - Attribute names to [ current, next ] values. null if absent.
+ * @property {ChildPatch[]} [childNodes] - The next shape child Nodes, in order.
+ * @property {PassthroughNode[]} [defs] - The current and next defs child Node. null if absent.
+ * @property {Object[]} [removed] - The index and FrameShape of each removed shape child Node.
+ * @property {Object} [replace] - The current and next FrameShape, if the Node is replaced.
+ */
+
+/**
+ * A shape child Node of a patched group Node. Either an existing child
+ * Node, by its index within the current shape child Nodes, or a new
+ * child Node created from a FrameShape.
+ *
+ * @typedef {Object} ChildPatch
+ *
+ * @property {FrameShape} [frameShape]
+ * @property {number} [index]
+ * @property {Patch} [patch]
+ */
+
+/**
+ * Is a Patch valid?
+ *
+ * @param {Patch} patch
+ *
+ * @throws {TypeError} Throws if not valid
+ *
+ * @returns {true}
+ *
+ * @example
+ * validPatch({ attributes: { fill: [ 'red', 'blue' ] } })
+ */
+const validPatch = patch => {
+  if (__DEV__) {
+    if (typeof patch !== 'object' || patch === null || Array.isArray(patch)) {
+      throw new TypeError(`patch must be of type object`)
+    }
+
+    if (patch.childNodes && !Array.isArray(patch.childNodes)) {
+      throw new TypeError(`patch childNodes property must be of type array`)
+    }
+  }
+
+  return true
+}
+
+/**
+ * Creates a Patch that undoes a Patch. Removed and replaced Nodes are
+ * re-created from FrameShapes.
+ *
+ * @param {Patch} patch
+ *
+ * @returns {Patch}
+ *
+ * @example
+ * invertPatch({ attributes: { fill: [ 'red', null ] } })
+ */
+const invertPatch = patch => {
+  if (validPatch(patch)) {
+    const result = {}
+
+    if (patch.replace) {
+      result.replace = { current: patch.replace.next, next: patch.replace.current }
+    }
+
+    if (patch.defs) {
+      result.defs = [ patch.defs[ 1 ], patch.defs[ 0 ] ]
+    }
+
+    if (patch.attributes) {
+      result.attributes = {}
+
+      for (let k in patch.attributes) {
+        const values = patch.attributes[ k ]
+        result.attributes[ k ] = [ values[ 1 ], values[ 0 ] ]
+      }
+    }
+
+    if (patch.childNodes) {
+      const childNodes = []
+      const removed = patch.removed || []
+      const created = []
+
+      for (let i = 0, l = patch.childNodes.length; i < l; i++) {
+        const child = patch.childNodes[ i ]
+
+        if (child.frameShape) {
+          created.push({ index: i, frameShape: child.frameShape })
+        } else {
+          childNodes[ child.index ] = child.patch
+            ? { index: i, patch: invertPatch(child.patch) }
+            : { index: i }
+        }
+      }
+
+      for (let i = 0, l = removed.length; i < l; i++) {
+        childNodes[ removed[ i ].index ] = { frameShape: removed[ i ].frameShape }
+      }
+
+      result.childNodes = childNodes
+
+      if (created.length) {
+        result.removed = created
+      }
+    }
+
+    return result
+  }
+}
+
+export { invertPatch, validPatch }
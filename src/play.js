@@ -0,0 +1,150 @@
+import interpolate from './interpolate'
+import { frameShape } from './read'
+
+import {
+  defaultClock,
+  iterationProgress,
+  keyframePosition,
+  keyframeTiming,
+  validKeyframes
+} from './timeline'
+
+import { updateNode } from './update'
+import { validNode } from './valid'
+
+/**
+ * Plays Keyframes on a Node. The Node is updated with updateNode on
+ * each frame, and playback starts immediately unless paused.
+ *
+ * @param {Adapter} adapter
+ * @param {Node} el
+ * @param {Keyframe[]} keyframes
+ * @param {Object} [options]
+ * @param {boolean} [options.alternate] - Play every other iteration backwards.
+ * @param {Clock} [options.clock] - Schedules frames (default requestAnimationFrame and performance.now).
+ * @param {number} [options.duration=1000] - The duration of each iteration in ms, if Keyframes have no durations.
+ * @param {number} [options.iterations=1] - The number of iterations, which can be Infinity.
+ * @param {function} [options.onFinish] - Called when playback reaches either end.
+ * @param {boolean} [options.paused] - Do not start playing.
+ * @param {Object} [options.updateOptions] - The options passed to updateNode.
+ *
+ * @returns {Object} An object with pause, play, reverse and seek functions, and currentTime, el and playing properties.
+ *
+ * @example
+ * play(adapter, el, [ { frameShape: from }, { frameShape: to } ], { alternate: true, iterations: Infinity })
+ */
+const play = (adapter, el, keyframes, {
+  alternate = false,
+  clock = defaultClock,
+  duration = 1000,
+  iterations = 1,
+  onFinish,
+  paused = false,
+  updateOptions = {}
+} = {}) => {
+  validNode(el, adapter)
+  validKeyframes(keyframes)
+
+  const frameShapes = keyframes.map(keyframe => keyframe.frameShape || frameShape(adapter, keyframe.el))
+  const timing = keyframeTiming(keyframes, duration)
+  const total = timing.duration * iterations
+  const tweens = []
+
+  for (let i = 1, l = keyframes.length; i < l; i++) {
+    const easing = keyframes[ i ].easing
+    tweens.push(interpolate(frameShapes[ i - 1 ], frameShapes[ i ], easing ? { easing } : {}))
+  }
+
+  let current = el
+  let frame = null
+  let last = 0
+  let playing = false
+  let rate = 1
+  let time = 0
+
+  const render = () => {
+    const progress = iterationProgress(time, { alternate, duration: timing.duration, iterations })
+    const position = keyframePosition(timing.offsets, progress)
+
+    current = updateNode(adapter, current, tweens[ position.index ](position.t), updateOptions)
+  }
+
+  const tick = () => {
+    const now = clock.now()
+
+    time = Math.min(Math.max(time + (now - last) * rate, 0), total)
+    last = now
+
+    render()
+
+    if ((rate > 0 && time >= total) || (rate < 0 && time <= 0)) {
+      playing = false
+
+      if (onFinish) {
+        onFinish()
+      }
+    } else {
+      frame = clock.requestFrame(tick)
+    }
+  }
+
+  const pause = () => {
+    if (playing) {
+      playing = false
+      clock.cancelFrame(frame)
+    }
+  }
+
+  const start = () => {
+    if (!playing) {
+      if (rate > 0 && time >= total) {
+        time = 0
+      } else if (rate < 0 && time <= 0 && total !== Infinity) {
+        time = total
+      }
+
+      playing = true
+      last = clock.now()
+
+      render()
+
+      frame = clock.requestFrame(tick)
+    }
+  }
+
+  const reverse = () => {
+    rate = -rate
+    start()
+  }
+
+  const seek = t => {
+    time = Math.min(Math.max(t, 0), total)
+    last = clock.now()
+
+    render()
+  }
+
+  if (paused) {
+    render()
+  } else {
+    start()
+  }
+
+  return {
+    get currentTime () {
+      return time
+    },
+    get el () {
+      return current
+    },
+    get playing () {
+      return playing
+    },
+    pause,
+    play: start,
+    reverse,
+    seek
+  }
+}
+
+export default play
@@ -0,0 +1,47 @@
+import { toPath, toPoints } from 'svg-points'
+
+/**
+ * The PlainShapeObject of the element a FrameShape was read from, if
+ * its points still describe that element exactly.
+ *
+ * @param {FrameShape} frameShp
+ *
+ * @returns {(PlainShapeObject|null)}
+ *
+ * @example
+ * primitive({ attributes: {}, points, shape: { type: 'circle', cx: 50, cy: 50, r: 20 } })
+ */
+const primitive = frameShp => {
+  const shape = frameShp.shape
+
+  if (!shape || !frameShp.points) {
+    return null
+  }
+
+  return toPath(toPoints(shape)) === toPath(frameShp.points) ? shape : null
+}
+
+/**
+ * The attributes of the element described by a PlainShapeObject,
+ * without its type.
+ *
+ * @param {PlainShapeObject} shape
+ *
+ * @returns {Object}
+ *
+ * @example
+ * primitiveAttributes({ type: 'circle', cx: 50, cy: 50, r: 20 })
+ */
+const primitiveAttributes = shape => {
+  const result = {}
+
+  for (let k in shape) {
+    if (k !== 'type') {
+      result[ k ] = shape[ k ]
+    }
+  }
+
+  return result
+}
+
+export { primitive, primitiveAttributes }
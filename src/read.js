@@ -0,0 +1,772 @@
+/* globals __DEV__ */
+
+import { toPoints } from 'svg-points'
+import { attributeFilter } from './attributeFilter'
+
+import {
+  childLengthContext,
+  defaultFontSize,
+  lengthAxes,
+  nodeLengthContext,
+  normaliseAttributes,
+  parseLength
+} from './attributeValue'
+
+import { splitFrameShape } from './compound'
+import { defNodeType, gradientNodeType, gradientStop, referencedIds, withoutReadDefs } from './defs'
+import { coreProps, groupNodeType, validChildNodeType, validNodeType } from './nodeTypes'
+import { textNodeName } from './passthrough'
+import { optimisePoints } from './simplify'
+import { expandStyle } from './style'
+import { identity, multiply, parseTransform, transformAttribute, transformPoints } from './transform'
+import { useAttributes } from './use'
+import { validNode } from './valid'
+
+/**
+ * A DOM node, or the equivalent for the Adapter in use.
+ *
+ * @typedef {Object} Node
+ */
+
+/**
+ * The data from a Node that is useful in FrameShape and PlainShapeObject creation.
+ *
+ * @typedef {Object} NodeData
+ *
+ * @property {Object} attributes - All HTML attributes of the Node.
+ * @property {Object[]} childNodes
+ * @property {ReadContext} [context] - The ReadContext for the child Nodes.
+ * @property {LengthContext} [lengthContext] - Used to resolve relative lengths of the Node.
+ * @property {Node} [reference] - The Node referenced by a use Node.
+ * @property {string} type - The nodeName of the Node, or g if read as a group.
+ */
+
+/**
+ * The state of reading a Node tree.
+ *
+ * @typedef {Object} ReadContext
+ *
+ * @property {Node[]} ancestors - Nodes above the current Node, used to avoid circular references.
+ * @property {function} filter - Decides which attributes are read, as created by attributeFilter.
+ * @property {LengthContext} lengthContext - The LengthContext of the current Node's parent.
+ * @property {Matrix} matrix - The transform of the current Node's parent, if flattening transforms.
+ * @property {Object} options - The options passed to the public function.
+ * @property {WeakMap} [pointsCache] - Nodes to the PlainShapeObject and Points last read from them.
+ * @property {Node} root - The Node passed to the public function.
+ */
+
+/**
+ * Removes attributes that do not pass a filter. The core props of
+ * type are always kept.
+ *
+ * @param {Object} attributes
+ * @param {string} type
+ * @param {function} filter - As created by attributeFilter.
+ *
+ * @returns {Object}
+ *
+ * @example
+ * filterAttributes(attributes, 'rect', filter)
+ */
+const filterAttributes = (attributes, type, filter) => {
+  const props = coreProps(type)
+  const result = {}
+
+  for (let k in attributes) {
+    if (props.indexOf(k) !== -1 || filter(k, attributes[ k ])) {
+      result[ k ] = attributes[ k ]
+    }
+  }
+
+  return result
+}
+
+/**
+ * Finds a Node by id, first with the Adapter and then by
+ * searching the descendants of a Node.
+ *
+ * @param {Adapter} adapter
+ * @param {Node} el
+ * @param {string} id
+ *
+ * @returns {(Node|null)}
+ *
+ * @example
+ * findById(adapter, el, 'icon')
+ */
+const findById = (adapter, el, id) => {
+  const found = adapter.getElementById(el, id)
+
+  if (found) {
+    return found
+  }
+
+  const search = n => {
+    if (adapter.getNodeName(n)[ 0 ] === '#') {
+      return null
+    }
+
+    if (adapter.getAttributes(n).id === id) {
+      return n
+    }
+
+    const childNodes = adapter.getChildren(n)
+
+    for (let i = 0, l = childNodes.length; i < l; i++) {
+      const match = search(childNodes[ i ])
+
+      if (match) {
+        return match
+      }
+    }
+
+    return null
+  }
+
+  return search(el)
+}
+
+/**
+ * Creates a FrameShape from a Node.
+ *
+ * @param {Adapter} adapter
+ * @param {Node} node
+ * @param {Object} [options]
+ * @param {string[]} [options.computedStyle] - Properties to read from the computed style.
+ * @param {boolean} [options.dedupe] - Remove points that draw nothing, and collinear straight line points.
+ * @param {boolean} [options.defs] - Read the clip paths, masks and gradients referenced by a group.
+ * @param {(string|RegExp)[]} [options.exclude] - Attributes to ignore, as well as the default excludes.
+ * @param {boolean} [options.expandStyle] - Move style attribute presentation properties to attributes.
+ * @param {function} [options.filter] - (name, value) => boolean, false to ignore an attribute.
+ * @param {boolean} [options.flattenTransforms] - Apply transform attributes to points.
+ * @param {number} [options.fontSize] - Font size in px used to resolve em lengths (default 16).
+ * @param {(string|RegExp)[]} [options.include] - If set, only these attributes are read.
+ * @param {boolean} [options.normalise] - Parse colour, number and length attributes.
+ * @param {boolean} [options.passthrough] - Copy child Nodes of groups that are not shapes.
+ * @param {number} [options.precision] - Round coordinates to this many decimal places.
+ * @param {boolean} [options.preserveType] - Remember the type and core props of basic shapes.
+ * @param {number} [options.simplify] - Simplify points within this tolerance, in px.
+ * @param {boolean} [options.splitSubpaths] - Read paths with more than one subpath as compound groups.
+ * @param {Object} [options.viewport] - Width and height used to resolve percentages, if not within an svg Node.
+ *
+ * @returns {FrameShape}
+ *
+ * @example
+ * frameShape(adapter, node, { flattenTransforms: true })
+ */
+const frameShape = (adapter, el, options = {}) => {
+  if (validNode(el, adapter)) {
+    return readFrameShape(adapter, el, readContext(el, options))
+  }
+}
+
+/**
+ * Creates a FrameShape from a Node within a tree being read.
+ *
+ * @param {Adapter} adapter
+ * @param {Node} el
+ * @param {ReadContext} context
+ * @param {boolean} [referenced] - Is el referenced by a use Node?
+ *
+ * @returns {FrameShape}
+ *
+ * @example
+ * frameShapeFromNode(adapter, el, context)
+ */
+const frameShapeFromNode = (adapter, el, context, referenced) => {
+  const data = readNodeData(adapter, el, context, referenced)
+  const attributes = data.attributes
+  const type = data.type
+
+  let matrix = context.matrix
+
+  if (context.options.flattenTransforms) {
+    const nodeMatrix = attributes.transform ? multiply(matrix, parseTransform(attributes.transform)) : matrix
+
+    if (referencedIds({ attributes }).length) {
+      matrix = identity
+
+      if (nodeMatrix === identity) {
+        delete attributes.transform
+      } else {
+        attributes.transform = transformAttribute(nodeMatrix)
+      }
+    } else {
+      matrix = nodeMatrix
+      delete attributes.transform
+    }
+  }
+
+  if (type === 'g') {
+    const childNodes = data.childNodes
+    const childContext = { ...data.context, matrix }
+    const childFrameShapes = []
+    const passthrough = []
+
+    for (let i = 0, l = childNodes.length; i < l; i++) {
+      const n = childNodes[ i ]
+      const name = adapter.getNodeName(n)
+
+      if (n === data.reference || validChildNodeType(name)) {
+        childFrameShapes.push(frameShapeFromNode(adapter, n, childContext, n === data.reference))
+      } else if (context.options.passthrough && name[ 0 ] !== '#') {
+        const passthroughData = passthroughNodeData(adapter, n, context.filter)
+
+        passthrough.push({
+          index: childFrameShapes.length,
+          node: matrix === identity
+            ? passthroughData
+            : { type: 'g', attributes: { transform: transformAttribute(matrix) }, childNodes: [ passthroughData ] }
+        })
+      }
+    }
+
+    return passthrough.length
+      ? { attributes, childFrameShapes, passthrough }
+      : { attributes, childFrameShapes }
+  }
+
+  const shape = plainShapeObjectFromAttrs(type, attributes, data.lengthContext)
+  const points = shapePoints(el, shape, context)
+
+  if (context.options.preserveType && type !== 'path' && matrix === identity) {
+    return { attributes: removeCoreProps(type, attributes), points: optimisePoints(points, context.options), shape }
+  }
+
+  const result = {
+    attributes: removeCoreProps(type, attributes),
+    points: optimisePoints(matrix === identity ? points : transformPoints(points, matrix), context.options)
+  }
+
+  return context.options.splitSubpaths ? splitFrameShape(result) : result
+}
+
+/**
+ * Creates the GradientStops of a gradient Node.
+ *
+ * @param {Adapter} adapter
+ * @param {Node} el
+ *
+ * @returns {GradientStop[]}
+ *
+ * @example
+ * gradientStops(adapter, el)
+ */
+const gradientStops = (adapter, el) => {
+  const childNodes = adapter.getChildren(el)
+  const stops = []
+
+  for (let i = 0, l = childNodes.length; i < l; i++) {
+    if (adapter.getNodeName(childNodes[ i ]) === 'stop') {
+      stops.push(gradientStop(adapter.getAttributes(childNodes[ i ])))
+    }
+  }
+
+  return stops
+}
+
+/**
+ * Creates NodeData given a Node.
+ *
+ * @param {Adapter} adapter
+ * @param {Node} el
+ *
+ * @returns {NodeData}
+ *
+ * @example
+ * nodeData(adapter, el)
+ */
+const nodeData = (adapter, el) => ({
+  attributes: { ...adapter.getAttributes(el) },
+  childNodes: adapter.getChildren(el),
+  type: adapter.getNodeName(el)
+})
+
+/**
+ * Creates a PassthroughNode from a Node. Attributes that do not
+ * pass the attribute filter, and comments, are not copied.
+ *
+ * @param {Adapter} adapter
+ * @param {Node} el
+ * @param {function} filter - As created by attributeFilter.
+ *
+ * @returns {PassthroughNode}
+ *
+ * @example
+ * passthroughNodeData(adapter, el, filter)
+ */
+const passthroughNodeData = (adapter, el, filter) => {
+  const type = adapter.getNodeName(el)
+
+  if (textNodeName(type)) {
+    return { text: adapter.getNodeValue(el) }
+  }
+
+  const currentAttributes = adapter.getAttributes(el)
+  const allChildNodes = adapter.getChildren(el)
+  const attributes = {}
+  const childNodes = []
+
+  for (let k in currentAttributes) {
+    if (filter(k, currentAttributes[ k ])) {
+      attributes[ k ] = currentAttributes[ k ]
+    }
+  }
+
+  for (let i = 0, l = allChildNodes.length; i < l; i++) {
+    const n = allChildNodes[ i ]
+    const name = adapter.getNodeName(n)
+
+    if (name[ 0 ] !== '#' || textNodeName(name)) {
+      childNodes.push(passthroughNodeData(adapter, n, filter))
+    }
+  }
+
+  return { type, attributes, childNodes }
+}
+
+/**
+ * Creates a PlainShapeObject from a Node.
+ *
+ * @param {Adapter} adapter
+ * @param {Node} el
+ * @param {Object} [options]
+ * @param {string[]} [options.computedStyle] - Properties to read from the computed style.
+ * @param {(string|RegExp)[]} [options.exclude] - Attributes to ignore, as well as the default excludes.
+ * @param {boolean} [options.expandStyle] - Move style attribute presentation properties to attributes.
+ * @param {function} [options.filter] - (name, value) => boolean, false to ignore an attribute.
+ * @param {number} [options.fontSize] - Font size in px used to resolve em lengths (default 16).
+ * @param {(string|RegExp)[]} [options.include] - If set, only these attributes are read.
+ * @param {boolean} [options.normalise] - Parse colour, number and length attributes.
+ * @param {Object} [options.viewport] - Width and height used to resolve percentages, if not within an svg Node.
+ *
+ * @returns {PlainShapeObject}
+ *
+ * @example
+ * plainShapeObject(adapter, el, { normalise: true })
+ */
+const plainShapeObject = (adapter, el, options = {}) => {
+  if (validNode(el, adapter)) {
+    return plainShapeObjectFromNode(adapter, el, readContext(el, options))
+  }
+}
+
+/**
+ * Creates a PlainShapeObject from type and an attribute object.
+ * Core props that are lengths are converted to px.
+ *
+ * @param {string} type
+ * @param {Object} attributes
+ * @param {LengthContext} lengthContext
+ *
+ * @returns {PlainShapeObject}
+ *
+ * @example
+ * plainShapeObjectFromAttrs('rect', attributes, lengthContext)
+ */
+const plainShapeObjectFromAttrs = (type, attributes, lengthContext) => {
+  const props = coreProps(type)
+  const result = { type }
+
+  for (let k in attributes) {
+    if (props.indexOf(k) !== -1) {
+      const v = attributes[ k ]
+
+      if (lengthAxes.hasOwnProperty(k)) {
+        result[ k ] = parseLength(v, lengthAxes[ k ], lengthContext)
+      } else {
+        const n = Number(v)
+        result[ k ] = Number.isNaN(n) ? v : n
+      }
+    }
+  }
+
+  return result
+}
+
+/**
+ * Creates a PlainShapeObject from a Node within a tree being read.
+ *
+ * @param {Adapter} adapter
+ * @param {Node} el
+ * @param {ReadContext} context
+ * @param {boolean} [referenced] - Is el referenced by a use Node?
+ *
+ * @returns {PlainShapeObject}
+ *
+ * @example
+ * plainShapeObjectFromNode(adapter, el, context)
+ */
+const plainShapeObjectFromNode = (adapter, el, context, referenced) => {
+  const data = readNodeData(adapter, el, context, referenced)
+  const attributes = data.attributes
+  const type = data.type
+
+  if (type === 'g') {
+    const childNodes = data.childNodes
+    const shapes = []
+
+    for (let i = 0, l = childNodes.length; i < l; i++) {
+      const n = childNodes[ i ]
+
+      if (n === data.reference || validChildNodeType(adapter.getNodeName(n))) {
+        shapes.push(plainShapeObjectFromNode(adapter, n, data.context, n === data.reference))
+      }
+    }
+
+    return { ...attributes, type, shapes }
+  }
+
+  return {
+    ...attributes,
+    ...plainShapeObjectFromAttrs(type, attributes, data.lengthContext)
+  }
+}
+
+/**
+ * Creates the ReadContext of the Node passed to a public function.
+ *
+ * @param {Node} el
+ * @param {Object} options
+ *
+ * @returns {ReadContext}
+ *
+ * @example
+ * readContext(el, options)
+ */
+const readContext = (el, options) => ({
+  ancestors: [],
+  filter: attributeFilter(options),
+  lengthContext: {
+    fontSize: options.fontSize || defaultFontSize,
+    viewport: options.viewport
+  },
+  matrix: identity,
+  options,
+  root: el
+})
+
+/**
+ * Creates a Def from a Node. A gradient without stops takes the
+ * stops of the gradient it references.
+ *
+ * @param {Adapter} adapter
+ * @param {Node} el
+ * @param {ReadContext} context
+ *
+ * @returns {(Def|null)} null if the Node is not a clipPath, mask or gradient.
+ *
+ * @example
+ * readDef(adapter, el, context)
+ */
+const readDef = (adapter, el, context) => {
+  const type = adapter.getNodeName(el)
+
+  if (!defNodeType(type)) {
+    return null
+  }
+
+  const attributes = { ...adapter.getAttributes(el) }
+
+  delete attributes.id
+
+  if (gradientNodeType(type)) {
+    const visited = [ el ]
+
+    let source = el
+    let stops = gradientStops(adapter, el)
+
+    while (!stops.length) {
+      const sourceAttributes = adapter.getAttributes(source)
+      const href = sourceAttributes.href || sourceAttributes[ 'xlink:href' ]
+      const reference = href && href[ 0 ] === '#' ? findById(adapter, context.root, href.slice(1)) : null
+
+      if (!reference || !gradientNodeType(adapter.getNodeName(reference)) || visited.indexOf(reference) !== -1) {
+        break
+      }
+
+      visited.push(reference)
+      source = reference
+      stops = gradientStops(adapter, reference)
+    }
+
+    delete attributes.href
+    delete attributes[ 'xlink:href' ]
+
+    return { type, attributes, stops }
+  }
+
+  const childNodes = adapter.getChildren(el)
+  const childContext = { ...context, ancestors: [ ...context.ancestors, el ], matrix: identity }
+  const childFrameShapes = []
+
+  for (let i = 0, l = childNodes.length; i < l; i++) {
+    if (validChildNodeType(adapter.getNodeName(childNodes[ i ]))) {
+      childFrameShapes.push(frameShapeFromNode(adapter, childNodes[ i ], childContext))
+    }
+  }
+
+  return { type, attributes, childFrameShapes }
+}
+
+/**
+ * Reads the Defs referenced by a FrameShape, and by those Defs.
+ *
+ * @param {Adapter} adapter
+ * @param {FrameShape} frameShp
+ * @param {ReadContext} context
+ *
+ * @returns {Object} Ids to Defs.
+ *
+ * @example
+ * readDefs(adapter, frameShape, context)
+ */
+const readDefs = (adapter, frameShp, context) => {
+  const defs = {}
+  const ids = referencedIds(frameShp)
+
+  while (ids.length) {
+    const id = ids.shift()
+    const el = defs.hasOwnProperty(id) ? null : findById(adapter, context.root, id)
+    const def = el ? readDef(adapter, el, context) : null
+
+    if (def) {
+      defs[ id ] = def
+      ids.push(...referencedIds(def))
+    }
+  }
+
+  return defs
+}
+
+/**
+ * Creates a FrameShape from the root Node of a tree being read,
+ * including any Defs if the defs option is set.
+ *
+ * @param {Adapter} adapter
+ * @param {Node} el
+ * @param {ReadContext} context
+ *
+ * @returns {FrameShape}
+ *
+ * @example
+ * readFrameShape(adapter, el, readContext(el, options))
+ */
+const readFrameShape = (adapter, el, context) => {
+  const result = frameShapeFromNode(adapter, el, context)
+
+  if (context.options.defs) {
+    if (__DEV__ && !result.childFrameShapes && referencedIds(result).length) {
+      throw new TypeError(`defs option can only read the Defs referenced by a group node, wrap el in a g element`)
+    }
+
+    const defs = result.childFrameShapes ? readDefs(adapter, result, context) : {}
+
+    if (Object.keys(defs).length) {
+      result.defs = defs
+
+      if (context.options.passthrough) {
+        return withoutReadDefs(result, defs)
+      }
+    }
+  }
+
+  return result
+}
+
+/**
+ * Creates NodeData given a Node within a tree being read. Group
+ * node types are read as g, and use Nodes are read as a g
+ * containing the referenced Node. Style, normalisation and
+ * attribute filter options are applied to the attributes.
+ *
+ * @param {Adapter} adapter
+ * @param {Node} el
+ * @param {ReadContext} context
+ * @param {boolean} [referenced] - Is el referenced by a use Node?
+ *
+ * @returns {NodeData}
+ *
+ * @example
+ * readNodeData(adapter, el, context)
+ */
+const readNodeData = (adapter, el, context, referenced) => {
+  const data = nodeData(adapter, el)
+  const options = context.options
+  const type = data.type
+
+  let attributes = options.expandStyle ? expandStyle(data.attributes) : data.attributes
+
+  if (options.computedStyle) {
+    attributes = { ...attributes }
+
+    for (let i = 0, l = options.computedStyle.length; i < l; i++) {
+      const name = options.computedStyle[ i ]
+      const value = adapter.getComputedStyle(el, name)
+
+      if (value) {
+        attributes[ name ] = value
+      }
+    }
+  }
+
+  const lengthContext = nodeLengthContext(attributes, context.lengthContext)
+
+  const childContext = {
+    ...context,
+    ancestors: [ ...context.ancestors, el ],
+    lengthContext: childLengthContext(type, attributes, lengthContext)
+  }
+
+  if (options.normalise) {
+    attributes = normaliseAttributes(attributes, lengthContext)
+  }
+
+  if (referenced) {
+    delete attributes.id
+  }
+
+  if (type === 'use') {
+    const reference = useReference(adapter, attributes, context)
+
+    return {
+      attributes: filterAttributes(
+        useAttributes(attributes, lengthContext, reference && adapter.getNodeName(reference) === 'symbol' ? adapter.getAttributes(reference) : null),
+        type,
+        context.filter
+      ),
+      childNodes: reference ? [ reference ] : [],
+      context: childContext,
+      lengthContext,
+      reference,
+      type: 'g'
+    }
+  }
+
+  return {
+    attributes: filterAttributes(attributes, type, context.filter),
+    childNodes: data.childNodes,
+    context: childContext,
+    lengthContext,
+    type: groupNodeType(type) ? 'g' : type
+  }
+}
+
+/**
+ * Removes type's core props from attributes object.
+ *
+ * @param {string} type
+ * @param {Object} attributes
+ *
+ * @returns {Object}
+ *
+ * @example
+ * removeCoreProps('rect', attributes)
+ */
+const removeCoreProps = (type, attributes) => {
+  const props = coreProps(type)
+  const result = {}
+
+  for (let k in attributes) {
+    if (props.indexOf(k) === -1) {
+      result[ k ] = attributes[ k ]
+    }
+  }
+
+  return result
+}
+
+/**
+ * Do two PlainShapeObjects have the same type and core props?
+ *
+ * @param {PlainShapeObject} current
+ * @param {PlainShapeObject} next
+ *
+ * @returns {boolean}
+ *
+ * @example
+ * sameShape({ type: 'circle', cx: 50, cy: 50, r: 20 }, shape)
+ */
+const sameShape = (current, next) => {
+  const keys = Object.keys({ ...current, ...next })
+
+  for (let i = 0, l = keys.length; i < l; i++) {
+    if (current[ keys[ i ] ] !== next[ keys[ i ] ]) {
+      return false
+    }
+  }
+
+  return true
+}
+
+/**
+ * Creates the Points of a PlainShapeObject read from a Node. If the
+ * ReadContext has a points cache, and the Node's core props are the
+ * same as when it was last read, the cached Points are returned.
+ *
+ * @param {Node} el
+ * @param {PlainShapeObject} shape
+ * @param {ReadContext} context
+ *
+ * @returns {Points}
+ *
+ * @example
+ * shapePoints(el, shape, context)
+ */
+const shapePoints = (el, shape, context) => {
+  const cache = context.pointsCache
+
+  if (!cache) {
+    return toPoints(shape)
+  }
+
+  const cached = cache.get(el)
+
+  if (cached && sameShape(cached.shape, shape)) {
+    return cached.points
+  }
+
+  const points = toPoints(shape)
+
+  cache.set(el, { points, shape })
+
+  return points
+}
+
+/**
+ * Finds the Node referenced by a use Node. Returns null if there
+ * is no valid reference, or if the reference is circular.
+ *
+ * @param {Adapter} adapter
+ * @param {Object} attributes - The attributes of the use Node.
+ * @param {ReadContext} context
+ *
+ * @returns {(Node|null)}
+ *
+ * @example
+ * useReference(adapter, { href: '#icon' }, context)
+ */
+const useReference = (adapter, attributes, context) => {
+  const href = attributes.href || attributes[ 'xlink:href' ]
+
+  if (!href || href[ 0 ] !== '#') {
+    return null
+  }
+
+  const reference = findById(adapter, context.root, href.slice(1))
+
+  if (!reference || !validNodeType(adapter.getNodeName(reference)) || context.ancestors.indexOf(reference) !== -1) {
+    return null
+  }
+
+  return reference
+}
+
+export {
+  frameShape,
+  frameShapeFromNode,
+  passthroughNodeData,
+  plainShapeObject,
+  readContext,
+  readFrameShape
+}
@@ -0,0 +1,57 @@
+import domAdapter from './domAdapter'
+import observe from './observe'
+import play from './play'
+import { frameShape, plainShapeObject } from './read'
+import { applyPatch, diff, updateNode } from './update'
+import createUpdateQueue from './updateQueue'
+import { node, nodeFromPlainShapeObject } from './write'
+
+/**
+ * The functions of this package, bound to an Adapter.
+ *
+ * @typedef {Object} Renderer
+ *
+ * @property {function} applyPatch
+ * @property {function} createUpdateQueue
+ * @property {function} diff
+ * @property {function} frameShape
+ * @property {function} node
+ * @property {function} nodeFromPlainShapeObject
+ * @property {function} observe
+ * @property {function} plainShapeObject
+ * @property {function} play
+ * @property {function} updateNode
+ */
+
+/**
+ * The options used to read a Node removed by a Patch, so that
+
+/**
+ * Creates a Renderer bound to an Adapter. Any functions missing from
+ * the Adapter fall back to those of the browser DOM Adapter.
+ *
+ * @param {Adapter} [adapter]
+ *
+ * @returns {Renderer}
+ *
+ * @example
+ * createRenderer(jsdomAdapter)
+ */
+const createRenderer = (adapter = {}) => {
+  const a = { ...domAdapter, ...adapter }
+
+  return {
+    applyPatch: (el, patch, options) => applyPatch(a, el, patch, options),
+    createUpdateQueue: queueOptions => createUpdateQueue(a, queueOptions),
+    diff: (el, frameShp, options) => diff(a, el, frameShp, options),
+    frameShape: (el, options) => frameShape(a, el, options),
+    node: (frameShp, options) => node(a, frameShp, options),
+    nodeFromPlainShapeObject: shape => nodeFromPlainShapeObject(a, shape),
+    observe: (el, callback, options) => observe(a, el, callback, options),
+    plainShapeObject: (el, options) => plainShapeObject(a, el, options),
+    play: (el, keyframes, options) => play(a, el, keyframes, options),
+    updateNode: (el, frameShp, options) => updateNode(a, el, frameShp, options)
+  }
+}
+
+export default createRenderer
@@ -0,0 +1,378 @@
+import validate from './validate'
+
+/**
+ * The version of the format written by serialise.
+ */
+const version = 1
+
+/**
+ * The numbers written for each command, in order.
+ */
+const commandNumbers = {
+  A: [ 'rx', 'ry', 'xAxisRotation', 'largeArcFlag', 'sweepFlag', 'x', 'y' ],
+  C: [ 'x1', 'y1', 'x2', 'y2', 'x', 'y' ],
+  L: [ 'x', 'y' ],
+  M: [ 'x', 'y' ],
+  Q: [ 'x1', 'y1', 'x', 'y' ]
+}
+
+/**
+ * The command of each curve type.
+ */
+const curveCommands = {
+  arc: 'A',
+  cubic: 'C',
+  quadratic: 'Q'
+}
+
+/**
+ * The curve type of each command.
+ */
+const commandCurves = {
+  A: 'arc',
+  C: 'cubic',
+  Q: 'quadratic'
+}
+
+/**
+ * Properties of arc curves that are optional. They are written as
+ * null when absent, and otherwise as they are, so that both whether
+ * they are set and their type (number or boolean) are kept.
+ */
+const optionalArcProps = [ 'largeArcFlag', 'sweepFlag', 'xAxisRotation' ]
+
+/**
+ * Throws a TypeError listing problems, if there are any.
+ *
+ * @param {string} subject
+ * @param {string[]} messages
+ *
+ * @throws {TypeError}
+ *
+ * @example
+ * assertValid('data', [ 'n must be of type array' ])
+ */
+const assertValid = (subject, messages) => {
+  if (messages.length) {
+    throw new TypeError(`${subject} is not valid: ${messages.join(', ')}`)
+  }
+}
+
+/**
+ * Packs Points into a string of commands and a flat array of numbers.
+ * Optional arc properties are null when absent, and flags keep their
+ * type.
+ *
+ * @param {Points} points
+ *
+ * @returns {Object} p, the commands, and n, the numbers.
+ *
+ * @example
+ * packPoints([ { x: 0, y: 0, moveTo: true }, { x: 10, y: 0 } ])
+ */
+const packPoints = points => {
+  let p = ''
+
+  const n = []
+
+  for (let i = 0, l = points.length; i < l; i++) {
+    const point = points[ i ]
+    const command = point.moveTo ? 'M' : point.curve ? curveCommands[ point.curve.type ] : 'L'
+    const props = commandNumbers[ command ]
+
+    p += command
+
+    for (let _i = 0, _l = props.length; _i < _l; _i++) {
+      const k = props[ _i ]
+      const v = k === 'x' || k === 'y' ? point[ k ] : point.curve[ k ]
+
+      n.push(typeof v === 'undefined' ? null : v)
+    }
+  }
+
+  return { p, n }
+}
+
+/**
+ * Unpacks Points from a string of commands and a flat array of numbers.
+ *
+ * @param {string} p
+ * @param {number[]} n
+ *
+ * @returns {Points}
+ *
+ * @example
+ * unpackPoints('ML', [ 0, 0, 10, 0 ])
+ */
+const unpackPoints = (p, n) => {
+  const points = []
+
+  let index = 0
+
+  for (let i = 0, l = p.length; i < l; i++) {
+    const command = p[ i ]
+    const props = commandNumbers[ command ]
+    const point = {}
+    const curve = commandCurves[ command ] ? { type: commandCurves[ command ] } : null
+
+    for (let _i = 0, _l = props.length; _i < _l; _i++) {
+      const k = props[ _i ]
+      const v = n[ index++ ]
+
+      if (k === 'x' || k === 'y') {
+        point[ k ] = v
+      } else if (v !== null || optionalArcProps.indexOf(k) === -1) {
+        curve[ k ] = v
+      }
+    }
+
+    if (command === 'M') {
+      point.moveTo = true
+    }
+
+    if (curve) {
+      point.curve = curve
+    }
+
+    points.push(point)
+  }
+
+  return points
+}
+
+/**
+ * Encodes a FrameShape.
+ *
+ * @param {FrameShape} frameShp
+ *
+ * @returns {Object}
+ *
+ * @example
+ * encode(frameShape)
+ */
+const encode = frameShp => {
+  const result = {}
+
+  if (Object.keys(frameShp.attributes).length) {
+    result.a = frameShp.attributes
+  }
+
+  if (frameShp.childFrameShapes) {
+    result.g = frameShp.childFrameShapes.map(encode)
+  } else {
+    const packed = packPoints(frameShp.points)
+
+    result.p = packed.p
+    result.n = packed.n
+  }
+
+  if (frameShp.compound) {
+    result.k = 1
+  }
+
+  if (frameShp.defs) {
+    result.d = {}
+
+    for (let id in frameShp.defs) {
+      const def = frameShp.defs[ id ]
+
+      result.d[ id ] = def.stops
+        ? { t: def.type, a: def.attributes, s: def.stops }
+        : { t: def.type, a: def.attributes, g: def.childFrameShapes.map(encode) }
+    }
+  }
+
+  if (frameShp.passthrough) {
+    result.x = frameShp.passthrough
+  }
+
+  if (frameShp.shape) {
+    result.s = frameShp.shape
+  }
+
+  return result
+}
+
+/**
+ * Checks the structure of encoded data, before it is decoded.
+ *
+ * @param {*} data
+ * @param {string} path
+ * @param {string[]} messages
+ *
+ * @example
+ * checkEncoded(data.s, 's', messages)
+ */
+const checkEncoded = (data, path, messages) => {
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    messages.push(`${path} must be of type object`)
+    return
+  }
+
+  if (typeof data.a !== 'undefined' && (typeof data.a !== 'object' || data.a === null || Array.isArray(data.a))) {
+    messages.push(`${path}.a must be of type object`)
+  }
+
+  if (typeof data.d !== 'undefined') {
+    for (let id in data.d) {
+      const def = data.d[ id ]
+
+      if (def && Array.isArray(def.g)) {
+        for (let i = 0, l = def.g.length; i < l; i++) {
+          checkEncoded(def.g[ i ], `${path}.d.${id}.g[${i}]`, messages)
+        }
+      }
+    }
+  }
+
+  if (typeof data.g !== 'undefined') {
+    if (!Array.isArray(data.g)) {
+      messages.push(`${path}.g must be of type array`)
+    } else {
+      for (let i = 0, l = data.g.length; i < l; i++) {
+        checkEncoded(data.g[ i ], `${path}.g[${i}]`, messages)
+      }
+    }
+
+    return
+  }
+
+  if (typeof data.p !== 'string' || !/^[ACLMQ]*$/.test(data.p)) {
+    messages.push(`${path}.p must be a string of the commands A, C, L, M and Q`)
+    return
+  }
+
+  if (!Array.isArray(data.n)) {
+    messages.push(`${path}.n must be of type array`)
+    return
+  }
+
+  let count = 0
+
+  for (let i = 0, l = data.p.length; i < l; i++) {
+    count += commandNumbers[ data.p[ i ] ].length
+  }
+
+  if (data.n.length !== count) {
+    messages.push(`${path}.n must have ${count} numbers for its commands, not ${data.n.length}`)
+  }
+}
+
+/**
+ * Decodes a FrameShape.
+ *
+ * @param {Object} data
+ *
+ * @returns {FrameShape}
+ *
+ * @example
+ * decode({ a: { fill: 'red' }, p: 'ML', n: [ 0, 0, 10, 0 ] })
+ */
+const decode = data => {
+  const result = { attributes: data.a || {} }
+
+  if (data.g) {
+    result.childFrameShapes = data.g.map(decode)
+  } else {
+    result.points = unpackPoints(data.p, data.n)
+  }
+
+  if (data.k) {
+    result.compound = true
+  }
+
+  if (data.d) {
+    result.defs = {}
+
+    for (let id in data.d) {
+      const def = data.d[ id ] || {}
+      const decoded = { type: def.t, attributes: def.a }
+
+      if (def.s) {
+        decoded.stops = def.s
+      } else {
+        decoded.childFrameShapes = (def.g || []).map(decode)
+      }
+
+      result.defs[ id ] = decoded
+    }
+  }
+
+  if (data.x) {
+    result.passthrough = data.x
+  }
+
+  if (data.s) {
+    result.shape = data.s
+  }
+
+  return result
+}
+
+/**
+ * Decoders of each version of the format. Decoders of earlier
+ * versions are kept, so that data saved with them can still be read.
+ */
+const decoders = {
+  1: data => {
+    const messages = []
+
+    checkEncoded(data.s, 's', messages)
+    assertValid('data', messages)
+
+    return decode(data.s)
+  }
+}
+
+/**
+ * Serialises a FrameShape to a compact, versioned JSON string. Points
+ * are packed into a string of commands and a flat array of numbers.
+ *
+ * @param {FrameShape} frameShp
+ *
+ * @throws {TypeError} Throws if the FrameShape is not valid.
+ *
+ * @returns {string}
+ *
+ * @example
+ * serialise(frameShape)
+ */
+const serialise = frameShp => {
+  assertValid('frameShape', validate(frameShp).map(problem => problem.message))
+
+  return JSON.stringify({ v: version, s: encode(frameShp) })
+}
+
+/**
+ * Deserialises a FrameShape from a string, or an object parsed from
+ * one, created by serialise. Data created by any earlier version of
+ * serialise can be read.
+ *
+ * @param {(string|Object)} data
+ *
+ * @throws {TypeError} Throws if the data or the FrameShape is not valid.
+ *
+ * @returns {FrameShape}
+ *
+ * @example
+ * deserialise(serialise(frameShape))
+ */
+const deserialise = data => {
+  const parsed = typeof data === 'string' ? JSON.parse(data) : data
+
+  if (typeof parsed !== 'object' || parsed === null || typeof parsed.v !== 'number') {
+    throw new TypeError(`data must be an object with a version`)
+  }
+
+  if (!decoders.hasOwnProperty(parsed.v)) {
+    throw new TypeError(`data version ${parsed.v} is not supported, the latest version is ${version}`)
+  }
+
+  const frameShp = decoders[ parsed.v ](parsed)
+
+  assertValid('frameShape', validate(frameShp).map(problem => problem.message))
+
+  return frameShp
+}
+
+export { deserialise, serialise }
@@ -0,0 +1,548 @@
+import { toPath } from 'svg-points'
+import { cubicDerivative, cubicPoint, subpaths } from './geometry'
+
+/**
+ * The numeric properties of curves that are rounded.
+ */
+const curveCoords = [ 'rx', 'ry', 'x1', 'x2', 'xAxisRotation', 'y1', 'y2' ]
+
+/**
+ * The number of points sampled on each Cubic when fitting curves.
+ */
+const fitSamples = 8
+
+/**
+ * The number of times curve parameters are refined when fitting curves.
+ */
+const fitIterations = 4
+
+/**
+ * Rounds a number to a number of decimal places.
+ *
+ * @param {number} n
+ * @param {number} precision
+ *
+ * @returns {number}
+ *
+ * @example
+ * round(1.23456, 2)
+ */
+const round = (n, precision) => {
+  const factor = Math.pow(10, precision)
+  return Math.round(n * factor) / factor || 0
+}
+
+/**
+ * Rounds the coordinates of Points, including curve control points,
+ * to a number of decimal places.
+ *
+ * @param {Points} points
+ * @param {number} precision
+ *
+ * @returns {Points}
+ *
+ * @example
+ * roundPoints(points, 2)
+ */
+const roundPoints = (points, precision) => points.map(point => {
+  const result = { ...point, x: round(point.x, precision), y: round(point.y, precision) }
+
+  if (point.curve) {
+    result.curve = { ...point.curve }
+
+    for (let i = 0, l = curveCoords.length; i < l; i++) {
+      const k = curveCoords[ i ]
+
+      if (typeof point.curve[ k ] === 'number') {
+        result.curve[ k ] = round(point.curve[ k ], precision)
+      }
+    }
+  }
+
+  return result
+})
+
+/**
+ * Is a point at the same position as another?
+ *
+ * @param {Object} a
+ * @param {Object} b
+ *
+ * @returns {boolean}
+ *
+ * @example
+ * samePosition({ x: 0, y: 0 }, { x: 0, y: 0 })
+ */
+const samePosition = (a, b) => a.x === b.x && a.y === b.y
+
+/**
+ * Does a point draw nothing from the previous point?
+ *
+ * @param {Object} prev
+ * @param {Object} point
+ *
+ * @returns {boolean}
+ *
+ * @example
+ * emptySegment({ x: 0, y: 0 }, { x: 0, y: 0 })
+ */
+const emptySegment = (prev, point) => {
+  const curve = point.curve
+
+  if (!samePosition(prev, point)) {
+    return false
+  }
+
+  if (!curve || curve.type === 'arc') {
+    return true
+  }
+
+  return samePosition(prev, { x: curve.x1, y: curve.y1 }) &&
+    (curve.type === 'quadratic' || samePosition(prev, { x: curve.x2, y: curve.y2 }))
+}
+
+/**
+ * Does point b lie on a straight line from point a to point c,
+ * between them?
+ *
+ * @param {Object} a
+ * @param {Object} b
+ * @param {Object} c
+ *
+ * @returns {boolean}
+ *
+ * @example
+ * collinear({ x: 0, y: 0 }, { x: 5, y: 0 }, { x: 10, y: 0 })
+ */
+const collinear = (a, b, c) => {
+  const abx = b.x - a.x
+  const aby = b.y - a.y
+  const bcx = c.x - b.x
+  const bcy = c.y - b.y
+  const cross = abx * bcy - aby * bcx
+
+  return Math.abs(cross) <= 1e-9 * Math.hypot(abx, aby) * Math.hypot(bcx, bcy) &&
+    abx * bcx + aby * bcy > 0
+}
+
+/**
+ * Removes points that draw nothing, and straight line points that lie
+ * between the previous and next straight line points.
+ *
+ * @param {Points} points
+ *
+ * @returns {Points}
+ *
+ * @example
+ * dedupePoints(points)
+ */
+const dedupePoints = points => {
+  const drawn = []
+
+  for (let i = 0, l = points.length; i < l; i++) {
+    const point = points[ i ]
+    const prev = drawn[ drawn.length - 1 ]
+
+    if (!prev || point.moveTo || !emptySegment(prev, point)) {
+      drawn.push(point)
+    }
+  }
+
+  const result = []
+
+  for (let i = 0, l = drawn.length; i < l; i++) {
+    const point = drawn[ i ]
+    const prev = result[ result.length - 1 ]
+    const next = drawn[ i + 1 ]
+
+    if (!prev || point.moveTo || point.curve || !next || next.moveTo || next.curve || !collinear(prev, point, next)) {
+      result.push(point)
+    }
+  }
+
+  return result
+}
+
+/**
+ * The distance from a point to a line segment.
+ *
+ * @param {Object} p
+ * @param {Object} a
+ * @param {Object} b
+ *
+ * @returns {number}
+ *
+ * @example
+ * segmentDistance({ x: 5, y: 5 }, { x: 0, y: 0 }, { x: 10, y: 0 })
+ */
+const segmentDistance = (p, a, b) => {
+  const dx = b.x - a.x
+  const dy = b.y - a.y
+  const lengthSquared = dx * dx + dy * dy
+  const t = lengthSquared ? Math.min(Math.max(((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared, 0), 1) : 0
+
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy))
+}
+
+/**
+ * Simplifies a polyline with the Ramer–Douglas–Peucker algorithm.
+ *
+ * @param {Object[]} line - Points with x and y.
+ * @param {number} tolerance
+ *
+ * @returns {Object[]} The points that are kept, including the first and last.
+ *
+ * @example
+ * simplifyLine([ { x: 0, y: 0 }, { x: 5, y: 0.1 }, { x: 10, y: 0 } ], 0.5)
+ */
+const simplifyLine = (line, tolerance) => {
+  const last = line.length - 1
+  const keep = line.map((p, i) => i === 0 || i === last)
+  const stack = [ [ 0, last ] ]
+
+  while (stack.length) {
+    const range = stack.pop()
+    const a = line[ range[ 0 ] ]
+    const b = line[ range[ 1 ] ]
+
+    let max = 0
+    let index = -1
+
+    for (let i = range[ 0 ] + 1; i < range[ 1 ]; i++) {
+      const d = segmentDistance(line[ i ], a, b)
+
+      if (d > max) {
+        max = d
+        index = i
+      }
+    }
+
+    if (max > tolerance) {
+      keep[ index ] = true
+      stack.push([ range[ 0 ], index ], [ index, range[ 1 ] ])
+    }
+  }
+
+  return line.filter((p, i) => keep[ i ])
+}
+
+/**
+ * The unit vector from one point to another, or null if they are at
+ * the same position.
+ *
+ * @param {number} x0
+ * @param {number} y0
+ * @param {number} x1
+ * @param {number} y1
+ *
+ * @returns {(number[]|null)}
+ *
+ * @example
+ * unit(0, 0, 10, 0)
+ */
+const unit = (x0, y0, x1, y1) => {
+  const length = Math.hypot(x1 - x0, y1 - y0)
+  return length ? [ (x1 - x0) / length, (y1 - y0) / length ] : null
+}
+
+/**
+ * Improves the t of the point on a Cubic closest to a sample with one
+ * step of Newton's method.
+ *
+ * @param {Cubic} c
+ * @param {number[]} sample
+ * @param {number} t
+ *
+ * @returns {number}
+ *
+ * @example
+ * reparameterise(cubic, [ 5, 5 ], 0.5)
+ */
+const reparameterise = (c, sample, t) => {
+  const p = cubicPoint(c, t)
+  const d1 = cubicDerivative(c, t)
+  const mt = 1 - t
+
+  const d2 = [
+    6 * mt * (c[ 4 ] - 2 * c[ 2 ] + c[ 0 ]) + 6 * t * (c[ 6 ] - 2 * c[ 4 ] + c[ 2 ]),
+    6 * mt * (c[ 5 ] - 2 * c[ 3 ] + c[ 1 ]) + 6 * t * (c[ 7 ] - 2 * c[ 5 ] + c[ 3 ])
+  ]
+
+  const dx = p[ 0 ] - sample[ 0 ]
+  const dy = p[ 1 ] - sample[ 1 ]
+  const numerator = dx * d1[ 0 ] + dy * d1[ 1 ]
+  const denominator = d1[ 0 ] * d1[ 0 ] + d1[ 1 ] * d1[ 1 ] + dx * d2[ 0 ] + dy * d2[ 1 ]
+
+  return denominator ? Math.min(Math.max(t - numerator / denominator, 0), 1) : t
+}
+
+/**
+ * Fits a single Cubic to a sequence of Cubics, keeping the end points
+ * and the directions of the end tangents. Uses the least squares
+ * method of Schneider's curve fitting algorithm.
+ *
+ * @param {Cubic[]} cubics
+ * @param {number} tolerance
+ *
+ * @returns {(Cubic|null)} null if no Cubic is within the tolerance.
+ *
+ * @example
+ * fitCubic([ cubicA, cubicB ], 0.5)
+ */
+const fitCubic = (cubics, tolerance) => {
+  const first = cubics[ 0 ]
+  const last = cubics[ cubics.length - 1 ]
+  const x0 = first[ 0 ]
+  const y0 = first[ 1 ]
+  const x3 = last[ 6 ]
+  const y3 = last[ 7 ]
+
+  const t1 = unit(x0, y0, first[ 2 ], first[ 3 ]) ||
+    unit(x0, y0, first[ 4 ], first[ 5 ]) ||
+    unit(x0, y0, first[ 6 ], first[ 7 ])
+
+  const t2 = unit(x3, y3, last[ 4 ], last[ 5 ]) ||
+    unit(x3, y3, last[ 2 ], last[ 3 ]) ||
+    unit(x3, y3, last[ 0 ], last[ 1 ])
+
+  if (!t1 || !t2) {
+    return null
+  }
+
+  const samples = [ [ x0, y0 ] ]
+
+  for (let i = 0, l = cubics.length; i < l; i++) {
+    for (let s = 1; s <= fitSamples; s++) {
+      samples.push(cubicPoint(cubics[ i ], s / fitSamples))
+    }
+  }
+
+  const us = [ 0 ]
+
+  for (let i = 1, l = samples.length; i < l; i++) {
+    us.push(us[ i - 1 ] + Math.hypot(samples[ i ][ 0 ] - samples[ i - 1 ][ 0 ], samples[ i ][ 1 ] - samples[ i - 1 ][ 1 ]))
+  }
+
+  const total = us[ us.length - 1 ]
+
+  if (!total) {
+    return null
+  }
+
+  for (let i = 0, l = us.length; i < l; i++) {
+    us[ i ] /= total
+  }
+
+  const chord = Math.hypot(x3 - x0, y3 - y0)
+
+  let fit = null
+
+  for (let iteration = 0; iteration <= fitIterations; iteration++) {
+    let c00 = 0
+    let c01 = 0
+    let c11 = 0
+    let v0 = 0
+    let v1 = 0
+
+    for (let i = 0, l = samples.length; i < l; i++) {
+      const u = us[ i ]
+      const mu = 1 - u
+      const b0 = mu * mu * mu
+      const b1 = 3 * mu * mu * u
+      const b2 = 3 * mu * u * u
+      const b3 = u * u * u
+      const a1 = [ t1[ 0 ] * b1, t1[ 1 ] * b1 ]
+      const a2 = [ t2[ 0 ] * b2, t2[ 1 ] * b2 ]
+      const rx = samples[ i ][ 0 ] - (x0 * (b0 + b1) + x3 * (b2 + b3))
+      const ry = samples[ i ][ 1 ] - (y0 * (b0 + b1) + y3 * (b2 + b3))
+
+      c00 += a1[ 0 ] * a1[ 0 ] + a1[ 1 ] * a1[ 1 ]
+      c01 += a1[ 0 ] * a2[ 0 ] + a1[ 1 ] * a2[ 1 ]
+      c11 += a2[ 0 ] * a2[ 0 ] + a2[ 1 ] * a2[ 1 ]
+      v0 += a1[ 0 ] * rx + a1[ 1 ] * ry
+      v1 += a2[ 0 ] * rx + a2[ 1 ] * ry
+    }
+
+    const det = c00 * c11 - c01 * c01
+
+    let alpha1 = det ? (v0 * c11 - v1 * c01) / det : 0
+    let alpha2 = det ? (c00 * v1 - c01 * v0) / det : 0
+
+    if (alpha1 < 1e-6 * chord || alpha2 < 1e-6 * chord) {
+      alpha1 = alpha2 = chord / 3
+    }
+
+    fit = [
+      x0,
+      y0,
+      x0 + t1[ 0 ] * alpha1,
+      y0 + t1[ 1 ] * alpha1,
+      x3 + t2[ 0 ] * alpha2,
+      y3 + t2[ 1 ] * alpha2,
+      x3,
+      y3
+    ]
+
+    let error = 0
+
+    for (let i = 0, l = samples.length; i < l; i++) {
+      const p = cubicPoint(fit, us[ i ])
+      error = Math.max(error, Math.hypot(p[ 0 ] - samples[ i ][ 0 ], p[ 1 ] - samples[ i ][ 1 ]))
+    }
+
+    if (error <= tolerance) {
+      return fit
+    }
+
+    for (let i = 1, l = us.length - 1; i < l; i++) {
+      us[ i ] = reparameterise(fit, samples[ i ], us[ i ])
+    }
+  }
+
+  return null
+}
+
+/**
+ * Merges consecutive cubic and quadratic curve points into fewer
+ * cubic curve points, where a single Cubic is within the tolerance.
+ *
+ * @param {Object} start - The point the curves start from.
+ * @param {Points} curves
+ * @param {number} tolerance
+ *
+ * @returns {Points}
+ *
+ * @example
+ * simplifyCurves({ x: 0, y: 0 }, curvePoints, 0.5)
+ */
+const simplifyCurves = (start, curves, tolerance) => {
+  const cubics = subpaths([ { x: start.x, y: start.y, moveTo: true }, ...curves ])[ 0 ].cubics
+  const result = []
+
+  let first = 0
+
+  while (first < cubics.length) {
+    let last = first
+    let fit = null
+
+    while (last + 1 < cubics.length) {
+      const candidate = fitCubic(cubics.slice(first, last + 2), tolerance)
+
+      if (!candidate) {
+        break
+      }
+
+      fit = candidate
+      last++
+    }
+
+    result.push(fit ? {
+      x: fit[ 6 ],
+      y: fit[ 7 ],
+      curve: { type: 'cubic', x1: fit[ 2 ], y1: fit[ 3 ], x2: fit[ 4 ], y2: fit[ 5 ] }
+    } : curves[ first ])
+
+    first = last + 1
+  }
+
+  return result
+}
+
+/**
+ * Simplifies Points within a tolerance. Runs of straight lines are
+ * simplified with the Ramer–Douglas–Peucker algorithm, and runs of
+ * cubic and quadratic curves are merged by curve fitting. Arcs are
+ * kept.
+ *
+ * @param {Points} points
+ * @param {number} tolerance - The maximum distance moved, in px.
+ *
+ * @returns {Points}
+ *
+ * @example
+ * simplifyPoints(points, 0.5)
+ */
+const simplifyPoints = (points, tolerance) => {
+  const result = []
+
+  let i = 0
+
+  while (i < points.length) {
+    const point = points[ i ]
+    const curve = point.curve
+
+    if (point.moveTo || !i || (curve && curve.type === 'arc')) {
+      result.push(point)
+      i++
+      continue
+    }
+
+    const line = !curve
+
+    let j = i
+
+    while (j < points.length && !points[ j ].moveTo && (line
+      ? !points[ j ].curve
+      : points[ j ].curve && points[ j ].curve.type !== 'arc')) {
+      j++
+    }
+
+    const run = points.slice(i, j)
+
+    if (line) {
+      result.push(...simplifyLine([ points[ i - 1 ], ...run ], tolerance).slice(1))
+    } else {
+      result.push(...simplifyCurves(points[ i - 1 ], run, tolerance))
+    }
+
+    i = j
+  }
+
+  return result
+}
+
+/**
+ * Applies the simplify, precision and dedupe options to Points, in
+ * that order.
+ *
+ * @param {Points} points
+ * @param {Object} options
+ * @param {boolean} [options.dedupe] - Remove points that draw nothing, and collinear straight line points.
+ * @param {number} [options.precision] - Round coordinates to this many decimal places.
+ * @param {number} [options.simplify] - Simplify within this tolerance, in px.
+ *
+ * @returns {Points}
+ *
+ * @example
+ * optimisePoints(points, { dedupe: true, precision: 2, simplify: 0.5 })
+ */
+const optimisePoints = (points, { dedupe, precision, simplify }) => {
+  let result = points
+
+  if (typeof simplify === 'number') {
+    result = simplifyPoints(result, simplify)
+  }
+
+  if (typeof precision === 'number') {
+    result = roundPoints(result, precision)
+  }
+
+  return dedupe ? dedupePoints(result) : result
+}
+
+/**
+ * Creates the d attribute of a path from Points.
+ *
+ * @param {Points} points
+ * @param {number} [precision] - Round coordinates to this many decimal places.
+ *
+ * @returns {string}
+ *
+ * @example
+ * pathData(points, 2)
+ */
+const pathData = (points, precision) => toPath(typeof precision === 'number'
+  ? roundPoints(points, precision)
+  : points)
+
+export { optimisePoints, pathData, roundPoints }
@@ -0,0 +1,225 @@
+import { attributeValue } from './attributeValue'
+
+/**
+ * SVG presentation attributes, that can also be set as CSS properties.
+ */
+const presentationAttributes = [
+  'alignment-baseline',
+  'baseline-shift',
+  'clip',
+  'clip-path',
+  'clip-rule',
+  'color',
+  'color-interpolation',
+  'color-interpolation-filters',
+  'color-rendering',
+  'cursor',
+  'direction',
+  'display',
+  'dominant-baseline',
+  'fill',
+  'fill-opacity',
+  'fill-rule',
+  'filter',
+  'flood-color',
+  'flood-opacity',
+  'font-family',
+  'font-size',
+  'font-size-adjust',
+  'font-stretch',
+  'font-style',
+  'font-variant',
+  'font-weight',
+  'image-rendering',
+  'letter-spacing',
+  'lighting-color',
+  'marker-end',
+  'marker-mid',
+  'marker-start',
+  'mask',
+  'opacity',
+  'overflow',
+  'paint-order',
+  'pointer-events',
+  'shape-rendering',
+  'stop-color',
+  'stop-opacity',
+  'stroke',
+  'stroke-dasharray',
+  'stroke-dashoffset',
+  'stroke-linecap',
+  'stroke-linejoin',
+  'stroke-miterlimit',
+  'stroke-opacity',
+  'stroke-width',
+  'text-anchor',
+  'text-decoration',
+  'text-rendering',
+  'unicode-bidi',
+  'vector-effect',
+  'visibility',
+  'word-spacing',
+  'writing-mode'
+]
+
+/**
+ * Is an attribute a presentation attribute?
+ *
+ * @param {string} name
+ *
+ * @returns {boolean}
+ *
+ * @example
+ * presentationAttribute('fill')
+ */
+const presentationAttribute = name => presentationAttributes.indexOf(name) !== -1
+
+/**
+ * Parses a style attribute value into an object of property names
+ * to values. Semicolons within quotes or brackets do not end a
+ * declaration.
+ *
+ * @param {string} [style]
+ *
+ * @returns {Object}
+ *
+ * @example
+ * parseStyle('fill: red; stroke: blue !important')
+ */
+const parseStyle = (style = '') => {
+  const declarations = []
+  const result = {}
+
+  let depth = 0
+  let quote = null
+  let start = 0
+
+  for (let i = 0, l = style.length; i <= l; i++) {
+    const c = style[ i ]
+
+    if (i === l) {
+      declarations.push(style.slice(start))
+    } else if (quote) {
+      quote = c === quote ? null : quote
+    } else if (c === '"' || c === '\'') {
+      quote = c
+    } else if (c === '(') {
+      depth++
+    } else if (c === ')') {
+      depth--
+    } else if (c === ';' && depth === 0) {
+      declarations.push(style.slice(start, i))
+      start = i + 1
+    }
+  }
+
+  for (let i = 0, l = declarations.length; i < l; i++) {
+    const declaration = declarations[ i ]
+    const colon = declaration.indexOf(':')
+
+    if (colon !== -1) {
+      const name = declaration.slice(0, colon).trim().toLowerCase()
+      const value = declaration.slice(colon + 1).replace(/!\s*important\s*$/i, '').trim()
+
+      if (name && value) {
+        result[ name ] = value
+      }
+    }
+  }
+
+  return result
+}
+
+/**
+ * Creates a style attribute value from an object of property names
+ * to values.
+ *
+ * @param {Object} declarations
+ *
+ * @returns {string}
+ *
+ * @example
+ * styleString({ fill: 'red', stroke: 'blue' })
+ */
+const styleString = declarations => {
+  const result = []
+
+  for (let k in declarations) {
+    result.push(`${k}:${attributeValue(declarations[ k ])}`)
+  }
+
+  return result.join(';')
+}
+
+/**
+ * Moves the presentation properties of the style attribute to
+ * individual attributes. Other properties are left in the style
+ * attribute.
+ *
+ * @param {Object} attributes
+ *
+ * @returns {Object}
+ *
+ * @example
+ * expandStyle({ style: 'fill:red;transition:none' })
+ */
+const expandStyle = attributes => {
+  if (typeof attributes.style === 'undefined') {
+    return attributes
+  }
+
+  const declarations = parseStyle(attributes.style)
+  const remaining = {}
+  const result = { ...attributes }
+
+  delete result.style
+
+  for (let k in declarations) {
+    if (presentationAttribute(k)) {
+      result[ k ] = declarations[ k ]
+    } else {
+      remaining[ k ] = declarations[ k ]
+    }
+  }
+
+  const style = styleString(remaining)
+
+  if (style) {
+    result.style = style
+  }
+
+  return result
+}
+
+/**
+ * Moves presentation attributes into the style attribute.
+ *
+ * @param {Object} attributes
+ *
+ * @returns {Object}
+ *
+ * @example
+ * inlineStyle({ fill: 'red', style: 'transition:none' })
+ */
+const inlineStyle = attributes => {
+  const declarations = parseStyle(attributes.style)
+  const result = {}
+
+  for (let k in attributes) {
+    if (presentationAttribute(k)) {
+      declarations[ k ] = attributes[ k ]
+    } else if (k !== 'style') {
+      result[ k ] = attributes[ k ]
+    }
+  }
+
+  const style = styleString(declarations)
+
+  if (style) {
+    result.style = style
+  }
+
+  return result
+}
+
+export { expandStyle, inlineStyle, parseStyle, presentationAttribute }
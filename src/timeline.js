@@ -0,0 +1,183 @@
+/* globals __DEV__ */
+
+/**
+ * A FrameShape, or a Node to read one from, and its position in a
+ * timeline.
+ *
+ * @typedef {Object} Keyframe
+ *
+ * @property {Node} [el] - Read with frameShape, if frameShape is not set.
+ * @property {function} [easing] - Eases the tween from the previous Keyframe.
+ * @property {number} [duration] - The time from the previous Keyframe, in ms.
+ * @property {FrameShape} [frameShape]
+ * @property {number} [offset] - The position in each iteration, from 0 to 1.
+ */
+
+/**
+ * Functions used to schedule playback.
+ *
+ * @typedef {Object} Clock
+ *
+ * @property {function} cancelFrame - (id) => void
+ * @property {function} now - () => number, the time in ms.
+ * @property {function} requestFrame - (callback) => id
+ */
+
+/**
+ * A Clock using the browser's animation frames.
+ */
+const defaultClock = {
+  cancelFrame: id => window.cancelAnimationFrame(id),
+  now: () => window.performance.now(),
+  requestFrame: callback => window.requestAnimationFrame(callback)
+}
+
+/**
+ * Are Keyframes valid?
+ *
+ * @param {Keyframe[]} keyframes
+ *
+ * @throws {TypeError} Throws if not valid
+ *
+ * @returns {true}
+ *
+ * @example
+ * validKeyframes([ { frameShape: from }, { frameShape: to } ])
+ */
+const validKeyframes = keyframes => {
+  if (__DEV__) {
+    if (!Array.isArray(keyframes) || keyframes.length < 2) {
+      throw new TypeError(`keyframes must be an array of at least two keyframes`)
+    }
+
+    for (let i = 0, l = keyframes.length; i < l; i++) {
+      const keyframe = keyframes[ i ]
+
+      if (typeof keyframe !== 'object' || keyframe === null || (!keyframe.frameShape && !keyframe.el)) {
+        throw new TypeError(`keyframe must have either a frameShape or el property`)
+      }
+
+      if (typeof keyframe.offset !== 'undefined' && (typeof keyframe.offset !== 'number' ||
+        keyframe.offset < 0 || keyframe.offset > 1)) {
+        throw new TypeError(`keyframe offset property must be a number between 0 and 1`)
+      }
+
+      if (typeof keyframe.duration !== 'undefined' && (typeof keyframe.duration !== 'number' || keyframe.duration < 0)) {
+        throw new TypeError(`keyframe duration property must be a positive number`)
+      }
+    }
+  }
+
+  return true
+}
+
+/**
+ * The duration of each iteration and the offset of each Keyframe. If
+ * every Keyframe after the first has a duration, they are used.
+ * Otherwise Keyframes without an offset are spread evenly.
+ *
+ * @param {Keyframe[]} keyframes
+ * @param {number} duration - The duration of each iteration, if Keyframes have no durations.
+ *
+ * @returns {Object} duration and offsets.
+ *
+ * @example
+ * keyframeTiming([ { frameShape: from }, { frameShape: to, duration: 500 } ], 1000)
+ */
+const keyframeTiming = (keyframes, duration) => {
+  const l = keyframes.length
+  const durations = keyframes.slice(1).map(keyframe => keyframe.duration)
+
+  if (durations.every(d => typeof d === 'number')) {
+    const total = durations.reduce((sum, d) => sum + d, 0)
+    const offsets = [ 0 ]
+
+    let elapsed = 0
+
+    for (let i = 0; i < l - 1; i++) {
+      elapsed += durations[ i ]
+      offsets.push(total ? elapsed / total : (i + 1) / (l - 1))
+    }
+
+    return { duration: total, offsets }
+  }
+
+  const offsets = []
+
+  for (let i = 0; i < l; i++) {
+    const offset = keyframes[ i ].offset
+    const value = typeof offset === 'number' ? offset : i / (l - 1)
+
+    offsets.push(Math.max(value, i ? offsets[ i - 1 ] : 0))
+  }
+
+  return { duration, offsets }
+}
+
+/**
+ * The progress through an iteration at a time.
+ *
+ * @param {number} time - The time since the start of the first iteration, in ms.
+ * @param {Object} timing
+ * @param {boolean} timing.alternate - Play every other iteration backwards.
+ * @param {number} timing.duration - The duration of each iteration, in ms.
+ * @param {number} timing.iterations
+ *
+ * @returns {number} From 0 to 1.
+ *
+ * @example
+ * iterationProgress(1500, { alternate: true, duration: 1000, iterations: 2 })
+ */
+const iterationProgress = (time, { alternate, duration, iterations }) => {
+  if (duration <= 0) {
+    return alternate && Math.ceil(iterations) % 2 === 0 ? 0 : 1
+  }
+
+  const position = Math.min(Math.max(time, 0), duration * iterations) / duration
+
+  let iteration = Math.floor(position)
+  let progress = position - iteration
+
+  if (iteration > 0 && iteration >= iterations) {
+    iteration -= 1
+    progress = 1
+  }
+
+  return alternate && iteration % 2 === 1 ? 1 - progress : progress
+}
+
+/**
+ * The index of the Keyframe a tween starts from, and the t of that
+ * tween, at a progress through an iteration.
+ *
+ * @param {number[]} offsets
+ * @param {number} progress
+ *
+ * @returns {Object} index and t.
+ *
+ * @example
+ * keyframePosition([ 0, 0.5, 1 ], 0.75)
+ */
+const keyframePosition = (offsets, progress) => {
+  let index = 0
+
+  while (index < offsets.length - 2 && progress > offsets[ index + 1 ]) {
+    index++
+  }
+
+  const from = offsets[ index ]
+  const to = offsets[ index + 1 ]
+
+  return {
+    index,
+    t: to > from ? Math.min(Math.max((progress - from) / (to - from), 0), 1) : 1
+  }
+}
+
+export {
+  defaultClock,
+  iterationProgress,
+  keyframePosition,
+  keyframeTiming,
+  validKeyframes
+}
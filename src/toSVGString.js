@@ -0,0 +1,159 @@
+import { attributeValue } from './attributeValue'
+import { mergeFrameShape } from './compound'
+import { defsPrefix, renderDefs } from './defs'
+import { groupChildren } from './passthrough'
+import { primitive, primitiveAttributes } from './primitive'
+import { pathData } from './simplify'
+import { inlineStyle } from './style'
+import { validFrameShape } from './valid'
+
+/**
+ * Escapes a value for use in SVG markup.
+ *
+ * @param {*} value
+ *
+ * @returns {string}
+ *
+ * @example
+ * escape('"potato" & <tomato>')
+ */
+const escape = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+/**
+ * Matches an xlink prefixed attribute in markup.
+ */
+const xlinkAttributePattern = /\sxlink:[^\s=]+="/
+
+/**
+ * Creates an element markup string.
+ *
+ * @param {string} type
+ * @param {Object} attributes
+ * @param {string} [children] - Markup of child elements. If undefined the element is self-closing.
+ *
+ * @returns {string}
+ *
+ * @example
+ * elementString('g', { fill: 'yellow' }, '<path d="M0,0H10"/>')
+ */
+const elementString = (type, attributes, children) => {
+  let attrs = ''
+
+  for (let k in attributes) {
+    attrs += ` ${k}="${escape(attributeValue(attributes[ k ]))}"`
+  }
+
+  return typeof children === 'undefined'
+    ? `<${type}${attrs}/>`
+    : `<${type}${attrs}>${children}</${type}>`
+}
+
+/**
+ * Creates a markup string from a PassthroughNode.
+ *
+ * @param {PassthroughNode} data
+ *
+ * @returns {string}
+ *
+ * @example
+ * passthroughString({ type: 'title', attributes: {}, childNodes: [ { text: 'Potato' } ] })
+ */
+const passthroughString = data => {
+  if (typeof data.text === 'string') {
+    return escape(data.text)
+  }
+
+  let children = ''
+
+  for (let i = 0, l = data.childNodes.length; i < l; i++) {
+    children += passthroughString(data.childNodes[ i ])
+  }
+
+  return elementString(data.type, data.attributes, children || undefined)
+}
+
+/**
+ * Creates a markup string from a FrameShape, with the same element
+ * structure that the node function would create.
+ *
+ * @param {FrameShape} frameShp
+ * @param {Object} options - The options passed to toSVGString.
+ *
+ * @returns {string}
+ *
+ * @example
+ * frameShapeString(frameShape, options)
+ */
+const frameShapeString = (frameShp, options) => {
+  const merged = options.mergeSubpaths ? mergeFrameShape(frameShp) : frameShp
+
+  if (merged !== frameShp) {
+    return frameShapeString(merged, options)
+  }
+
+  const attributes = options.inlineStyle ? inlineStyle(frameShp.attributes) : frameShp.attributes
+  const childFrameShapes = frameShp.childFrameShapes
+
+  if (childFrameShapes) {
+    const items = groupChildren(childFrameShapes, frameShp.passthrough)
+
+    let children = ''
+
+    for (let i = 0, l = items.length; i < l; i++) {
+      const item = items[ i ]
+
+      children += item.frameShape
+        ? frameShapeString(item.frameShape, options)
+        : passthroughString(item.passthroughNode)
+    }
+
+    return elementString('g', attributes, children)
+  }
+
+  const shape = primitive(frameShp)
+
+  return shape
+    ? elementString(shape.type, { ...primitiveAttributes(shape), ...attributes })
+    : elementString('path', { d: pathData(frameShp.points, options.precision), ...attributes })
+}
+
+/**
+ * Creates an SVG markup string from a FrameShape.
+ *
+ * @param {FrameShape} frameShp
+ * @param {Object} [options]
+ * @param {string} [options.idPrefix] - Prefix of the ids of rendered Defs (default a hash of the Defs).
+ * @param {boolean} [options.inlineStyle] - Write presentation attributes to the style attribute.
+ * @param {boolean} [options.mergeSubpaths] - Write a single path for each compound group.
+ * @param {number} [options.precision] - Round the coordinates of path data to this many decimal places.
+ * @param {(boolean|Object)} [options.svg] - Wrap in an svg element, declaring the xlink namespace if used. If an object, used as the svg element's attributes.
+ *
+ * @returns {string}
+ *
+ * @example
+ * toSVGString(frameShape, { svg: { viewBox: '0 0 100 100' } })
+ */
+const toSVGString = (frameShp, options = {}) => {
+  if (validFrameShape(frameShp)) {
+    const markup = frameShapeString(frameShp.defs && frameShp.childFrameShapes
+      ? renderDefs(frameShp, defsPrefix(frameShp.defs, options))
+      : frameShp, options)
+    const svg = options.svg
+
+    if (svg) {
+      return elementString('svg', {
+        xmlns: 'http://www.w3.org/2000/svg',
+        ...(xlinkAttributePattern.test(markup) ? { 'xmlns:xlink': 'http://www.w3.org/1999/xlink' } : {}),
+        ...(typeof svg === 'object' ? svg : {})
+      }, markup)
+    }
+
+    return markup
+  }
+}
+
+export default toSVGString
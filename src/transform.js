@@ -0,0 +1,229 @@
+/**
+ * An affine transformation matrix, in the same order as the SVG
+ * matrix transform function.
+ *
+ * @typedef {number[]} Matrix
+ */
+
+/**
+ * The Matrix that does not transform.
+ */
+const identity = [ 1, 0, 0, 1, 0, 0 ]
+
+/**
+ * Matches a single transform function.
+ */
+const transformPattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g
+
+/**
+ * Converts degrees to radians.
+ *
+ * @param {number} deg
+ *
+ * @returns {number}
+ *
+ * @example
+ * radians(90)
+ */
+const radians = deg => deg * Math.PI / 180
+
+/**
+ * Multiplies two Matrices.
+ *
+ * @param {Matrix} m
+ * @param {Matrix} n
+ *
+ * @returns {Matrix}
+ *
+ * @example
+ * multiply(m, n)
+ */
+const multiply = (m, n) => [
+  m[ 0 ] * n[ 0 ] + m[ 2 ] * n[ 1 ],
+  m[ 1 ] * n[ 0 ] + m[ 3 ] * n[ 1 ],
+  m[ 0 ] * n[ 2 ] + m[ 2 ] * n[ 3 ],
+  m[ 1 ] * n[ 2 ] + m[ 3 ] * n[ 3 ],
+  m[ 0 ] * n[ 4 ] + m[ 2 ] * n[ 5 ] + m[ 4 ],
+  m[ 1 ] * n[ 4 ] + m[ 3 ] * n[ 5 ] + m[ 5 ]
+]
+
+/**
+ * Creates a Matrix from a transform function name and its arguments.
+ *
+ * @param {string} name
+ * @param {number[]} args
+ *
+ * @returns {Matrix}
+ *
+ * @example
+ * transformFunctionMatrix('rotate', [ 45, 50, 50 ])
+ */
+const transformFunctionMatrix = (name, args) => {
+  switch (name) {
+    case 'matrix':
+      return args.length === 6 ? args : identity
+
+    case 'translate':
+      return [ 1, 0, 0, 1, args[ 0 ] || 0, args[ 1 ] || 0 ]
+
+    case 'scale':
+      const sx = typeof args[ 0 ] === 'undefined' ? 1 : args[ 0 ]
+      return [ sx, 0, 0, typeof args[ 1 ] === 'undefined' ? sx : args[ 1 ], 0, 0 ]
+
+    case 'rotate':
+      const a = radians(args[ 0 ] || 0)
+      const cx = args[ 1 ] || 0
+      const cy = args[ 2 ] || 0
+      const rotate = [ Math.cos(a), Math.sin(a), -Math.sin(a), Math.cos(a), 0, 0 ]
+      return multiply(multiply([ 1, 0, 0, 1, cx, cy ], rotate), [ 1, 0, 0, 1, -cx, -cy ])
+
+    case 'skewX':
+      return [ 1, 0, Math.tan(radians(args[ 0 ] || 0)), 1, 0, 0 ]
+
+    case 'skewY':
+      return [ 1, Math.tan(radians(args[ 0 ] || 0)), 0, 1, 0, 0 ]
+  }
+}
+
+/**
+ * Creates a Matrix from a transform attribute value.
+ *
+ * @param {string} [transform]
+ *
+ * @returns {Matrix}
+ *
+ * @example
+ * parseTransform('rotate(45) translate(10 0)')
+ */
+const parseTransform = transform => {
+  let matrix = identity
+
+  if (!transform) {
+    return matrix
+  }
+
+  transformPattern.lastIndex = 0
+
+  let match
+
+  while ((match = transformPattern.exec(transform))) {
+    const args = match[ 2 ].trim()
+      .split(/[\s,]+/)
+      .filter(v => v.length > 0)
+      .map(parseFloat)
+
+    matrix = multiply(matrix, transformFunctionMatrix(match[ 1 ], args))
+  }
+
+  return matrix
+}
+
+/**
+ * Transforms an arc curve. The radii and x axis rotation are those of
+ * the transformed ellipse, and the sweep flag is flipped if the Matrix
+ * is a reflection.
+ *
+ * @param {Object} curve
+ * @param {Matrix} m
+ *
+ * @returns {Object}
+ *
+ * @example
+ * transformArc({ type: 'arc', rx: 5, ry: 5, sweepFlag: 1 }, m)
+ */
+const transformArc = (curve, m) => {
+  const phi = radians(curve.xAxisRotation || 0)
+  const cos = Math.cos(phi)
+  const sin = Math.sin(phi)
+
+  const m00 = (m[ 0 ] * cos + m[ 2 ] * sin) * curve.rx
+  const m10 = (m[ 1 ] * cos + m[ 3 ] * sin) * curve.rx
+  const m01 = (m[ 2 ] * cos - m[ 0 ] * sin) * curve.ry
+  const m11 = (m[ 3 ] * cos - m[ 1 ] * sin) * curve.ry
+
+  const p = m00 * m00 + m01 * m01
+  const q = m00 * m10 + m01 * m11
+  const r = m10 * m10 + m11 * m11
+
+  const mid = (p + r) / 2
+  const diff = Math.sqrt((p - r) * (p - r) / 4 + q * q)
+  const xAxisRotation = Math.atan2(2 * q, p - r) * 90 / Math.PI
+
+  const result = {
+    ...curve,
+    rx: Math.sqrt(mid + diff),
+    ry: Math.sqrt(Math.max(mid - diff, 0))
+  }
+
+  if (xAxisRotation) {
+    result.xAxisRotation = xAxisRotation
+  } else {
+    delete result.xAxisRotation
+  }
+
+  if (m[ 0 ] * m[ 3 ] - m[ 1 ] * m[ 2 ] < 0) {
+    if (curve.sweepFlag) {
+      delete result.sweepFlag
+    } else {
+      result.sweepFlag = 1
+    }
+  }
+
+  return result
+}
+
+/**
+ * Transforms Points, including curve control points.
+ *
+ * @param {Points} points
+ * @param {Matrix} m
+ *
+ * @returns {Points}
+ *
+ * @example
+ * transformPoints(points, parseTransform('scale(2)'))
+ */
+const transformPoints = (points, m) => {
+  const apply = (x, y) => ({
+    x: m[ 0 ] * x + m[ 2 ] * y + m[ 4 ],
+    y: m[ 1 ] * x + m[ 3 ] * y + m[ 5 ]
+  })
+
+  return points.map(point => {
+    const result = { ...point, ...apply(point.x, point.y) }
+    const curve = point.curve
+
+    if (curve) {
+      if (curve.type === 'arc') {
+        result.curve = transformArc(curve, m)
+      } else {
+        const c1 = apply(curve.x1, curve.y1)
+
+        result.curve = { ...curve, x1: c1.x, y1: c1.y }
+
+        if (curve.type === 'cubic') {
+          const c2 = apply(curve.x2, curve.y2)
+
+          result.curve.x2 = c2.x
+          result.curve.y2 = c2.y
+        }
+      }
+    }
+
+    return result
+  })
+}
+
+/**
+ * Creates a transform attribute value from a Matrix.
+ *
+ * @param {Matrix} m
+ *
+ * @returns {string}
+ *
+ * @example
+ * transformAttribute([ 2, 0, 0, 2, 10, 0 ])
+ */
+const transformAttribute = m => `matrix(${m.join(' ')})`
+
+export { identity, multiply, parseTransform, transformAttribute, transformPoints }
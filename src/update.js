@@ -0,0 +1,691 @@
+/* globals __DEV__ */
+
+import { attributeFilter } from './attributeFilter'
+import { attributeValue } from './attributeValue'
+import { mergeFrameShape } from './compound'
+import { defsNode, defsPrefix, withDefIds } from './defs'
+import { coreProps, groupNodeType, validChildNodeType } from './nodeTypes'
+import { validPatch } from './patch'
+import { primitive, primitiveAttributes } from './primitive'
+import { frameShapeFromNode, passthroughNodeData, readContext } from './read'
+import { pathData } from './simplify'
+import { validFrameShape, validNode } from './valid'
+import { node, passthroughNode, writeAttributes, writtenFrameShape } from './write'
+
+/**
+ * The state of updating a Node tree.
+ *
+ * @typedef {Object} UpdateContext
+ *
+ * @property {function} filter - Decides which attributes are updated, as created by attributeFilter.
+ * @property {Object} options - The options passed to updateNode.
+ */
+
+/**
+ * The options used to read a Node removed by a Patch, so that
+ * invertPatch can re-create it. Its attributes are read without an
+ * attribute filter, see removedFrameShape.
+ */
+const removedReadOptions = {
+  passthrough: true,
+  preserveType: true
+}
+
+/**
+ * Applies changes calculated by patchChanges. A replaced Node is
+ * swapped for its replacement within its parent.
+ *
+ * @param {Adapter} adapter
+ * @param {Object[]} changes
+ *
+ * @throws {TypeError} Throws if a Node must be replaced and the Adapter cannot find its parent.
+ *
+ * @example
+ * applyChanges(adapter, changes)
+ */
+const applyChanges = (adapter, changes) => {
+  for (let i = 0, l = changes.length; i < l; i++) {
+    const change = changes[ i ]
+    const el = change.el
+    const remove = change.remove
+    const update = change.update
+
+    if (change.replace) {
+      const parent = adapter.getParent(el)
+
+      if (typeof parent === 'undefined') {
+        throw new TypeError(`adapter must have a getParent function to replace a Node`)
+      }
+
+      if (parent) {
+        adapter.insertBefore(parent, change.replace, el)
+        adapter.removeChild(parent, el)
+      }
+
+      continue
+    }
+
+    for (let _i = 0, _l = remove.length; _i < _l; _i++) {
+      adapter.removeAttribute(el, remove[ _i ])
+    }
+
+    for (let k in update) {
+      adapter.setAttribute(el, k, update[ k ])
+    }
+
+    if (change.childNodes) {
+      updateChildNodes(adapter, el, change.childNodes.current, change.childNodes.next)
+    }
+
+    if (change.defs) {
+      if (change.defs.current) {
+        adapter.removeChild(el, change.defs.current)
+      }
+
+      if (change.defs.next) {
+        adapter.insertBefore(el, change.defs.next, adapter.getChildren(el)[ 0 ] || null)
+      }
+    }
+  }
+}
+
+/**
+ * Applies a Patch to the Node it was calculated from.
+ *
+ * @param {Adapter} adapter
+ * @param {Node} el
+ * @param {Patch} patch
+ * @param {Object} [options] - The same options as node, used to create Nodes.
+ *
+ * @returns {Node} The updated Node, or the Node that replaced it.
+ *
+ * @example
+ * applyPatch(adapter, el, diff(adapter, el, frameShape))
+ */
+const applyPatch = (adapter, el, patch, options = {}) => {
+  if (__DEV__) {
+    if (!validNode(el, adapter)) {
+      throw new TypeError(`The first argument of the applyPatch function must be a valid DOM node`)
+    }
+  }
+
+  if (validPatch(patch)) {
+    const changes = []
+
+    patchChanges(adapter, el, patch, changes, options)
+
+    applyChanges(adapter, changes)
+
+    return changes[ 0 ].replace || el
+  }
+}
+
+/**
+ * The defs child Node that the Defs of a group Node were rendered to.
+ *
+ * @param {Adapter} adapter
+ * @param {Node} el
+ *
+ * @returns {(Node|null)}
+ *
+ * @example
+ * defsChildNode(adapter, el)
+ */
+const defsChildNode = (adapter, el) => {
+  const childNodes = adapter.getChildren(el)
+
+  for (let i = 0, l = childNodes.length; i < l; i++) {
+    const n = childNodes[ i ]
+
+    if (adapter.getNodeName(n) === 'defs' && typeof adapter.getAttributes(n)[ 'data-defs' ] !== 'undefined') {
+      return n
+    }
+  }
+
+  return null
+}
+
+/**
+ * Calculates the Patch required to update a group Node from a
+ * FrameShape with Defs. The ids of the rendered Defs are kept, and
+ * the defs child Node is replaced if the Defs have changed.
+ *
+ * @param {Adapter} adapter
+ * @param {Node} el
+ * @param {FrameShape} frameShp
+ * @param {UpdateContext} context
+ *
+ * @returns {Patch}
+ *
+ * @example
+ * defsPatch(adapter, el, frameShape, context)
+ */
+const defsPatch = (adapter, el, frameShp, context) => {
+  const defsEl = defsChildNode(adapter, el)
+  const prefix = defsEl ? adapter.getAttributes(defsEl)[ 'data-defs' ] : defsPrefix(frameShp.defs, context.options)
+  const current = defsEl ? passthroughNodeData(adapter, defsEl, () => true) : null
+  const next = defsNode(frameShp.defs, prefix)
+  const patch = nodePatch(adapter, el, withDefIds(frameShp, frameShp.defs, prefix), context)
+
+  if (JSON.stringify(current) !== JSON.stringify(next)) {
+    patch.defs = [ current, next ]
+  }
+
+  return patch
+}
+
+/**
+ * Calculates the Patch that updateNode would apply to a Node, without
+ * changing the Node.
+ *
+ * @param {Adapter} adapter
+ * @param {Node} el
+ * @param {FrameShape} frameShape
+ * @param {Object} [options] - The same options as updateNode.
+ *
+ * @returns {Patch}
+ *
+ * @example
+ * diff(adapter, el, frameShape, { key: 'id' })
+ */
+const diff = (adapter, el, frameShp, options = {}) => {
+  validUpdate(adapter, el, frameShp)
+  return nodePatch(adapter, el, frameShp, { filter: attributeFilter(options), options })
+}
+
+/**
+ * Matches child Nodes to child FrameShapes. If a key is provided,
+ * FrameShapes with that attribute are matched to the Node with the
+ * same attribute value. All other FrameShapes are matched by order
+ * to the remaining Nodes without a key.
+ *
+ * @param {Object[]} childAttributes - The attributes of each child Node.
+ * @param {FrameShape[]} childFrameShapes
+ * @param {string} [key]
+ *
+ * @returns {(number|undefined)[]} The index of the matched child Node for each FrameShape.
+ *
+ * @example
+ * matchChildNodes(childAttributes, childFrameShapes, 'id')
+ */
+const matchChildNodes = (childAttributes, childFrameShapes, key) => {
+  const matches = []
+  const unmatched = childAttributes.map((attributes, i) => i)
+
+  for (let i = 0, l = childFrameShapes.length; i < l; i++) {
+    const value = key ? childFrameShapes[ i ].attributes[ key ] : undefined
+
+    for (let _i = 0, _l = unmatched.length; _i < _l; _i++) {
+      const current = childAttributes[ unmatched[ _i ] ][ key ]
+
+      const isMatch = typeof value === 'undefined'
+        ? !key || typeof current === 'undefined'
+        : current === String(value)
+
+      if (isMatch) {
+        matches[ i ] = unmatched[ _i ]
+        unmatched.splice(_i, 1)
+        break
+      }
+    }
+  }
+
+  return matches
+}
+
+/**
+ * Merges the changes calculated for the same Node, so each attribute
+ * of a Node is written at most once. Later changes take precedence.
+ *
+ * @param {Object[]} changes
+ *
+ * @returns {Object[]}
+ *
+ * @example
+ * mergeChanges(changes)
+ */
+const mergeChanges = changes => {
+  const els = []
+  const result = []
+
+  for (let i = 0, l = changes.length; i < l; i++) {
+    const change = changes[ i ]
+    const index = els.indexOf(change.el)
+
+    if (index === -1) {
+      els.push(change.el)
+      result.push({ ...change, remove: [ ...change.remove ], update: { ...change.update } })
+      continue
+    }
+
+    const merged = result[ index ]
+
+    for (let _i = 0, _l = change.remove.length; _i < _l; _i++) {
+      const k = change.remove[ _i ]
+
+      delete merged.update[ k ]
+
+      if (merged.remove.indexOf(k) === -1) {
+        merged.remove.push(k)
+      }
+    }
+
+    for (let k in change.update) {
+      const r = merged.remove.indexOf(k)
+
+      if (r !== -1) {
+        merged.remove.splice(r, 1)
+      }
+
+      merged.update[ k ] = change.update[ k ]
+    }
+
+    if (change.childNodes) {
+      merged.childNodes = change.childNodes
+    }
+
+    if (change.defs) {
+      merged.defs = change.defs
+    }
+  }
+
+  return result
+}
+
+/**
+ * Calculates the Patch required to update a Node from a FrameShape.
+ * Attributes that do not pass the attribute filter are ignored.
+ *
+ * @param {Adapter} adapter
+ * @param {Node} el
+ * @param {FrameShape} frameShp
+ * @param {UpdateContext} context
+ *
+ * @returns {Patch}
+ *
+ * @example
+ * nodePatch(adapter, el, frameShape, context)
+ */
+const nodePatch = (adapter, el, frameShp, context) => {
+  const filter = context.filter
+  const options = context.options
+  const merged = options.mergeSubpaths ? mergeFrameShape(frameShp) : frameShp
+
+  if (merged !== frameShp) {
+    return nodePatch(adapter, el, merged, context)
+  }
+
+  if (!sameKind(adapter, el, frameShp)) {
+    return {
+      replace: {
+        current: removedFrameShape(adapter, el),
+        next: writtenFrameShape(frameShp, options)
+      }
+    }
+  }
+
+  if (frameShp.defs && frameShp.childFrameShapes) {
+    return defsPatch(adapter, el, frameShp, context)
+  }
+
+  const shape = primitive(frameShp)
+  const currentAttributes = adapter.getAttributes(el)
+  const childFrameShapes = frameShp.childFrameShapes
+  const attributes = {}
+  const patch = {}
+
+  const nextAttributes = shape
+    ? { ...writeAttributes(frameShp, options), ...primitiveAttributes(shape) }
+    : writeAttributes(frameShp, options)
+
+  const props = shape ? coreProps(shape.type) : []
+
+  for (let k in currentAttributes) {
+    if (
+      typeof nextAttributes[ k ] === 'undefined' &&
+      (childFrameShapes || shape || k !== 'd') &&
+      (props.indexOf(k) !== -1 || filter(k, currentAttributes[ k ]))
+    ) {
+      attributes[ k ] = [ currentAttributes[ k ], null ]
+    }
+  }
+
+  for (let k in nextAttributes) {
+    const c = currentAttributes[ k ]
+    const n = String(attributeValue(nextAttributes[ k ]))
+
+    if (c !== n && (props.indexOf(k) !== -1 || filter(k, n))) {
+      attributes[ k ] = [ typeof c === 'undefined' ? null : c, n ]
+    }
+  }
+
+  if (!childFrameShapes && !shape) {
+    const c = currentAttributes.d
+    const nextPath = pathData(frameShp.points, options.precision)
+
+    if (nextPath !== c) {
+      attributes.d = [ typeof c === 'undefined' ? null : c, nextPath ]
+    }
+  }
+
+  if (Object.keys(attributes).length) {
+    patch.attributes = attributes
+  }
+
+  if (childFrameShapes) {
+    const childNodes = shapeChildNodes(adapter, el)
+    const childAttributes = childNodes.map(n => adapter.getAttributes(n))
+    const matches = matchChildNodes(childAttributes, childFrameShapes, options.key)
+    const nextChildNodes = []
+    const kept = []
+
+    let changed = childNodes.length !== childFrameShapes.length
+
+    for (let i = 0, l = childFrameShapes.length; i < l; i++) {
+      const childFrameShape = options.mergeSubpaths ? mergeFrameShape(childFrameShapes[ i ]) : childFrameShapes[ i ]
+      const index = matches[ i ]
+      const n = childNodes[ index ]
+
+      if (n && sameKind(adapter, n, childFrameShape)) {
+        const childPatch = nodePatch(adapter, n, childFrameShape, context)
+
+        if (Object.keys(childPatch).length) {
+          nextChildNodes.push({ index, patch: childPatch })
+          changed = true
+        } else {
+          nextChildNodes.push({ index })
+          changed = changed || index !== i
+        }
+
+        kept.push(index)
+      } else {
+        nextChildNodes.push({ frameShape: writtenFrameShape(childFrameShape, options) })
+        changed = true
+      }
+    }
+
+    if (changed) {
+      const removed = []
+
+      for (let i = 0, l = childNodes.length; i < l; i++) {
+        if (kept.indexOf(i) === -1) {
+          removed.push({ index: i, frameShape: removedFrameShape(adapter, childNodes[ i ]) })
+        }
+      }
+
+      patch.childNodes = nextChildNodes
+
+      if (removed.length) {
+        patch.removed = removed
+      }
+    }
+  }
+
+  return patch
+}
+
+/**
+ * Calculates the changes required to apply a Patch to a Node.
+ *
+ * @param {Adapter} adapter
+ * @param {Node} el
+ * @param {Patch} patch
+ * @param {Object[]} changes - Array that calculated changes are pushed to.
+ * @param {Object} options - The options passed to node when creating Nodes.
+ *
+ * @example
+ * patchChanges(adapter, el, patch, changes, options)
+ */
+const patchChanges = (adapter, el, patch, changes, options) => {
+  const change = { el, remove: [], update: {} }
+
+  changes.push(change)
+
+  if (patch.replace) {
+    change.replace = node(adapter, patch.replace.next, options)
+    return
+  }
+
+  if (patch.defs) {
+    change.defs = {
+      current: defsChildNode(adapter, el),
+      next: patch.defs[ 1 ] ? passthroughNode(adapter, patch.defs[ 1 ]) : null
+    }
+  }
+
+  for (let k in patch.attributes) {
+    const value = patch.attributes[ k ][ 1 ]
+
+    if (value === null) {
+      change.remove.push(k)
+    } else {
+      change.update[ k ] = value
+    }
+  }
+
+  if (patch.childNodes) {
+    const childNodes = shapeChildNodes(adapter, el)
+    const nextChildNodes = []
+
+    let structureChanged = childNodes.length !== patch.childNodes.length
+
+    for (let i = 0, l = patch.childNodes.length; i < l; i++) {
+      const child = patch.childNodes[ i ]
+
+      if (child.frameShape) {
+        nextChildNodes.push(node(adapter, child.frameShape, options))
+        structureChanged = true
+      } else {
+        const n = childNodes[ child.index ]
+
+        if (child.patch) {
+          patchChanges(adapter, n, child.patch, changes, options)
+        }
+
+        nextChildNodes.push(n)
+        structureChanged = structureChanged || child.index !== i
+      }
+    }
+
+    if (structureChanged) {
+      change.childNodes = { current: childNodes, next: nextChildNodes }
+    }
+  }
+}
+
+/**
+ * Creates a FrameShape from a Node that is removed or replaced by a
+ * Patch, with all of its attributes and its type.
+ *
+ * @param {Adapter} adapter
+ * @param {Node} el
+ *
+ * @returns {FrameShape}
+ *
+ * @example
+ * removedFrameShape(adapter, el)
+ */
+const removedFrameShape = (adapter, el) => frameShapeFromNode(adapter, el, {
+  ...readContext(el, removedReadOptions),
+  filter: () => true
+})
+
+/**
+ * Is a Node the same kind as a FrameShape? For a shape FrameShape,
+ * the Node must be of the type that node would create.
+ *
+ * @param {Adapter} adapter
+ * @param {Node} el
+ * @param {FrameShape} frameShp
+ *
+ * @returns {boolean}
+ *
+ * @example
+ * sameKind(adapter, el, frameShape)
+ */
+const sameKind = (adapter, el, frameShp) => {
+  const name = adapter.getNodeName(el)
+
+  if (frameShp.childFrameShapes) {
+    return groupNodeType(name)
+  }
+
+  const shape = primitive(frameShp)
+
+  return name === (shape ? shape.type : 'path')
+}
+
+/**
+ * The child Nodes of a Node that are accepted, rendered node types.
+ *
+ * @param {Adapter} adapter
+ * @param {Node} el
+ *
+ * @returns {Node[]}
+ *
+ * @example
+ * shapeChildNodes(adapter, el)
+ */
+const shapeChildNodes = (adapter, el) => {
+  const allChildNodes = adapter.getChildren(el)
+  const childNodes = []
+
+  for (let i = 0, l = allChildNodes.length; i < l; i++) {
+    const n = allChildNodes[ i ]
+
+    if (validChildNodeType(adapter.getNodeName(n))) {
+      childNodes.push(n)
+    }
+  }
+
+  return childNodes
+}
+
+/**
+ * Reconciles the child Nodes of a Node. Removes current child Nodes
+ * that are not in next, and inserts or moves the next child Nodes so
+ * they are in the correct order.
+ *
+ * @param {Adapter} adapter
+ * @param {Node} el
+ * @param {Node[]} current
+ * @param {Node[]} next
+ *
+ * @example
+ * updateChildNodes(adapter, el, current, next)
+ */
+const updateChildNodes = (adapter, el, current, next) => {
+  const remaining = []
+
+  for (let i = 0, l = current.length; i < l; i++) {
+    const n = current[ i ]
+
+    if (next.indexOf(n) === -1) {
+      adapter.removeChild(el, n)
+    } else {
+      remaining.push(n)
+    }
+  }
+
+  let prev = null
+
+  for (let i = 0, l = next.length; i < l; i++) {
+    const n = next[ i ]
+
+    if (remaining[ 0 ] === n) {
+      remaining.shift()
+    } else {
+      const r = remaining.indexOf(n)
+
+      if (r !== -1) {
+        remaining.splice(r, 1)
+      }
+
+      if (remaining.length) {
+        adapter.insertBefore(el, n, remaining[ 0 ])
+      } else {
+        const children = adapter.getChildren(el)
+        adapter.insertBefore(el, n, prev ? children[ children.indexOf(prev) + 1 ] || null : null)
+      }
+    }
+
+    prev = n
+  }
+}
+
+/**
+ * Updates a Node from a FrameShape.
+ *
+ * Child Nodes of a group Node are created, removed or replaced
+ * so they match the childFrameShapes of the FrameShape. Child Nodes
+ * that are not shapes are left untouched. If the Node is not of the
+ * type that node would create, it is replaced within its parent.
+ *
+ * @param {Adapter} adapter
+ * @param {Node} el
+ * @param {FrameShape} frameShape
+ * @param {Object} [options]
+ * @param {(string|RegExp)[]} [options.exclude] - Attributes to leave untouched, as well as the default excludes.
+ * @param {function} [options.filter] - (name, value) => boolean, false to leave an attribute untouched.
+ * @param {string} [options.idPrefix] - Prefix of the ids of Defs rendered for the first time (default a hash of the Defs).
+ * @param {(string|RegExp)[]} [options.include] - If set, only these attributes are updated.
+ * @param {boolean} [options.inlineStyle] - Write presentation attributes to the style attribute.
+ * @param {string} [options.key] - Attribute used to match child Nodes to childFrameShapes.
+ * @param {boolean} [options.mergeSubpaths] - Update a single path for each compound group.
+ * @param {number} [options.precision] - Round the coordinates of path data to this many decimal places.
+ *
+ * @returns {Node} The updated Node, or the Node that replaced it.
+ *
+ * @example
+ * updateNode(adapter, el, frameShape, { key: 'id' })
+ */
+const updateNode = (adapter, el, frameShp, options = {}) => {
+  validUpdate(adapter, el, frameShp)
+
+  const changes = []
+
+  patchChanges(adapter, el, nodePatch(adapter, el, frameShp, { filter: attributeFilter(options), options }), changes, options)
+
+  applyChanges(adapter, changes)
+
+  return changes[ 0 ].replace || el
+}
+
+/**
+ * Are the arguments of updateNode valid?
+ *
+ * @param {Adapter} adapter
+ * @param {Node} el
+ * @param {FrameShape} frameShape
+ *
+ * @throws {TypeError} Throws if not valid
+ *
+ * @returns {true}
+ *
+ * @example
+ * validUpdate(adapter, el, frameShape)
+ */
+const validUpdate = (adapter, el, frameShp) => {
+  if (__DEV__) {
+    if (!validNode(el, adapter)) {
+      throw new TypeError(`The first argument of the updateNode function must be a valid DOM node`)
+    }
+
+    if (!validFrameShape(frameShp)) {
+      throw new TypeError(`The second argument of the updateNode function must be a valid frameShape`)
+    }
+  }
+
+  return true
+}
+
+export {
+  applyChanges,
+  applyPatch,
+  diff,
+  mergeChanges,
+  nodePatch,
+  patchChanges,
+  updateNode,
+  validUpdate
+}
@@ -0,0 +1,122 @@
+import { attributeFilter } from './attributeFilter'
+import { applyChanges, mergeChanges, nodePatch, patchChanges, validUpdate } from './update'
+
+/**
+ * Creates a queue of updates that are applied together once per
+ * frame. All changes are calculated before any are written, and
+ * each attribute of a Node is written at most once per flush.
+ *
+ * @param {Adapter} adapter
+ * @param {Object} [queueOptions]
+ * @param {function} [queueOptions.requestFrame] - (callback) => void, schedules a flush (default requestAnimationFrame).
+ *
+ * @returns {Object} An object with updateNode and flush functions.
+ *
+ * @example
+ * createUpdateQueue(adapter, { requestFrame: callback => setTimeout(callback, 16) })
+ */
+const createUpdateQueue = (adapter, queueOptions = {}) => {
+  const requestFrame = queueOptions.requestFrame || (callback => window.requestAnimationFrame(callback))
+
+  let frame = 0
+  let pending = null
+  let queue = []
+
+  /**
+   * Applies all queued updates now. If an update throws, none are
+   * applied, and the Promise of the queued updates is rejected.
+   *
+   * @example
+   * flush()
+   */
+  const flush = () => {
+    const done = pending
+    const updates = queue
+    const changes = []
+    const replaced = new Map()
+
+    frame++
+    pending = null
+    queue = []
+
+    try {
+      const roots = []
+
+      for (let i = 0, l = updates.length; i < l; i++) {
+        const update = updates[ i ]
+
+        roots.push(changes.length)
+        patchChanges(adapter, update.el, nodePatch(adapter, update.el, update.frameShp, update.context), changes, update.context.options)
+      }
+
+      for (let i = 0, l = updates.length; i < l; i++) {
+        const replacement = changes[ roots[ i ] ].replace
+
+        if (replacement) {
+          replaced.set(updates[ i ].el, replacement)
+        }
+      }
+
+      applyChanges(adapter, mergeChanges(changes))
+    } catch (err) {
+      if (!done) {
+        throw err
+      }
+
+      done.reject(err)
+      return
+    }
+
+    if (done) {
+      done.resolve(replaced)
+    }
+  }
+
+  /**
+   * Queues an update of a Node from a FrameShape. A later update of
+   * the same Node replaces an earlier one.
+   *
+   * @param {Node} el
+   * @param {FrameShape} frameShape
+   * @param {Object} [options] - The same options as updateNode.
+   *
+   * @returns {Promise} Resolved with the updated Node, or the Node that replaced it, when the update is applied. Rejected if it throws.
+   *
+   * @example
+   * queue.updateNode(el, frameShape)
+   */
+  const queueUpdate = (el, frameShp, options = {}) => {
+    validUpdate(adapter, el, frameShp)
+
+    for (let i = 0, l = queue.length; i < l; i++) {
+      if (queue[ i ].el === el) {
+        queue.splice(i, 1)
+        break
+      }
+    }
+
+    queue.push({ context: { filter: attributeFilter(options), options }, el, frameShp })
+
+    if (!pending) {
+      pending = {}
+      pending.promise = new Promise((resolve, reject) => {
+        pending.reject = reject
+        pending.resolve = resolve
+      })
+
+      const token = frame
+
+      requestFrame(() => {
+        if (token === frame) {
+          flush()
+        }
+      })
+    }
+
+    return pending.promise.then(replaced => replaced.get(el) || el)
+  }
+
+  return { flush, updateNode: queueUpdate }
+}
+
+export default createUpdateQueue
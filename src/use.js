@@ -0,0 +1,124 @@
+import { parseLength } from './attributeValue'
+import { transformAttribute } from './transform'
+
+/**
+ * The fraction of the spare space before the viewBox, for each
+ * preserveAspectRatio alignment.
+ */
+const alignments = { Max: 1, Mid: 0.5, Min: 0 }
+
+/**
+ * Parses a length attribute into px.
+ *
+ * @param {*} value
+ * @param {string} axis - The viewport axis that percentages are relative to: x, y or xy.
+ * @param {LengthContext} lengthContext
+ *
+ * @returns {(number|null)} Null if the attribute is absent or could not be parsed.
+ *
+ * @example
+ * lengthAttribute('50%', 'x', lengthContext)
+ */
+const lengthAttribute = (value, axis, lengthContext) => {
+  if (typeof value === 'undefined') {
+    return null
+  }
+
+  const n = parseLength(value, axis, lengthContext)
+
+  return typeof n === 'number' && !Number.isNaN(n) ? n : null
+}
+
+/**
+ * Creates the Matrix that maps the viewBox of a symbol Node to the
+ * width and height it is used at, as preserveAspectRatio describes.
+ *
+ * @param {Object} attributes - The attributes of the symbol Node.
+ * @param {number} width
+ * @param {number} height
+ *
+ * @returns {(Matrix|null)} Null if the symbol Node has no valid viewBox.
+ *
+ * @example
+ * viewBoxMatrix({ viewBox: '0 0 24 24' }, 48, 48)
+ */
+const viewBoxMatrix = (attributes, width, height) => {
+  const viewBox = String(attributes.viewBox || '').trim().split(/[\s,]+/).map(Number)
+
+  if (viewBox.length !== 4 || viewBox.some(Number.isNaN) || viewBox[ 2 ] <= 0 || viewBox[ 3 ] <= 0) {
+    return null
+  }
+
+  const match = /^\s*(none|x(Min|Mid|Max)Y(Min|Mid|Max))?\s*(meet|slice)?\s*$/.exec(attributes.preserveAspectRatio || '')
+  const align = match && match[ 1 ] ? match[ 1 ] : 'xMidYMid'
+
+  let sx = width / viewBox[ 2 ]
+  let sy = height / viewBox[ 3 ]
+  let tx = 0
+  let ty = 0
+
+  if (align !== 'none') {
+    sx = sy = match && match[ 4 ] === 'slice' ? Math.max(sx, sy) : Math.min(sx, sy)
+    tx = (width - viewBox[ 2 ] * sx) * alignments[ match && match[ 2 ] ? match[ 2 ] : 'Mid' ]
+    ty = (height - viewBox[ 3 ] * sy) * alignments[ match && match[ 3 ] ? match[ 3 ] : 'Mid' ]
+  }
+
+  return [ sx, 0, 0, sy, tx - viewBox[ 0 ] * sx, ty - viewBox[ 1 ] * sy ]
+}
+
+/**
+ * Creates the attributes of the group that a use Node is read as.
+ * The x and y attributes of the use Node are applied as a translation.
+ * If it references a symbol Node with a viewBox, the viewBox is scaled
+ * to the width and height of the use Node, or else of the symbol Node.
+ *
+ * @param {Object} attributes - The attributes of the use Node.
+ * @param {LengthContext} lengthContext - Used to resolve the lengths of the use Node.
+ * @param {Object} [symbolAttributes] - The attributes of the referenced symbol Node.
+ *
+ * @returns {Object}
+ *
+ * @example
+ * useAttributes({ href: '#icon', x: '10', y: '10' }, lengthContext)
+ */
+const useAttributes = (attributes, lengthContext, symbolAttributes) => {
+  const ignore = [ 'height', 'href', 'width', 'x', 'xlink:href', 'y' ]
+  const result = {}
+  const transforms = attributes.transform ? [ attributes.transform ] : []
+
+  for (let k in attributes) {
+    if (ignore.indexOf(k) === -1) {
+      result[ k ] = attributes[ k ]
+    }
+  }
+
+  const x = lengthAttribute(attributes.x, 'x', lengthContext) || 0
+  const y = lengthAttribute(attributes.y, 'y', lengthContext) || 0
+
+  if (x || y) {
+    transforms.push(`translate(${x},${y})`)
+  }
+
+  if (symbolAttributes) {
+    const size = (k, axis) => {
+      const n = lengthAttribute(attributes[ k ], axis, lengthContext)
+      return n === null ? lengthAttribute(symbolAttributes[ k ] || '100%', axis, lengthContext) : n
+    }
+
+    const width = size('width', 'x')
+    const height = size('height', 'y')
+    const matrix = width !== null && height !== null ? viewBoxMatrix(symbolAttributes, width, height) : null
+
+    if (matrix) {
+      transforms.push(transformAttribute(matrix))
+    }
+  }
+
+  if (transforms.length) {
+    result.transform = transforms.join(' ')
+  }
+
+  return result
+}
+
+export { useAttributes }
@@ -0,0 +1,144 @@
+/* globals __DEV__ */
+
+import { nodeTypes, validNodeType } from './nodeTypes'
+
+/**
+ * Is a FrameShape valid?
+ *
+ * @param {FrameShape} frameShp
+ *
+ * @throws {TypeError} Throws if not valid
+ *
+ * @returns {true}
+ *
+ * @example
+ * validFrameShape(frameShape)
+ */
+const validFrameShape = frameShp => {
+  if (__DEV__) {
+    if (typeof frameShp !== 'object' || Array.isArray(frameShp)) {
+      throw new TypeError(`frameShape must be of type object`)
+    }
+
+    const attributes = frameShp.attributes
+    const childFrameShapes = frameShp.childFrameShapes
+    const compound = frameShp.compound
+    const passthrough = frameShp.passthrough
+    const defs = frameShp.defs
+    const points = frameShp.points
+    const shape = frameShp.shape
+
+    if (typeof attributes === 'undefined') {
+      throw new TypeError(`frameShape must include an attributes property`)
+    }
+
+    if (typeof attributes !== 'object' || Array.isArray(attributes)) {
+      throw new TypeError(`frameShape attributes property must be of type object`)
+    }
+
+    if (typeof childFrameShapes === 'undefined' && typeof points === 'undefined') {
+      throw new TypeError(`frameShape must have either a points or childFrameShapes property`)
+    }
+
+    if (points && (!Array.isArray(points))) {
+      throw new TypeError(`frameShape points property must be of type array`)
+    }
+
+    if (childFrameShapes) {
+      if (!Array.isArray(childFrameShapes)) {
+        throw new TypeError(`frameShape childFrameShapes property must be of type array`)
+      }
+
+      for (let i = 0, l = childFrameShapes.length; i < l; i++) {
+        const childFrameShape = childFrameShapes[ i ]
+
+        if (typeof childFrameShape !== 'object' || typeof childFrameShape.attributes !== 'object') {
+          throw new TypeError(`frameShape childFrameShapes property must be array of frameShapes`)
+        }
+      }
+    }
+
+    if (typeof compound !== 'undefined' && typeof compound !== 'boolean') {
+      throw new TypeError(`frameShape compound property must be of type boolean`)
+    }
+
+    if (defs && (typeof defs !== 'object' || Array.isArray(defs))) {
+      throw new TypeError(`frameShape defs property must be of type object`)
+    }
+
+    if (passthrough && !Array.isArray(passthrough)) {
+      throw new TypeError(`frameShape passthrough property must be of type array`)
+    }
+
+    if (shape && (typeof shape !== 'object' || typeof shape.type !== 'string')) {
+      throw new TypeError(`frameShape shape property must be a plainShapeObject`)
+    }
+  }
+
+  return true
+}
+
+/**
+ * Is a Node valid?
+ *
+ * @param {Node} el
+ * @param {Adapter} adapter
+ *
+ * @throws {TypeError} Throws if not valid
+ *
+ * @returns {true}
+ *
+ * @example
+ * validNode(el, adapter)
+ */
+const validNode = (el, adapter) => {
+  if (__DEV__) {
+    if (typeof el !== 'object' || el === null || !adapter.getNodeName(el)) {
+      throw new TypeError(`el must be a DOM node`)
+    }
+
+    if (!validNodeType(adapter.getNodeName(el))) {
+      throw new TypeError(`el must be an SVG basic shape or group element`)
+    }
+  }
+
+  return true
+}
+
+/**
+ * Is a PlainShapeObject valid?
+ *
+ * @param {PlainShapeObject} shape
+ *
+ * @throws {TypeError} Throws if not valid
+ *
+ * @returns {true}
+ *
+ * @example
+ * validPlainShapeObject({ type: 'circle', cx: 50, cy: 50, r: 20 })
+ */
+const validPlainShapeObject = shape => {
+  if (__DEV__) {
+    if (typeof shape !== 'object' || shape === null || Array.isArray(shape)) {
+      throw new TypeError(`plainShapeObject must be of type object`)
+    }
+
+    if (shape.type !== 'g' && nodeTypes.indexOf(shape.type) === -1) {
+      throw new TypeError(`plainShapeObject type property must be an SVG basic shape or g`)
+    }
+
+    if (shape.type === 'g') {
+      if (!Array.isArray(shape.shapes)) {
+        throw new TypeError(`plainShapeObject shapes property must be of type array`)
+      }
+
+      for (let i = 0, l = shape.shapes.length; i < l; i++) {
+        validPlainShapeObject(shape.shapes[ i ])
+      }
+    }
+  }
+
+  return true
+}
+
+export { validFrameShape, validNode, validPlainShapeObject }
@@ -0,0 +1,395 @@
+import { nodeTypes } from './nodeTypes'
+
+/**
+ * A problem found by validate.
+ *
+ * @typedef {Object} Problem
+ *
+ * @property {string} message - The path and the problem, for example childFrameShapes[2].points[5].x is NaN.
+ * @property {string} path - The location of the problem, relative to the FrameShape. Empty for the FrameShape itself.
+ */
+
+/**
+ * The properties of each curve type that must be numbers.
+ */
+const curveNumbers = {
+  arc: [ 'rx', 'ry' ],
+  cubic: [ 'x1', 'y1', 'x2', 'y2' ],
+  quadratic: [ 'x1', 'y1' ]
+}
+
+/**
+ * The properties of arc curves that are flags.
+ */
+const arcFlags = [ 'largeArcFlag', 'sweepFlag' ]
+
+/**
+ * Matches a property name that can be written after a dot.
+ */
+const identifierPattern = /^[A-Za-z_$][\w$]*$/
+
+/**
+ * Is a value a plain object?
+ *
+ * @param {*} value
+ *
+ * @returns {boolean}
+ *
+ * @example
+ * isObject({})
+ */
+const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value)
+
+/**
+ * The path of a property.
+ *
+ * @param {string} path - The path of the object.
+ * @param {(string|number)} key
+ *
+ * @returns {string}
+ *
+ * @example
+ * propPath('childFrameShapes[0].attributes', 'stroke-width')
+ */
+const propPath = (path, key) => {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`
+  }
+
+  if (!identifierPattern.test(key)) {
+    return `${path}[${JSON.stringify(key)}]`
+  }
+
+  return path ? `${path}.${key}` : key
+}
+
+/**
+ * Creates a function that records Problems.
+ *
+ * @param {Problem[]} problems
+ *
+ * @returns {function} (path, problem) => void
+ *
+ * @example
+ * reporter([])
+ */
+const reporter = problems => (path, problem) => {
+  problems.push({ message: `${path || 'frameShape'} ${problem}`, path })
+}
+
+/**
+ * Checks that a value is a finite number.
+ *
+ * @param {*} value
+ * @param {string} path
+ * @param {function} report
+ *
+ * @example
+ * checkNumber(point.x, 'points[0].x', report)
+ */
+const checkNumber = (value, path, report) => {
+  if (typeof value !== 'number') {
+    report(path, typeof value === 'undefined' ? 'is missing' : 'must be of type number')
+  } else if (Number.isNaN(value)) {
+    report(path, 'is NaN')
+  } else if (!Number.isFinite(value)) {
+    report(path, 'must be finite')
+  }
+}
+
+/**
+ * Checks an attribute value.
+ *
+ * @param {*} value
+ * @param {string} path
+ * @param {function} report
+ *
+ * @example
+ * checkAttribute([ 255, 0, 0, 1 ], 'attributes.fill', report)
+ */
+const checkAttribute = (value, path, report) => {
+  if (Array.isArray(value)) {
+    if (value.length !== 4) {
+      report(path, 'must be a colour of four numbers')
+    } else {
+      for (let i = 0; i < 4; i++) {
+        checkNumber(value[ i ], propPath(path, i), report)
+      }
+    }
+  } else if (typeof value === 'number') {
+    checkNumber(value, path, report)
+  } else if (typeof value !== 'string') {
+    report(path, 'must be of type string, number or colour')
+  }
+}
+
+/**
+ * Checks a curve.
+ *
+ * @param {*} curve
+ * @param {string} path
+ * @param {function} report
+ *
+ * @example
+ * checkCurve(point.curve, 'points[1].curve', report)
+ */
+const checkCurve = (curve, path, report) => {
+  if (!isObject(curve)) {
+    report(path, 'must be of type object')
+    return
+  }
+
+  const numbers = curveNumbers[ curve.type ]
+
+  if (!numbers) {
+    report(propPath(path, 'type'), 'must be cubic, quadratic or arc')
+    return
+  }
+
+  for (let i = 0, l = numbers.length; i < l; i++) {
+    checkNumber(curve[ numbers[ i ] ], propPath(path, numbers[ i ]), report)
+  }
+
+  if (curve.type === 'arc') {
+    if (typeof curve.xAxisRotation !== 'undefined') {
+      checkNumber(curve.xAxisRotation, propPath(path, 'xAxisRotation'), report)
+    }
+
+    for (let i = 0, l = arcFlags.length; i < l; i++) {
+      const flag = curve[ arcFlags[ i ] ]
+
+      if (typeof flag !== 'undefined' && typeof flag !== 'boolean' && flag !== 0 && flag !== 1) {
+        report(propPath(path, arcFlags[ i ]), 'must be 0, 1 or a boolean')
+      }
+    }
+  }
+}
+
+/**
+ * Checks Points.
+ *
+ * @param {*} points
+ * @param {string} path
+ * @param {function} report
+ *
+ * @example
+ * checkPoints(frameShape.points, 'points', report)
+ */
+const checkPoints = (points, path, report) => {
+  if (!Array.isArray(points)) {
+    report(path, 'must be of type array')
+    return
+  }
+
+  for (let i = 0, l = points.length; i < l; i++) {
+    const point = points[ i ]
+    const pointPath = propPath(path, i)
+
+    if (!isObject(point)) {
+      report(pointPath, 'must be of type object')
+      continue
+    }
+
+    checkNumber(point.x, propPath(pointPath, 'x'), report)
+    checkNumber(point.y, propPath(pointPath, 'y'), report)
+
+    if (typeof point.moveTo !== 'undefined' && typeof point.moveTo !== 'boolean') {
+      report(propPath(pointPath, 'moveTo'), 'must be of type boolean')
+    }
+
+    if (typeof point.curve !== 'undefined') {
+      if (point.moveTo) {
+        report(propPath(pointPath, 'curve'), 'must not be set on a moveTo point')
+      } else if (i === 0) {
+        report(propPath(pointPath, 'curve'), 'must not be set on the first point')
+      } else {
+        checkCurve(point.curve, propPath(pointPath, 'curve'), report)
+      }
+    }
+  }
+}
+
+/**
+ * Checks Passthroughs.
+ *
+ * @param {*} passthrough
+ * @param {number} count - The number of childFrameShapes.
+ * @param {string} path
+ * @param {function} report
+ *
+ * @example
+ * checkPassthrough(frameShape.passthrough, 2, 'passthrough', report)
+ */
+const checkPassthrough = (passthrough, count, path, report) => {
+  if (!Array.isArray(passthrough)) {
+    report(path, 'must be of type array')
+    return
+  }
+
+  for (let i = 0, l = passthrough.length; i < l; i++) {
+    const item = passthrough[ i ]
+    const itemPath = propPath(path, i)
+
+    if (!isObject(item)) {
+      report(itemPath, 'must be of type object')
+      continue
+    }
+
+    if (typeof item.index !== 'number' || item.index % 1 !== 0 || item.index < 0 || item.index > count) {
+      report(propPath(itemPath, 'index'), `must be an integer from 0 to ${count}`)
+    }
+
+    if (!isObject(item.node) || (typeof item.node.type !== 'string' && typeof item.node.text !== 'string')) {
+      report(propPath(itemPath, 'node'), 'must be an object with a type or text property')
+    }
+  }
+}
+
+/**
+ * Checks Defs.
+ *
+ * @param {*} defs
+ * @param {string} path
+ * @param {function} report
+ *
+ * @example
+ * checkDefs(frameShape.defs, 'defs', report)
+ */
+const checkDefs = (defs, path, report) => {
+  if (!isObject(defs)) {
+    report(path, 'must be of type object')
+    return
+  }
+
+  for (let id in defs) {
+    const def = defs[ id ]
+    const defPath = propPath(path, id)
+
+    if (!isObject(def)) {
+      report(defPath, 'must be of type object')
+      continue
+    }
+
+    if (typeof def.type !== 'string') {
+      report(propPath(defPath, 'type'), 'must be of type string')
+    }
+
+    if (!isObject(def.attributes)) {
+      report(propPath(defPath, 'attributes'), 'must be of type object')
+    }
+
+    if (Array.isArray(def.stops)) {
+      for (let i = 0, l = def.stops.length; i < l; i++) {
+        const stopPath = propPath(propPath(defPath, 'stops'), i)
+
+        if (!isObject(def.stops[ i ])) {
+          report(stopPath, 'must be of type object')
+        } else {
+          checkNumber(def.stops[ i ].offset, propPath(stopPath, 'offset'), report)
+          checkAttribute(def.stops[ i ].color, propPath(stopPath, 'color'), report)
+        }
+      }
+    } else if (Array.isArray(def.childFrameShapes)) {
+      for (let i = 0, l = def.childFrameShapes.length; i < l; i++) {
+        checkFrameShape(def.childFrameShapes[ i ], propPath(propPath(defPath, 'childFrameShapes'), i), report)
+      }
+    } else {
+      report(defPath, 'must have either a stops or childFrameShapes array')
+    }
+  }
+}
+
+/**
+ * Checks a FrameShape and its children.
+ *
+ * @param {*} frameShp
+ * @param {string} path
+ * @param {function} report
+ *
+ * @example
+ * checkFrameShape(frameShape, '', report)
+ */
+const checkFrameShape = (frameShp, path, report) => {
+  if (!isObject(frameShp)) {
+    report(path, 'must be of type object')
+    return
+  }
+
+  const attributes = frameShp.attributes
+  const childFrameShapes = frameShp.childFrameShapes
+  const points = frameShp.points
+  const group = typeof childFrameShapes !== 'undefined'
+
+  if (typeof attributes === 'undefined') {
+    report(propPath(path, 'attributes'), 'is missing')
+  } else if (!isObject(attributes)) {
+    report(propPath(path, 'attributes'), 'must be of type object')
+  } else {
+    for (let k in attributes) {
+      checkAttribute(attributes[ k ], propPath(propPath(path, 'attributes'), k), report)
+    }
+  }
+
+  if (group && typeof points !== 'undefined') {
+    report(path, 'must not have both points and childFrameShapes properties')
+  } else if (!group && typeof points === 'undefined') {
+    report(path, 'must have either a points or childFrameShapes property')
+  }
+
+  if (typeof points !== 'undefined') {
+    checkPoints(points, propPath(path, 'points'), report)
+  }
+
+  if (group) {
+    if (!Array.isArray(childFrameShapes)) {
+      report(propPath(path, 'childFrameShapes'), 'must be of type array')
+    } else {
+      for (let i = 0, l = childFrameShapes.length; i < l; i++) {
+        checkFrameShape(childFrameShapes[ i ], propPath(propPath(path, 'childFrameShapes'), i), report)
+      }
+    }
+  }
+
+  if (typeof frameShp.compound !== 'undefined' && typeof frameShp.compound !== 'boolean') {
+    report(propPath(path, 'compound'), 'must be of type boolean')
+  }
+
+  if (typeof frameShp.passthrough !== 'undefined') {
+    const count = Array.isArray(childFrameShapes) ? childFrameShapes.length : 0
+    checkPassthrough(frameShp.passthrough, count, propPath(path, 'passthrough'), report)
+  }
+
+  if (typeof frameShp.defs !== 'undefined') {
+    checkDefs(frameShp.defs, propPath(path, 'defs'), report)
+  }
+
+  if (typeof frameShp.shape !== 'undefined') {
+    const shape = frameShp.shape
+
+    if (!isObject(shape) || shape.type === 'g' || nodeTypes.indexOf(shape.type) === -1) {
+      report(propPath(path, 'shape'), 'must be a plainShapeObject of an SVG basic shape')
+    }
+  }
+}
+
+/**
+ * Finds every problem with a FrameShape, including its points, curves
+ * and children. Unlike the checks made by other functions, validate
+ * does not throw, and is not removed from production builds.
+ *
+ * @param {FrameShape} frameShp
+ *
+ * @returns {Problem[]} Empty if the FrameShape is valid.
+ *
+ * @example
+ * validate(JSON.parse(json))
+ */
+const validate = frameShp => {
+  const problems = []
+
+  checkFrameShape(frameShp, '', reporter(problems))
+
+  return problems
+}
+
+export default validate
@@ -0,0 +1,241 @@
+import { attributeValue } from './attributeValue'
+import { mergeFrameShape } from './compound'
+import { defsPrefix, renderDefs } from './defs'
+import { groupChildren } from './passthrough'
+import { primitive, primitiveAttributes } from './primitive'
+import { pathData, roundPoints } from './simplify'
+import { inlineStyle } from './style'
+import { validFrameShape, validPlainShapeObject } from './valid'
+
+/**
+ * Creates a group Node from a FrameShape array, and any Passthroughs.
+ *
+ * @param {Adapter} adapter
+ * @param {FrameShape[]} childFrameShapes
+ * @param {Object} options - The options passed to node.
+ * @param {Passthrough[]} [passthrough]
+ *
+ * @returns {Node}
+ *
+ * @example
+ * groupNode(adapter, childFrameShapes, options, passthrough)
+ */
+const groupNode = (adapter, childFrameShapes, options, passthrough) => {
+  const children = groupChildren(childFrameShapes, passthrough)
+  const nodes = []
+
+  for (let i = 0, l = children.length; i < l; i++) {
+    const child = children[ i ]
+
+    nodes.push(child.frameShape
+      ? node(adapter, child.frameShape, options)
+      : passthroughNode(adapter, child.passthroughNode))
+  }
+
+  const group = adapter.createElement('g')
+
+  for (let i = 0, l = nodes.length; i < l; i++) {
+    adapter.appendChild(group, nodes[ i ])
+  }
+
+  return group
+}
+
+/**
+ * Creates a Node from a FrameShape.
+ *
+ * @param {Adapter} adapter
+ * @param {FrameShape} frameShape
+ * @param {Object} [options]
+ * @param {string} [options.idPrefix] - Prefix of the ids of rendered Defs (default a hash of the Defs).
+ * @param {boolean} [options.inlineStyle] - Write presentation attributes to the style attribute.
+ * @param {boolean} [options.mergeSubpaths] - Create a single path for each compound group.
+ * @param {number} [options.precision] - Round the coordinates of path data to this many decimal places.
+ *
+ * @returns {Node}
+ *
+ * @example
+ * node(adapter, frameShape, { inlineStyle: true })
+ */
+const node = (adapter, frameShp, options = {}) => {
+  if (validFrameShape(frameShp)) {
+    const merged = options.mergeSubpaths ? mergeFrameShape(frameShp) : frameShp
+
+    if (merged !== frameShp) {
+      return node(adapter, merged, options)
+    }
+
+    if (frameShp.defs && frameShp.childFrameShapes) {
+      return node(adapter, renderDefs(frameShp, defsPrefix(frameShp.defs, options)), options)
+    }
+
+    const attributes = writeAttributes(frameShp, options)
+
+    const el = frameShp.childFrameShapes
+      ? groupNode(adapter, frameShp.childFrameShapes, options, frameShp.passthrough)
+      : shapeNode(adapter, frameShp, options)
+
+    for (let attr in attributes) {
+      adapter.setAttribute(el, attr, attributeValue(attributes[ attr ]))
+    }
+
+    return el
+  }
+}
+
+/**
+ * Creates a Node from a PlainShapeObject. The Node is of the same
+ * type as the PlainShapeObject, so a circle is created as a circle.
+ *
+ * @param {Adapter} adapter
+ * @param {PlainShapeObject} shape
+ *
+ * @returns {Node}
+ *
+ * @example
+ * nodeFromPlainShapeObject(adapter, { type: 'rect', x: 10, y: 10, width: 80, height: 80, rx: 5 })
+ */
+const nodeFromPlainShapeObject = (adapter, shape) => {
+  if (validPlainShapeObject(shape)) {
+    return primitiveNode(adapter, shape)
+  }
+}
+
+/**
+ * Creates a Node from a PassthroughNode.
+ *
+ * @param {Adapter} adapter
+ * @param {PassthroughNode} data
+ *
+ * @returns {Node}
+ *
+ * @example
+ * passthroughNode(adapter, { type: 'title', attributes: {}, childNodes: [ { text: 'Potato' } ] })
+ */
+const passthroughNode = (adapter, data) => {
+  if (typeof data.text === 'string') {
+    return adapter.createTextNode(data.text)
+  }
+
+  const el = adapter.createElement(data.type)
+
+  for (let attr in data.attributes) {
+    adapter.setAttribute(el, attr, data.attributes[ attr ])
+  }
+
+  for (let i = 0, l = data.childNodes.length; i < l; i++) {
+    adapter.appendChild(el, passthroughNode(adapter, data.childNodes[ i ]))
+  }
+
+  return el
+}
+
+/**
+ * Creates a Node from a PlainShapeObject, without converting it to
+ * a path. Keys other than type and shapes are written as attributes,
+ * and the shapes of a g are created as child Nodes.
+ *
+ * @param {Adapter} adapter
+ * @param {PlainShapeObject} shape
+ *
+ * @returns {Node}
+ *
+ * @example
+ * primitiveNode(adapter, { type: 'circle', cx: 50, cy: 50, r: 20, fill: 'red' })
+ */
+const primitiveNode = (adapter, shape) => {
+  const el = adapter.createElement(shape.type)
+  const attributes = primitiveAttributes(shape)
+
+  for (let attr in attributes) {
+    if (attr !== 'shapes' || shape.type !== 'g') {
+      adapter.setAttribute(el, attr, attributeValue(attributes[ attr ]))
+    }
+  }
+
+  if (shape.type === 'g' && shape.shapes) {
+    for (let i = 0, l = shape.shapes.length; i < l; i++) {
+      adapter.appendChild(el, primitiveNode(adapter, shape.shapes[ i ]))
+    }
+  }
+
+  return el
+}
+
+/**
+ * Creates a shape Node from a FrameShape. The Node is the basic shape
+ * the FrameShape was read from if its points still describe that
+ * shape, otherwise a path.
+ *
+ * @param {Adapter} adapter
+ * @param {FrameShape} frameShp
+ * @param {Object} options - The options passed to node.
+ *
+ * @returns {Node}
+ *
+ * @example
+ * shapeNode(adapter, frameShape, options)
+ */
+const shapeNode = (adapter, frameShp, options) => {
+  const shape = primitive(frameShp)
+
+  if (!shape) {
+    const path = adapter.createElement('path')
+    adapter.setAttribute(path, 'd', pathData(frameShp.points, options.precision))
+    return path
+  }
+
+  return primitiveNode(adapter, shape)
+}
+
+/**
+ * The attributes of a FrameShape as they are written to a Node.
+ *
+ * @param {FrameShape} frameShp
+ * @param {Object} options
+ *
+ * @returns {Object}
+ *
+ * @example
+ * writeAttributes(frameShape, { inlineStyle: true })
+ */
+const writeAttributes = (frameShp, options) => options.inlineStyle
+  ? inlineStyle(frameShp.attributes)
+  : frameShp.attributes
+
+/**
+ * A FrameShape, with its attributes and points and those of its
+ * children as they are written to a Node.
+ *
+ * @param {FrameShape} frameShp
+ * @param {Object} options
+ *
+ * @returns {FrameShape}
+ *
+ * @example
+ * writtenFrameShape(frameShape, { inlineStyle: true })
+ */
+const writtenFrameShape = (frameShp, options) => {
+  const precise = typeof options.precision === 'number'
+  const merged = options.mergeSubpaths ? mergeFrameShape(frameShp) : frameShp
+
+  if (merged !== frameShp) {
+    return writtenFrameShape(merged, options)
+  }
+
+  if (!options.inlineStyle && !options.mergeSubpaths && !precise) {
+    return frameShp
+  }
+
+  const result = { ...frameShp, attributes: writeAttributes(frameShp, options) }
+
+  if (frameShp.childFrameShapes) {
+    result.childFrameShapes = frameShp.childFrameShapes.map(c => writtenFrameShape(c, options))
+  } else if (precise && !primitive(frameShp)) {
+    result.points = roundPoints(frameShp.points, options.precision)
+  }
+
+  return result
+}
+
+export { node, nodeFromPlainShapeObject, passthroughNode, writeAttributes, writtenFrameShape }
@@ -0,0 +1,85 @@
+/* globals afterEach describe it expect */
+
+import { configure, frameShape, plainShapeObject, updateNode } from '../src'
+
+const createPath = attributes => {
+  const path = document.createElementNS('http://www.w3.org/2000/svg', 'path')
+  path.setAttribute('d', 'M0,0H10')
+
+  for (let k in attributes) {
+    path.setAttribute(k, attributes[ k ])
+  }
+
+  return path
+}
+
+const points = [{ x: 0, y: 0, moveTo: true }, { x: 10, y: 0 }]
+
+describe('attributeFilter', () => {
+  afterEach(() => {
+    configure({ exclude: [ 'data-jsx-ext', 'data-reactid' ], filter: null, include: null })
+  })
+
+  it('should throw if options are invalid', () => {
+    expect(() => frameShape(createPath(), { exclude: 'potato' }))
+      .to.throw('exclude option must be of type array')
+
+    expect(() => configure({ filter: 'potato' }))
+      .to.throw('filter option must be of type function')
+  })
+
+  it('should exclude attributes by name and pattern', () => {
+    const el = createPath({ fill: 'red', 'data-v-1a2b3c': '', 'data-reactid': '1' })
+
+    expect(frameShape(el, { exclude: [ /^data-v-/ ] }).attributes)
+      .to.eql({ fill: 'red' })
+  })
+
+  it('should add the exclude option to the default excludes', () => {
+    const el = createPath({ 'class': 'potato', 'data-jsx-ext': '', 'data-reactid': '1', fill: 'red' })
+
+    expect(frameShape(el, { exclude: [ 'class' ] }).attributes).to.eql({ fill: 'red' })
+    expect(frameShape(el, { exclude: [] }).attributes).to.eql({ 'class': 'potato', fill: 'red' })
+  })
+
+  it('should only include attributes by name and pattern', () => {
+    const el = createPath({ fill: 'red', stroke: 'blue', 'class': 'potato' })
+
+    expect(plainShapeObject(el, { include: [ 'class', /^st/ ] }))
+      .to.eql({ type: 'path', d: 'M0,0H10', stroke: 'blue', 'class': 'potato' })
+  })
+
+  it('should exclude attributes with a predicate', () => {
+    const el = createPath({ fill: 'red', 'class': 'svelte-xyz potato' })
+    const filter = (name, value) => !(name === 'class' && /svelte-/.test(value))
+
+    expect(frameShape(el, { filter }).attributes).to.eql({ fill: 'red' })
+  })
+
+  it('should use configured defaults', () => {
+    const el = createPath({ fill: 'red', 'data-v-1a2b3c': '' })
+
+    configure({ exclude: [ /^data-v-/ ] })
+
+    expect(frameShape(el).attributes).to.eql({ fill: 'red' })
+    expect(frameShape(el, { exclude: [ 'fill' ] }).attributes).to.eql({})
+
+    configure({ exclude: [] })
+
+    expect(frameShape(el).attributes).to.eql({ fill: 'red', 'data-v-1a2b3c': '' })
+  })
+
+  it('should not update excluded attributes', () => {
+    const el = createPath({ 'class': 'svelte-xyz', 'data-v-1a2b3c': '' })
+
+    updateNode(el, {
+      attributes: { fill: 'red', 'data-v-4d5e6f': '' },
+      points
+    }, { exclude: [ 'class', /^data-v-/ ] })
+
+    expect(el.getAttribute('class')).to.equal('svelte-xyz')
+    expect(el.hasAttribute('data-v-1a2b3c')).to.equal(true)
+    expect(el.hasAttribute('data-v-4d5e6f')).to.equal(false)
+    expect(el.getAttribute('fill')).to.equal('red')
+  })
+})
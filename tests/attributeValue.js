@@ -0,0 +1,135 @@
+/* globals describe it expect */
+
+import { frameShape, node, plainShapeObject, toSVGString, updateNode } from '../src'
+
+const createSvg = markup => {
+  const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg')
+  svg.setAttribute('viewBox', '0 0 200 100')
+  svg.innerHTML = markup
+  return svg
+}
+
+const createPath = attributes => {
+  const path = document.createElementNS('http://www.w3.org/2000/svg', 'path')
+  path.setAttribute('d', 'M0,0H10')
+
+  for (let k in attributes) {
+    path.setAttribute(k, attributes[ k ])
+  }
+
+  return path
+}
+
+describe('normalise option', () => {
+  it('should convert core prop lengths with units to px', () => {
+    const el = createSvg(`
+      <circle cx="1in" cy="2.54cm" r="10px" />
+      <g font-size="10">
+        <rect x="1em" y="2ex" width="50%" height="50%" />
+      </g>
+    `)
+
+    expect(plainShapeObject(el).shapes).to.eql([
+      { type: 'circle', cx: 96, cy: 96, r: 10 },
+      {
+        type: 'g',
+        'font-size': '10',
+        shapes: [{ type: 'rect', x: 10, y: 10, width: 100, height: 50 }]
+      }
+    ])
+  })
+
+  it('should convert percentages relative to the viewport option', () => {
+    const el = document.createElementNS('http://www.w3.org/2000/svg', 'circle')
+
+    el.setAttribute('cx', '50%')
+    el.setAttribute('cy', '50%')
+    el.setAttribute('r', '10%')
+
+    expect(plainShapeObject(el)).to.eql({ type: 'circle', cx: '50%', cy: '50%', r: '10%' })
+
+    expect(plainShapeObject(el, { viewport: { width: 100, height: 100 } }))
+      .to.eql({ type: 'circle', cx: 50, cy: 50, r: 10 })
+  })
+
+  it('should not parse typed attributes by default', () => {
+    const el = createPath({ fill: 'red', opacity: '0.5' })
+    expect(frameShape(el).attributes).to.eql({ fill: 'red', opacity: '0.5' })
+  })
+
+  it('should parse colours', () => {
+    const color = fill => frameShape(createPath({ fill }), { normalise: true }).attributes.fill
+
+    expect(color('red')).to.eql([ 255, 0, 0, 1 ])
+    expect(color('transparent')).to.eql([ 0, 0, 0, 0 ])
+    expect(color('#00f')).to.eql([ 0, 0, 255, 1 ])
+    expect(color('#0000ff80')).to.eql([ 0, 0, 255, 128 / 255 ])
+    expect(color('rgb(0, 128, 255)')).to.eql([ 0, 128, 255, 1 ])
+    expect(color('rgba(0, 128, 255, 0.5)')).to.eql([ 0, 128, 255, 0.5 ])
+    expect(color('rgb(0 100% 0 / 50%)')).to.eql([ 0, 255, 0, 0.5 ])
+    expect(color('hsl(120, 100%, 50%)')).to.eql([ 0, 255, 0, 1 ])
+    expect(color('hsla(0, 0%, 100%, 0.5)')).to.eql([ 255, 255, 255, 0.5 ])
+    expect(color('none')).to.equal('none')
+    expect(color('url(#gradient)')).to.equal('url(#gradient)')
+  })
+
+  it('should parse numbers and lengths', () => {
+    const el = createPath({ opacity: '0.5', 'stroke-width': '2px', 'font-size': '2em' })
+
+    expect(frameShape(el, { normalise: true }).attributes).to.eql({
+      opacity: 0.5,
+      'stroke-width': 2,
+      'font-size': 32
+    })
+  })
+
+  it('should resolve percentage and em font sizes against the parent font size', () => {
+    const el = createSvg(`
+      <g font-size="150%">
+        <g font-size="2em">
+          <rect x="1em" y="0" width="50%" height="10" font-size="50%" />
+        </g>
+      </g>
+    `)
+
+    el.setAttribute('viewBox', '0 0 1000 1000')
+
+    const outer = frameShape(el, { normalise: true }).childFrameShapes[ 0 ]
+    const inner = outer.childFrameShapes[ 0 ]
+    const rect = plainShapeObject(el, { normalise: true }).shapes[ 0 ].shapes[ 0 ].shapes[ 0 ]
+
+    expect(outer.attributes[ 'font-size' ]).to.equal(24)
+    expect(inner.attributes[ 'font-size' ]).to.equal(48)
+    expect(rect).to.include({ x: 24, width: 500, 'font-size': 24 })
+  })
+
+  it('should parse attributes of a PlainShapeObject', () => {
+    const el = createPath({ stroke: 'white', 'stroke-opacity': '1' })
+
+    expect(plainShapeObject(el, { normalise: true })).to.eql({
+      type: 'path',
+      d: 'M0,0H10',
+      stroke: [ 255, 255, 255, 1 ],
+      'stroke-opacity': 1
+    })
+  })
+
+  it('should write colours as rgb values', () => {
+    const frameShp = {
+      attributes: { fill: [ 255, 0, 0, 1 ], stroke: [ 0, 0, 254.6, 0.5 ] },
+      points: [{ x: 0, y: 0, moveTo: true }, { x: 10, y: 0 }]
+    }
+
+    const el = node(frameShp)
+
+    expect(el.getAttribute('fill')).to.equal('rgb(255,0,0)')
+    expect(el.getAttribute('stroke')).to.equal('rgba(0,0,255,0.5)')
+
+    expect(toSVGString(frameShp))
+      .to.equal('<path d="M0,0H10" fill="rgb(255,0,0)" stroke="rgba(0,0,255,0.5)"/>')
+
+    updateNode(el, { ...frameShp, attributes: { fill: [ 0, 0, 0, 1 ] } })
+
+    expect(el.getAttribute('fill')).to.equal('rgb(0,0,0)')
+  })
+})
@@ -0,0 +1,134 @@
+/* globals describe it expect */
+
+import { toPath } from 'svg-points'
+
+import {
+  frameShapeFromString,
+  node,
+  toSVGString,
+  updateNode
+} from '../src'
+
+const countWrites = el => {
+  const writes = []
+  const methods = [ 'removeAttribute', 'removeAttributeNS', 'setAttribute', 'setAttributeNS' ]
+
+  methods.forEach(method => {
+    const fn = el[ method ].bind(el)
+
+    el[ method ] = (...args) => {
+      writes.push(method)
+      return fn(...args)
+    }
+  })
+
+  return writes
+}
+
+const markup = '<path d="M0,0H10V10H0ZM20,0H30V10H20Z" fill="red" fill-rule="evenodd" />'
+
+describe('splitSubpaths option', () => {
+  it('should read a compound path as a group with a child for each subpath', () => {
+    const frameShp = frameShapeFromString(markup, { splitSubpaths: true })
+
+    expect(frameShp.attributes).to.eql({ fill: 'red', 'fill-rule': 'evenodd' })
+    expect(frameShp.compound).to.equal(true)
+    expect(frameShp.childFrameShapes.length).to.equal(2)
+    expect(frameShp.childFrameShapes[ 0 ].attributes).to.eql({})
+    expect(toPath(frameShp.childFrameShapes[ 0 ].points)).to.equal('M0,0H10V10H0Z')
+    expect(toPath(frameShp.childFrameShapes[ 1 ].points)).to.equal('M20,0H30V10H20Z')
+  })
+
+  it('should not split a path with subpaths that overlap, so holes are kept', () => {
+    const donut = '<path d="M0,0H30V30H0ZM10,10V20H20V10Z" fill-rule="evenodd" />'
+    const frameShp = frameShapeFromString(donut, { splitSubpaths: true })
+
+    expect(frameShp).to.not.have.property('compound')
+    expect(toPath(frameShp.points)).to.equal('M0,0H30V30H0ZM10,10V20H20V10Z')
+    expect(node(frameShp).getAttribute('fill-rule')).to.equal('evenodd')
+  })
+
+  it('should not split a path with a single subpath', () => {
+    const frameShp = frameShapeFromString('<path d="M0,0H10" />', { splitSubpaths: true })
+
+    expect(frameShp).to.not.have.property('compound')
+    expect(frameShp).to.have.property('points')
+  })
+
+  it('should split compound paths within groups', () => {
+    const frameShp = frameShapeFromString(`<g>${markup}</g>`, { splitSubpaths: true })
+
+    expect(frameShp.childFrameShapes[ 0 ].compound).to.equal(true)
+  })
+
+  it('should throw if compound property is not a boolean', () => {
+    const frameShp = { attributes: {}, childFrameShapes: [], compound: 'yes' }
+
+    expect(() => node(frameShp)).to.throw('frameShape compound property must be of type boolean')
+  })
+})
+
+describe('mergeSubpaths option', () => {
+  const frameShp = frameShapeFromString(markup, { splitSubpaths: true })
+
+  it('should create a group of paths without the mergeSubpaths option', () => {
+    const el = node(frameShp)
+
+    expect(el.nodeName).to.equal('g')
+    expect(el.childNodes.length).to.equal(2)
+  })
+
+  it('should create a single compound path with the mergeSubpaths option', () => {
+    const el = node(frameShp, { mergeSubpaths: true })
+
+    expect(el.nodeName).to.equal('path')
+    expect(el.getAttribute('d')).to.equal('M0,0H10V10H0ZM20,0H30V10H20Z')
+    expect(el.getAttribute('fill-rule')).to.equal('evenodd')
+  })
+
+  it('should merge compound groups within groups', () => {
+    const el = node({ attributes: {}, childFrameShapes: [ frameShp ] }, { mergeSubpaths: true })
+
+    expect(el.firstChild.nodeName).to.equal('path')
+  })
+
+  it('should update a compound path with the mergeSubpaths option', () => {
+    const el = node(frameShp, { mergeSubpaths: true })
+    const next = frameShapeFromString(markup.replace('H20Z', 'H25Z'), { splitSubpaths: true })
+
+    expect(updateNode(el, next, { mergeSubpaths: true })).to.equal(el)
+    expect(el.getAttribute('d')).to.equal('M0,0H10V10H0ZM20,0H30V10H25Z')
+  })
+
+  it('should update compound paths within groups in place with the mergeSubpaths option', () => {
+    const group = { attributes: {}, childFrameShapes: [ frameShp ] }
+    const el = node(group, { mergeSubpaths: true })
+    const path = el.firstChild
+    const writes = [ el, path ].map(countWrites)
+
+    updateNode(el, group, { mergeSubpaths: true })
+
+    expect(el.firstChild).to.equal(path)
+    expect(writes).to.eql([ [], [] ])
+
+    const next = frameShapeFromString(markup.replace('H20Z', 'H25Z'), { splitSubpaths: true })
+
+    updateNode(el, { attributes: {}, childFrameShapes: [ next ] }, { mergeSubpaths: true })
+
+    expect(el.firstChild).to.equal(path)
+    expect(path.getAttribute('d')).to.equal('M0,0H10V10H0ZM20,0H30V10H25Z')
+  })
+
+  it('should merge new child FrameShapes with the mergeSubpaths option', () => {
+    const el = node({ attributes: {}, childFrameShapes: [] })
+
+    updateNode(el, { attributes: {}, childFrameShapes: [ frameShp ] }, { mergeSubpaths: true })
+
+    expect(el.firstChild.nodeName).to.equal('path')
+  })
+
+  it('should write a single compound path with toSVGString', () => {
+    expect(toSVGString(frameShp, { mergeSubpaths: true }))
+      .to.equal('<path d="M0,0H10V10H0ZM20,0H30V10H20Z" fill="red" fill-rule="evenodd"/>')
+  })
+})
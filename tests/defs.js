@@ -0,0 +1,188 @@
+/* globals describe it expect */
+
+import { diff, frameShape, invertPatch, applyPatch, node, toSVGString, updateNode } from '../src'
+
+const createSvg = markup => {
+  const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg')
+  svg.innerHTML = markup
+  return svg
+}
+
+const markup = `
+  <defs>
+    <clipPath id="c"><rect x="0" y="0" width="10" height="10" /></clipPath>
+    <linearGradient id="base"><stop offset="0" stop-color="red" /><stop offset="100%" stop-color="blue" stop-opacity="0.5" /></linearGradient>
+    <linearGradient id="grad" xlink:href="#base" x2="0" />
+    <mask id="unused"><rect x="0" y="0" width="10" height="10" /></mask>
+  </defs>
+  <path d="M0,0H10" fill="url(#grad)" clip-path="url(#c)" />
+`
+
+describe('defs', () => {
+  it('should not read referenced Defs by default', () => {
+    expect(frameShape(createSvg(markup))).to.not.have.property('defs')
+  })
+
+  it('should read referenced clip paths and gradients', () => {
+    expect(frameShape(createSvg(markup), { defs: true }).defs).to.eql({
+      c: {
+        type: 'clipPath',
+        attributes: {},
+        childFrameShapes: [
+          {
+            attributes: {},
+            points: [
+              { x: 0, y: 0, moveTo: true },
+              { x: 10, y: 0 },
+              { x: 10, y: 10 },
+              { x: 0, y: 10 },
+              { x: 0, y: 0 }
+            ]
+          }
+        ]
+      },
+      grad: {
+        type: 'linearGradient',
+        attributes: { x2: '0' },
+        stops: [
+          { color: [ 255, 0, 0, 1 ], offset: 0 },
+          { color: [ 0, 0, 255, 0.5 ], offset: 1 }
+        ]
+      }
+    })
+  })
+
+  it('should render Defs with ids that do not collide with those read', () => {
+    const frameShp = frameShape(createSvg(markup), { defs: true })
+    const a = node(frameShp)
+    const clipPath = a.querySelector('clipPath')
+    const gradient = a.querySelector('linearGradient')
+
+    expect(a.childNodes[ 0 ].nodeName).to.equal('defs')
+    expect(clipPath.id).to.match(/^wilderness-[a-z0-9]+-c$/)
+    expect(gradient.id).to.match(/^wilderness-[a-z0-9]+-grad$/)
+    expect(a.childNodes[ 1 ].getAttribute('clip-path')).to.equal(`url(#${clipPath.id})`)
+    expect(a.childNodes[ 1 ].getAttribute('fill')).to.equal(`url(#${gradient.id})`)
+    expect(gradient.childNodes[ 1 ].getAttribute('stop-color')).to.equal('rgba(0,0,255,0.5)')
+  })
+
+  it('should render the same ids for the same Defs', () => {
+    const frameShp = frameShape(createSvg(markup), { defs: true })
+    const other = { ...frameShp, defs: { ...frameShp.defs, c: { ...frameShp.defs.c, attributes: { clipPathUnits: 'objectBoundingBox' } } } }
+
+    expect(node(frameShp).querySelector('clipPath').id).to.equal(node(frameShp).querySelector('clipPath').id)
+    expect(node(other).querySelector('clipPath').id).to.not.equal(node(frameShp).querySelector('clipPath').id)
+    expect(toSVGString(frameShp)).to.equal(toSVGString(frameShp))
+  })
+
+  it('should prefix the ids of rendered Defs with the idPrefix option', () => {
+    const frameShp = frameShape(createSvg(markup), { defs: true })
+    const el = node(frameShp, { idPrefix: 'icon' })
+
+    expect(el.querySelector('clipPath').id).to.equal('icon-c')
+    expect(el.childNodes[ 1 ].getAttribute('clip-path')).to.equal('url(#icon-c)')
+    expect(toSVGString(frameShp, { idPrefix: 'icon' })).to.contain('<clipPath id="icon-c">')
+  })
+
+  it('should prefix the ids of the Defs of replaced and created subtrees with the idPrefix option', () => {
+    const frameShp = frameShape(createSvg(markup), { defs: true })
+    const path = { attributes: {}, points: [{ x: 0, y: 0, moveTo: true }, { x: 10, y: 0 }] }
+    const next = { attributes: {}, childFrameShapes: [ frameShp, frameShp ] }
+    const el = node({ attributes: {}, childFrameShapes: [ path ] })
+
+    updateNode(el, next, { idPrefix: 'icon' })
+
+    expect([ ...el.querySelectorAll('clipPath') ].map(n => n.id)).to.eql([ 'icon-c', 'icon-c' ])
+
+    const other = node({ attributes: {}, childFrameShapes: [ path ] })
+
+    applyPatch(other, diff(other, next), { idPrefix: 'icon' })
+
+    expect([ ...other.querySelectorAll('clipPath') ].map(n => n.id)).to.eql([ 'icon-c', 'icon-c' ])
+  })
+
+  it('should throw if a shape Node references Defs with the defs option', () => {
+    const svg = createSvg(markup)
+
+    expect(() => frameShape(svg.lastElementChild, { defs: true }))
+      .to.throw('defs option can only read the Defs referenced by a group node, wrap el in a g element')
+  })
+
+  it('should not pass through the Nodes read as Defs', () => {
+    const frameShp = frameShape(createSvg(markup), { defs: true, passthrough: true })
+    const defs = frameShp.passthrough[ 0 ].node
+
+    expect(defs.type).to.equal('defs')
+    expect(defs.childNodes.filter(n => n.type).map(n => n.attributes.id)).to.eql([ 'base', 'unused' ])
+    expect(node(frameShp).querySelectorAll('clipPath').length).to.equal(1)
+  })
+
+  it('should write Defs in markup', () => {
+    const frameShp = {
+      attributes: {},
+      childFrameShapes: [
+        { attributes: { fill: 'url(#g)' }, points: [{ x: 0, y: 0, moveTo: true }, { x: 10, y: 0 }] }
+      ],
+      defs: {
+        g: { type: 'radialGradient', attributes: {}, stops: [ { color: [ 255, 0, 0, 1 ], offset: 0.5 } ] }
+      }
+    }
+
+    expect(toSVGString(frameShp)).to.match(new RegExp(
+      '^<g><defs data-defs="(wilderness-[a-z0-9]+)">' +
+        '<radialGradient id="\\1-g"><stop offset="0.5" stop-color="rgb\\(255,0,0\\)"/></radialGradient>' +
+      '</defs><path d="M0,0H10" fill="url\\(#\\1-g\\)"/></g>$'
+    ))
+  })
+
+  it('should update Defs without changing their ids', () => {
+    const frameShp = frameShape(createSvg(markup), { defs: true })
+    const el = node(frameShp)
+    const id = el.querySelector('linearGradient').id
+
+    const next = {
+      ...frameShp,
+      defs: {
+        ...frameShp.defs,
+        grad: { ...frameShp.defs.grad, stops: [ { color: [ 0, 128, 0, 1 ], offset: 0 } ] }
+      }
+    }
+
+    updateNode(el, next)
+
+    const gradient = el.querySelector('linearGradient')
+
+    expect(el.querySelectorAll('defs').length).to.equal(1)
+    expect(gradient.id).to.equal(id)
+    expect(gradient.childNodes.length).to.equal(1)
+    expect(gradient.childNodes[ 0 ].getAttribute('stop-color')).to.equal('rgb(0,128,0)')
+    expect(el.childNodes[ 1 ].getAttribute('fill')).to.equal(`url(#${id})`)
+  })
+
+  it('should not write Defs that have not changed', () => {
+    const frameShp = frameShape(createSvg(markup), { defs: true })
+    const el = node(frameShp)
+    const defs = el.childNodes[ 0 ]
+
+    expect(diff(el, frameShp)).to.eql({})
+
+    updateNode(el, frameShp)
+
+    expect(el.childNodes[ 0 ]).to.equal(defs)
+  })
+
+  it('should undo Def changes', () => {
+    const frameShp = frameShape(createSvg(markup), { defs: true })
+    const el = node(frameShp)
+    const before = el.outerHTML
+    const patch = diff(el, { ...frameShp, defs: { ...frameShp.defs, c: { ...frameShp.defs.c, attributes: { clipPathUnits: 'objectBoundingBox' } } } })
+
+    applyPatch(el, patch)
+
+    expect(el.querySelector('clipPath').getAttribute('clipPathUnits')).to.equal('objectBoundingBox')
+
+    applyPatch(el, invertPatch(patch))
+
+    expect(el.outerHTML).to.equal(before)
+  })
+})
@@ -0,0 +1,107 @@
+/* globals describe it expect */
+
+import {
+  frameShape,
+  frameShapeFromString,
+  plainShapeObject,
+  plainShapeObjectFromString
+} from '../src'
+
+const markup = `
+  <g fill="yellow" data-potato="&quot;tomato&quot;">
+    <!-- A comment -->
+    <circle cx="50" cy="50" r="20" />
+    <ellipse cx='50' cy='50' rx='20' ry='10'></ellipse>
+    <text>Not a shape</text>
+    <g class="potato">
+      <line x1="0" x2="10" y1="0" y2="10"/>
+      <path d="M0,0H10" />
+      <polygon points="0,0 10,0 10,10" />
+      <polyline points="0,0 10,0 10,10" />
+      <rect x="10" y="10" width="80" height="80" rx="5" />
+    </g>
+  </g>
+`
+
+const createNode = str => {
+  const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg')
+  svg.innerHTML = str
+  return svg.querySelector('g, path')
+}
+
+describe('frameShapeFromString', () => {
+  it('should throw if not passed a string', () => {
+    expect(() => frameShapeFromString({})).to.throw('markup must be of type string')
+  })
+
+  it('should throw if markup is malformed', () => {
+    expect(() => frameShapeFromString('<g><path d="M0,0H10"></g>'))
+      .to.throw('markup has an unexpected closing tag </g> at position 21')
+
+    expect(() => frameShapeFromString('<g>'))
+      .to.throw('markup has an unclosed tag <g>')
+
+    expect(() => frameShapeFromString('potato'))
+      .to.throw('markup must contain an element')
+  })
+
+  it('should throw if not passed a valid element', () => {
+    expect(() => frameShapeFromString('<div></div>'))
+      .to.throw('el must be an SVG basic shape or group element')
+  })
+
+  it('should return a FrameShape with correct attributes and points', () => {
+    expect(frameShapeFromString('<path d="M0,0H10" fill="yellow" class="potato" />')).to.eql({
+      attributes: { fill: 'yellow', 'class': 'potato' },
+      points: [{ x: 0, y: 0, moveTo: true }, { x: 10, y: 0 }]
+    })
+  })
+
+  it('should ignore XML declarations and doctypes', () => {
+    const str = '<?xml version="1.0"?><!DOCTYPE g [<!ENTITY x "y">]><path d="M0,0H10" />'
+    expect(frameShapeFromString(str)).to.have.property('points')
+  })
+
+  it('should return the same FrameShape as frameShape', () => {
+    expect(frameShapeFromString(markup)).to.eql(frameShape(createNode(markup)))
+  })
+
+  it('should resolve use elements within the markup', () => {
+    const str = `
+      <svg viewBox="0 0 100 100">
+        <defs><path id="line" d="M0,0H10" /></defs>
+        <use href="#line" x="10" y="10" />
+      </svg>
+    `
+
+    expect(frameShapeFromString(str).childFrameShapes).to.eql([
+      {
+        attributes: { transform: 'translate(10,10)' },
+        childFrameShapes: [
+          { attributes: {}, points: [{ x: 0, y: 0, moveTo: true }, { x: 10, y: 0 }] }
+        ]
+      }
+    ])
+  })
+})
+
+describe('plainShapeObjectFromString', () => {
+  it('should return the correct PlainShapeObject', () => {
+    expect(plainShapeObjectFromString('<path d="M0,0H10" fill="yellow" />')).to.eql({
+      type: 'path',
+      d: 'M0,0H10',
+      fill: 'yellow'
+    })
+  })
+
+  it('should ignore blacklisted attributes', () => {
+    expect(plainShapeObjectFromString('<path d="M0,0H10" data-reactid="1" />')).to.eql({
+      type: 'path',
+      d: 'M0,0H10'
+    })
+  })
+
+  it('should return the same PlainShapeObject as plainShapeObject', () => {
+    expect(plainShapeObjectFromString(markup)).to.eql(plainShapeObject(createNode(markup)))
+  })
+})
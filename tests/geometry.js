@@ -0,0 +1,95 @@
+/* globals describe it expect */
+
+import { toPoints } from 'svg-points'
+import { boundingBox, centroid, signedArea, totalLength } from '../src'
+
+const shape = plainShapeObject => ({ attributes: {}, points: toPoints(plainShapeObject) })
+
+const square = shape({ type: 'rect', x: 10, y: 20, width: 30, height: 40 })
+const circle = shape({ type: 'circle', cx: 50, cy: 50, r: 10 })
+
+const close = (actual, expected, delta = 1e-6) => {
+  for (let k in expected) {
+    expect(actual[ k ]).to.be.closeTo(expected[ k ], delta)
+  }
+}
+
+describe('boundingBox', () => {
+  it('should throw if not passed a FrameShape', () => {
+    expect(() => boundingBox('potato')).to.throw('frameShape must be of type object')
+  })
+
+  it('should return the bounding box of straight lines', () => {
+    expect(boundingBox(square)).to.eql({ x: 10, y: 20, width: 30, height: 40 })
+  })
+
+  it('should include the extremes of curves', () => {
+    close(boundingBox(circle), { x: 40, y: 40, width: 20, height: 20 })
+
+    close(boundingBox(shape({ type: 'path', d: 'M0,0C0,10 10,10 10,0' })), { x: 0, y: 0, width: 10, height: 7.5 })
+    close(boundingBox(shape({ type: 'path', d: 'M0,0Q5,10 10,0' })), { x: 0, y: 0, width: 10, height: 5 })
+  })
+
+  it('should include child FrameShapes', () => {
+    expect(boundingBox({ attributes: {}, childFrameShapes: [ square, circle ] }))
+      .to.eql({ x: 10, y: 20, width: 50, height: 40 })
+  })
+
+  it('should return an empty bounding box for an empty group', () => {
+    expect(boundingBox({ attributes: {}, childFrameShapes: [] })).to.eql({ x: 0, y: 0, width: 0, height: 0 })
+  })
+})
+
+describe('centroid', () => {
+  it('should return the centroid of an area', () => {
+    close(centroid(square), { x: 25, y: 40 })
+    close(centroid(circle), { x: 50, y: 50 })
+    close(centroid(shape({ type: 'polygon', points: '0,0 30,0 0,30' })), { x: 10, y: 10 })
+  })
+
+  it('should return the centroid of a line without area', () => {
+    close(centroid(shape({ type: 'line', x1: 0, y1: 0, x2: 10, y2: 20 })), { x: 5, y: 10 })
+  })
+
+  it('should weight child FrameShapes by area', () => {
+    const a = shape({ type: 'rect', x: 0, y: 0, width: 10, height: 10 })
+    const b = shape({ type: 'rect', x: 20, y: 0, width: 10, height: 30 })
+
+    close(centroid({ attributes: {}, childFrameShapes: [ a, b ] }), { x: 20, y: 12.5 })
+  })
+})
+
+describe('signedArea', () => {
+  it('should return a positive area for clockwise points', () => {
+    expect(signedArea(square)).to.be.closeTo(1200, 1e-9)
+  })
+
+  it('should return a negative area for anticlockwise points', () => {
+    expect(signedArea(shape({ type: 'polygon', points: '0,0 0,10 10,10 10,0' }))).to.be.closeTo(-100, 1e-9)
+  })
+
+  it('should account for curves', () => {
+    expect(Math.abs(signedArea(circle))).to.be.closeTo(Math.PI * 100, 0.01)
+    expect(signedArea(shape({ type: 'path', d: 'M0,0Q5,10 10,0Z' }))).to.be.closeTo(-100 / 3, 1e-9)
+  })
+
+  it('should subtract holes of compound paths', () => {
+    const frameShp = shape({ type: 'path', d: 'M0,0H30V30H0ZM10,10V20H20V10Z' })
+    expect(signedArea(frameShp)).to.be.closeTo(800, 1e-9)
+  })
+})
+
+describe('totalLength', () => {
+  it('should return the length of straight lines', () => {
+    expect(totalLength(square)).to.be.closeTo(140, 1e-9)
+  })
+
+  it('should account for curves', () => {
+    expect(totalLength(circle)).to.be.closeTo(Math.PI * 20, 1e-4)
+    expect(totalLength(shape({ type: 'path', d: 'M0,0C0,10 10,10 10,0' }))).to.be.closeTo(20, 1e-6)
+  })
+
+  it('should add the lengths of child FrameShapes', () => {
+    expect(totalLength({ attributes: {}, childFrameShapes: [ square, square ] })).to.be.closeTo(280, 1e-9)
+  })
+})
@@ -1,6 +1,8 @@
 /* globals describe it expect */
 
-import { frameShape, node, plainShapeObject, updateNode } from '../src'
+import { toPath } from 'svg-points'
+
+import { frameShape, node, nodeFromPlainShapeObject, plainShapeObject, updateNode } from '../src'
 
 const createGroup = () => {
   const g = document.createElementNS('http://www.w3.org/2000/svg', 'g')
@@ -9,6 +11,29 @@ const createGroup = () => {
   return g
 }
 
+const createSvg = markup => {
+  const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg')
+  svg.setAttribute('viewBox', '0 0 100 100')
+  svg.innerHTML = markup
+  return svg
+}
+
+const countWrites = el => {
+  const writes = []
+  const methods = [ 'removeAttribute', 'removeAttributeNS', 'setAttribute', 'setAttributeNS' ]
+
+  methods.forEach(method => {
+    const fn = el[ method ].bind(el)
+
+    el[ method ] = (...args) => {
+      writes.push(method)
+      return fn(...args)
+    }
+  })
+
+  return writes
+}
+
 const createPath = () => {
   const path = document.createElementNS('http://www.w3.org/2000/svg', 'path')
   path.setAttribute('d', 'M0,0H10')
@@ -86,6 +111,243 @@ describe('frameShape', () => {
     expect(childFrameShapes[ 0 ].points).to.eql(expectedPoints)
     expect(childFrameShapes[ 1 ].points).to.eql(expectedPoints)
   })
+
+  it('should return a group FrameShape from an svg Node', () => {
+    const el = createSvg('<path d="M0,0H10" />')
+
+    expect(frameShape(el)).to.eql({
+      attributes: { viewBox: '0 0 100 100' },
+      childFrameShapes: [
+        { attributes: {}, points: [{ x: 0, y: 0, moveTo: true }, { x: 10, y: 0 }] }
+      ]
+    })
+  })
+
+  it('should ignore defs and symbol Nodes', () => {
+    const el = createSvg(`
+      <defs><path d="M0,0H10" /></defs>
+      <symbol id="icon"><path d="M0,0H10" /></symbol>
+    `)
+
+    expect(frameShape(el).childFrameShapes).to.eql([])
+  })
+
+  it('should resolve use Nodes to the referenced symbol', () => {
+    const el = createSvg(`
+      <symbol id="icon" fill="red"><path d="M0,0H10" /></symbol>
+      <use href="#icon" x="10" y="20" class="potato" />
+    `)
+
+    expect(frameShape(el).childFrameShapes).to.eql([
+      {
+        attributes: { 'class': 'potato', transform: 'translate(10,20)' },
+        childFrameShapes: [
+          {
+            attributes: { fill: 'red' },
+            childFrameShapes: [
+              { attributes: {}, points: [{ x: 0, y: 0, moveTo: true }, { x: 10, y: 0 }] }
+            ]
+          }
+        ]
+      }
+    ])
+  })
+
+  it('should resolve the x and y lengths of use Nodes', () => {
+    const el = createSvg(`
+      <path id="line" d="M0,0H10" />
+      <use href="#line" x="10px" y="5%" />
+    `)
+
+    expect(frameShape(el).childFrameShapes[ 1 ].attributes).to.eql({ transform: 'translate(10,5)' })
+  })
+
+  it('should scale the viewBox of a symbol to the size of the use Node', () => {
+    const el = createSvg(`
+      <symbol id="icon" viewBox="0 0 10 10"><path d="M0,0H10V10" /></symbol>
+      <use href="#icon" width="20" height="40" />
+      <use href="#icon" width="20" height="40" x="5" />
+    `)
+
+    el.querySelector('symbol').setAttribute('preserveAspectRatio', 'none')
+
+    const childFrameShapes = frameShape(el).childFrameShapes
+
+    expect(childFrameShapes[ 0 ].attributes).to.eql({ transform: 'matrix(2 0 0 4 0 0)' })
+    expect(childFrameShapes[ 1 ].attributes).to.eql({ transform: 'translate(5,0) matrix(2 0 0 4 0 0)' })
+
+    el.querySelector('symbol').removeAttribute('preserveAspectRatio')
+
+    const flattened = frameShape(el, { flattenTransforms: true }).childFrameShapes[ 0 ]
+
+    expect(toPath(flattened.childFrameShapes[ 0 ].childFrameShapes[ 0 ].points)).to.equal('M0,10H20V30')
+  })
+
+  it('should resolve use Nodes with an xlink:href to the referenced shape', () => {
+    const el = createSvg(`
+      <defs><path id="line" d="M0,0H10" fill="red" /></defs>
+      <use xlink:href="#line" transform="scale(2)" x="10" />
+    `)
+
+    expect(frameShape(el).childFrameShapes).to.eql([
+      {
+        attributes: { transform: 'scale(2) translate(10,0)' },
+        childFrameShapes: [
+          { attributes: { fill: 'red' }, points: [{ x: 0, y: 0, moveTo: true }, { x: 10, y: 0 }] }
+        ]
+      }
+    ])
+  })
+
+  it('should keep transform attributes by default', () => {
+    const el = createPath()
+    el.setAttribute('transform', 'translate(10,10)')
+    expect(frameShape(el).attributes.transform).to.equal('translate(10,10)')
+  })
+
+  it('should flatten transforms down the group hierarchy', () => {
+    const el = createSvg(`
+      <g transform="translate(10 20)">
+        <path d="M0,0H10" transform="scale(2, 3)" />
+      </g>
+      <use href="#line" x="5" />
+    `)
+
+    el.querySelector('path').setAttribute('id', 'line')
+
+    const { attributes, childFrameShapes } = frameShape(el, { flattenTransforms: true })
+
+    expect(attributes).to.not.have.property('transform')
+    expect(childFrameShapes[ 0 ].attributes).to.not.have.property('transform')
+    expect(childFrameShapes[ 0 ].childFrameShapes[ 0 ]).to.eql({
+      attributes: { id: 'line' },
+      points: [{ x: 10, y: 20, moveTo: true }, { x: 30, y: 20 }]
+    })
+    expect(childFrameShapes[ 1 ].childFrameShapes[ 0 ]).to.eql({
+      attributes: {},
+      points: [{ x: 5, y: 0, moveTo: true }, { x: 25, y: 0 }]
+    })
+  })
+
+  it('should flatten rotate, skew and matrix transforms', () => {
+    const point = (transform, x, y) => {
+      const el = createPath()
+      el.setAttribute('d', `M${x},${y}H${x}`)
+      el.setAttribute('transform', transform)
+      return frameShape(el, { flattenTransforms: true }).points[ 0 ]
+    }
+
+    const rotated = point('rotate(90 10 10)', 20, 10)
+    expect(rotated.x).to.be.closeTo(10, 1e-9)
+    expect(rotated.y).to.be.closeTo(20, 1e-9)
+
+    const skewedX = point('skewX(45)', 0, 10)
+    expect(skewedX.x).to.be.closeTo(10, 1e-9)
+    expect(skewedX.y).to.be.closeTo(10, 1e-9)
+
+    const skewedY = point('skewY(45)', 10, 0)
+    expect(skewedY.x).to.be.closeTo(10, 1e-9)
+    expect(skewedY.y).to.be.closeTo(10, 1e-9)
+
+    expect(point('matrix(1 0 0 1 5 5) scale(2)', 10, 10)).to.eql({ x: 25, y: 25, moveTo: true })
+  })
+
+  it('should flatten transforms into curves', () => {
+    const el = createSvg('<circle cx="0" cy="0" r="5" /><path d="M0,0C1,1,2,2,3,3Q4,4,5,5" />')
+    el.setAttribute('transform', 'scale(2 1) scale(-1 1)')
+
+    const { childFrameShapes } = frameShape(el, { flattenTransforms: true })
+
+    expect(childFrameShapes[ 0 ].points[ 1 ].curve).to.eql({ type: 'arc', rx: 10, ry: 5 })
+    expect(childFrameShapes[ 1 ].points[ 1 ].curve).to.eql({ type: 'cubic', x1: -2, y1: 1, x2: -4, y2: 2 })
+    expect(childFrameShapes[ 1 ].points[ 2 ].curve).to.eql({ type: 'quadratic', x1: -8, y1: 4 })
+  })
+
+  it('should keep passthrough Nodes in place when flattening transforms', () => {
+    const el = createSvg('<g transform="translate(10 20)"><text x="5">Potato</text><path d="M0,0H10" /></g>')
+
+    const frameShp = frameShape(el.firstChild, { flattenTransforms: true, passthrough: true })
+    const out = node(frameShp)
+
+    expect(frameShp.attributes).to.not.have.property('transform')
+    expect(toPath(frameShp.childFrameShapes[ 0 ].points)).to.equal('M10,20H20')
+    expect(out.firstChild.nodeName).to.equal('g')
+    expect(out.firstChild.getAttribute('transform')).to.equal('matrix(1 0 0 1 10 20)')
+    expect(out.firstChild.firstChild.outerHTML).to.equal('<text x="5">Potato</text>')
+  })
+
+  it('should keep the transform of Nodes that reference Defs when flattening transforms', () => {
+    const el = createSvg('<g transform="scale(2)"><path d="M0,0H10" clip-path="url(#clip)" /></g>')
+
+    const frameShp = frameShape(el.firstChild, { flattenTransforms: true })
+
+    expect(frameShp.childFrameShapes[ 0 ].attributes.transform).to.equal('matrix(2 0 0 2 0 0)')
+    expect(toPath(frameShp.childFrameShapes[ 0 ].points)).to.equal('M0,0H10')
+  })
+
+  it('should ignore circular use Node references', () => {
+    const el = createSvg('<g id="loop"><use href="#loop" /></g>')
+
+    expect(frameShape(el).childFrameShapes).to.eql([
+      {
+        attributes: { id: 'loop' },
+        childFrameShapes: [ { attributes: {}, childFrameShapes: [] } ]
+      }
+    ])
+  })
+
+  it('should copy non-shape child Nodes with the passthrough option', () => {
+    const el = createSvg(`
+      <title>Potato</title>
+      <path d="M0,0H10" />
+      <!-- ignored -->
+      <text x="5" data-reactid="1">Tomato <tspan>soup</tspan></text>
+      <path d="M0,0H10" />
+    `)
+
+    expect(frameShape(el, { passthrough: true }).passthrough).to.eql([
+      {
+        index: 0,
+        node: { type: 'title', attributes: {}, childNodes: [ { text: 'Potato' } ] }
+      },
+      {
+        index: 1,
+        node: {
+          type: 'text',
+          attributes: { x: '5' },
+          childNodes: [
+            { text: 'Tomato ' },
+            { type: 'tspan', attributes: {}, childNodes: [ { text: 'soup' } ] }
+          ]
+        }
+      }
+    ])
+  })
+
+  it('should not copy non-shape child Nodes by default', () => {
+    const el = createSvg('<title>Potato</title><path d="M0,0H10" />')
+    expect(frameShape(el)).to.not.have.property('passthrough')
+  })
+
+  it('should remember the type and core props with the preserveType option', () => {
+    const el = createSvg(`
+      <circle cx="50" cy="50" r="20" fill="red" />
+      <path d="M0,0H10" />
+    `)
+
+    const childFrameShapes = frameShape(el, { preserveType: true }).childFrameShapes
+
+    expect(childFrameShapes[ 0 ].attributes).to.eql({ fill: 'red' })
+    expect(childFrameShapes[ 0 ].shape).to.eql({ type: 'circle', cx: 50, cy: 50, r: 20 })
+    expect(childFrameShapes[ 1 ]).to.not.have.property('shape')
+  })
+
+  it('should not remember the type of flattened shapes', () => {
+    const el = createSvg('<rect width="10" height="10" transform="scale(2)" />')
+    const frameShp = frameShape(el, { flattenTransforms: true, preserveType: true })
+
+    expect(frameShp.childFrameShapes[ 0 ]).to.not.have.property('shape')
+  })
 })
 
 describe('node', () => {
@@ -182,6 +444,90 @@ describe('node', () => {
     expect(el.childNodes[ 1 ].getAttribute('fill')).to.equal('green')
     expect(el.childNodes[ 1 ].getAttribute('d')).to.equal('M0,0H10')
   })
+
+  it('should re-create passthrough Nodes in order', () => {
+    const el = createSvg(`<title>Potato</title><path d="M0,0H10" /><desc>Tomato</desc>`)
+    const n = node(frameShape(el, { passthrough: true }))
+
+    expect(n.innerHTML).to.equal(
+      '<title>Potato</title><path d="M0,0H10"></path><desc>Tomato</desc>'
+    )
+  })
+
+  it('should throw if FrameShape passthrough property is invalid', () => {
+    const frameShp = { attributes: {}, childFrameShapes: [], passthrough: 'potato' }
+    expect(() => node(frameShp)).to.throw('frameShape passthrough property must be of type array')
+  })
+
+  it('should return a Node of the remembered type if the points are unchanged', () => {
+    const el = createSvg('<circle cx="50" cy="50" r="20" fill="red" />')
+    const frameShp = frameShape(el, { preserveType: true }).childFrameShapes[ 0 ]
+    const n = node(frameShp)
+
+    expect(n.nodeName).to.equal('circle')
+    expect(n.getAttribute('cx')).to.equal('50')
+    expect(n.getAttribute('r')).to.equal('20')
+    expect(n.getAttribute('fill')).to.equal('red')
+    expect(n.hasAttribute('d')).to.equal(false)
+  })
+
+  it('should return a path Node if the points have changed', () => {
+    const el = createSvg('<rect x="0" y="0" width="10" height="10" />')
+    const frameShp = frameShape(el, { preserveType: true }).childFrameShapes[ 0 ]
+    const n = node({ ...frameShp, points: frameShp.points.slice(0, 3) })
+
+    expect(n.nodeName).to.equal('path')
+    expect(n.getAttribute('d')).to.equal('M0,0H10V10')
+  })
+})
+
+describe('nodeFromPlainShapeObject', () => {
+  it('should throw if not passed a valid PlainShapeObject', () => {
+    expect(() => nodeFromPlainShapeObject('potato')).to.throw('plainShapeObject must be of type object')
+    expect(() => nodeFromPlainShapeObject({ type: 'div' }))
+      .to.throw('plainShapeObject type property must be an SVG basic shape or g')
+  })
+
+  it('should return a Node of the same type', () => {
+    const el = nodeFromPlainShapeObject({ type: 'circle', cx: 50, cy: 50, r: 20, fill: 'red' })
+
+    expect(el.nodeName).to.equal('circle')
+    expect(el.getAttribute('cx')).to.equal('50')
+    expect(el.getAttribute('cy')).to.equal('50')
+    expect(el.getAttribute('r')).to.equal('20')
+    expect(el.getAttribute('fill')).to.equal('red')
+  })
+
+  it('should return a rect Node with rounded corners', () => {
+    const el = nodeFromPlainShapeObject({ type: 'rect', x: 10, y: 10, width: 80, height: 80, rx: 5, ry: 10 })
+
+    expect(el.nodeName).to.equal('rect')
+    expect(el.getAttribute('rx')).to.equal('5')
+    expect(el.getAttribute('ry')).to.equal('10')
+  })
+
+  it('should return a group Node with child Nodes', () => {
+    const el = nodeFromPlainShapeObject({
+      type: 'g',
+      fill: 'yellow',
+      shapes: [
+        { type: 'line', x1: 0, y1: 0, x2: 10, y2: 10 },
+        { type: 'g', shapes: [ { type: 'polygon', points: '0,0 10,0 10,10' } ] }
+      ]
+    })
+
+    expect(el.outerHTML).to.equal(
+      '<g fill="yellow">' +
+        '<line x1="0" y1="0" x2="10" y2="10"></line>' +
+        '<g><polygon points="0,0 10,0 10,10"></polygon></g>' +
+      '</g>'
+    )
+  })
+
+  it('should return a Node that reads as the same PlainShapeObject', () => {
+    const shape = { type: 'ellipse', cx: 50, cy: 50, rx: 20, ry: 10, 'class': 'potato' }
+    expect(plainShapeObject(nodeFromPlainShapeObject(shape))).to.eql(shape)
+  })
 })
 
 describe('plainShapeObject', () => {
@@ -237,6 +583,30 @@ describe('plainShapeObject', () => {
     expect(plainShapeObject(el)).to.eql(expectedPlainShapeObject)
   })
 
+  it('should return the correct PlainShapeObject from an svg Node', () => {
+    const el = createSvg(`
+      <symbol id="icon"><rect x="0" y="0" width="10" height="10" /></symbol>
+      <use href="#icon" x="10" />
+    `)
+
+    expect(plainShapeObject(el)).to.eql({
+      type: 'g',
+      viewBox: '0 0 100 100',
+      shapes: [
+        {
+          type: 'g',
+          transform: 'translate(10,0)',
+          shapes: [
+            {
+              type: 'g',
+              shapes: [{ type: 'rect', x: 0, y: 0, width: 10, height: 10 }]
+            }
+          ]
+        }
+      ]
+    })
+  })
+
   it('should ignore blacklisted attributes', () => {
     const el = createPath()
 
@@ -346,4 +716,249 @@ describe('updateNode', () => {
     expect(el.childNodes[ 0 ].getAttribute('fill')).to.equal('black')
     expect(el.childNodes[ 1 ].getAttribute('fill')).to.equal('white')
   })
+
+  it('should create child Nodes missing from the group Node', () => {
+    const el = createGroup()
+
+    const frameShp = {
+      attributes: {},
+      childFrameShapes: [
+        { attributes: {}, points: [{ x: 0, y: 0, moveTo: true }, { x: 10, y: 0 }] },
+        { attributes: {}, points: [{ x: 0, y: 0, moveTo: true }, { x: 10, y: 0 }] },
+        { attributes: { fill: 'red' }, points: [{ x: 20, y: 20, moveTo: true }, { x: 30, y: 20 }] }
+      ]
+    }
+
+    updateNode(el, frameShp)
+
+    expect(el.childNodes.length).to.equal(3)
+    expect(el.childNodes[ 2 ].nodeName).to.equal('path')
+    expect(el.childNodes[ 2 ].getAttribute('d')).to.equal('M20,20H30')
+    expect(el.childNodes[ 2 ].getAttribute('fill')).to.equal('red')
+  })
+
+  it('should remove surplus child Nodes from the group Node', () => {
+    const el = createGroup()
+    const firstChild = el.childNodes[ 0 ]
+
+    const frameShp = {
+      attributes: {},
+      childFrameShapes: [
+        { attributes: {}, points: [{ x: 10, y: 10, moveTo: true }, { x: 20, y: 10 }] }
+      ]
+    }
+
+    updateNode(el, frameShp)
+
+    expect(el.childNodes.length).to.equal(1)
+    expect(el.childNodes[ 0 ]).to.equal(firstChild)
+    expect(el.childNodes[ 0 ].getAttribute('d')).to.equal('M10,10H20')
+  })
+
+  it('should replace a child Node whose kind has changed', () => {
+    const el = createGroup()
+
+    const frameShp = {
+      attributes: {},
+      childFrameShapes: [
+        {
+          attributes: { fill: 'red' },
+          childFrameShapes: [
+            { attributes: {}, points: [{ x: 10, y: 10, moveTo: true }, { x: 20, y: 10 }] }
+          ]
+        },
+        { attributes: {}, points: [{ x: 0, y: 0, moveTo: true }, { x: 10, y: 0 }] }
+      ]
+    }
+
+    updateNode(el, frameShp)
+
+    expect(el.childNodes.length).to.equal(2)
+    expect(el.childNodes[ 0 ].nodeName).to.equal('g')
+    expect(el.childNodes[ 0 ].getAttribute('fill')).to.equal('red')
+    expect(el.childNodes[ 0 ].childNodes[ 0 ].getAttribute('d')).to.equal('M10,10H20')
+    expect(el.childNodes[ 1 ].nodeName).to.equal('path')
+  })
+
+  it('should move keyed child Nodes rather than recreate them', () => {
+    const el = createGroup()
+    const a = el.childNodes[ 0 ]
+    const b = el.childNodes[ 1 ]
+
+    a.setAttribute('id', 'a')
+    b.setAttribute('id', 'b')
+
+    const frameShp = {
+      attributes: {},
+      childFrameShapes: [
+        { attributes: { id: 'c' }, points: [{ x: 0, y: 0, moveTo: true }, { x: 10, y: 0 }] },
+        { attributes: { id: 'b' }, points: [{ x: 20, y: 20, moveTo: true }, { x: 30, y: 20 }] },
+        { attributes: { id: 'a' }, points: [{ x: 10, y: 10, moveTo: true }, { x: 20, y: 10 }] }
+      ]
+    }
+
+    updateNode(el, frameShp, { key: 'id' })
+
+    expect(el.childNodes.length).to.equal(3)
+    expect(el.childNodes[ 0 ].getAttribute('id')).to.equal('c')
+    expect(el.childNodes[ 1 ]).to.equal(b)
+    expect(el.childNodes[ 1 ].getAttribute('d')).to.equal('M20,20H30')
+    expect(el.childNodes[ 2 ]).to.equal(a)
+    expect(el.childNodes[ 2 ].getAttribute('d')).to.equal('M10,10H20')
+  })
+
+  it('should leave non-shape child Nodes untouched', () => {
+    const el = createSvg('<title>Potato</title><path d="M0,0H10" /><desc>Tomato</desc>')
+    const title = el.childNodes[ 0 ]
+    const desc = el.childNodes[ 2 ]
+
+    const frameShp = {
+      attributes: {},
+      childFrameShapes: [
+        { attributes: {}, points: [{ x: 0, y: 0, moveTo: true }, { x: 20, y: 0 }] },
+        { attributes: {}, points: [{ x: 0, y: 0, moveTo: true }, { x: 30, y: 0 }] }
+      ]
+    }
+
+    updateNode(el, frameShp)
+
+    expect(el.childNodes.length).to.equal(4)
+    expect(el.childNodes[ 0 ]).to.equal(title)
+    expect(el.childNodes[ 1 ].getAttribute('d')).to.equal('M0,0H20')
+    expect(el.childNodes[ 2 ].getAttribute('d')).to.equal('M0,0H30')
+    expect(el.childNodes[ 3 ]).to.equal(desc)
+  })
+
+  it('should not write to a Node that has not changed', () => {
+    const frameShp = {
+      attributes: { fill: 'red', opacity: 0.5, 'stroke-width': 2 },
+      points: [{ x: 0, y: 0, moveTo: true }, { x: 10, y: 0 }]
+    }
+
+    const el = node(frameShp)
+    const writes = countWrites(el)
+
+    updateNode(el, frameShp)
+    updateNode(el, frameShp)
+
+    expect(writes).to.eql([])
+  })
+
+  it('should only write attributes that have changed', () => {
+    const el = node({
+      attributes: { fill: 'red', opacity: 0.5 },
+      points: [{ x: 0, y: 0, moveTo: true }, { x: 10, y: 0 }]
+    })
+
+    const writes = countWrites(el)
+
+    updateNode(el, {
+      attributes: { fill: 'red', opacity: 0.75 },
+      points: [{ x: 0, y: 0, moveTo: true }, { x: 10, y: 0 }]
+    })
+
+    expect(writes).to.eql([ 'setAttribute' ])
+    expect(el.getAttribute('opacity')).to.equal('0.75')
+  })
+
+  it('should only write to the child Nodes that have changed', () => {
+    const frameShp = {
+      attributes: { fill: 'red' },
+      childFrameShapes: [
+        { attributes: { id: 'a' }, points: [{ x: 0, y: 0, moveTo: true }, { x: 10, y: 0 }] },
+        { attributes: { id: 'b' }, points: [{ x: 0, y: 0, moveTo: true }, { x: 10, y: 0 }] }
+      ]
+    }
+
+    const el = node(frameShp)
+    const writes = [ el, el.childNodes[ 0 ], el.childNodes[ 1 ] ].map(countWrites)
+
+    updateNode(el, {
+      attributes: { fill: 'red' },
+      childFrameShapes: [
+        frameShp.childFrameShapes[ 0 ],
+        { attributes: { id: 'b' }, points: [{ x: 0, y: 0, moveTo: true }, { x: 20, y: 0 }] }
+      ]
+    })
+
+    expect(writes).to.eql([ [], [], [ 'setAttribute' ] ])
+  })
+
+  it('should write namespaced attributes with their namespace', () => {
+    const el = createPath()
+
+    updateNode(el, {
+      attributes: { 'xlink:href': '#potato' },
+      points: [{ x: 0, y: 0, moveTo: true }, { x: 10, y: 0 }]
+    })
+
+    expect(el.getAttributeNS('http://www.w3.org/1999/xlink', 'href')).to.equal('#potato')
+
+    const writes = countWrites(el)
+
+    updateNode(el, {
+      attributes: { 'xlink:href': '#potato' },
+      points: [{ x: 0, y: 0, moveTo: true }, { x: 10, y: 0 }]
+    })
+
+    expect(writes).to.eql([])
+
+    updateNode(el, {
+      attributes: {},
+      points: [{ x: 0, y: 0, moveTo: true }, { x: 10, y: 0 }]
+    })
+
+    expect(writes).to.eql([ 'removeAttributeNS' ])
+    expect(el.hasAttributeNS('http://www.w3.org/1999/xlink', 'href')).to.equal(false)
+  })
+
+  it('should keep the remembered type if the points are unchanged', () => {
+    const svg = createSvg('<circle cx="50" cy="50" r="20" />')
+    const el = svg.childNodes[ 0 ]
+    const frameShp = frameShape(el, { preserveType: true })
+
+    const n = updateNode(el, { ...frameShp, attributes: { fill: 'red' } })
+
+    expect(n).to.equal(el)
+    expect(svg.childNodes[ 0 ].nodeName).to.equal('circle')
+    expect(el.getAttribute('r')).to.equal('20')
+    expect(el.getAttribute('fill')).to.equal('red')
+  })
+
+  it('should update the core props of a remembered type that the include option does not list', () => {
+    const el = createSvg('<circle cx="50" cy="50" r="20" />').childNodes[ 0 ]
+    const next = createSvg('<circle cx="40" cy="30" r="10" fill="red" />').childNodes[ 0 ]
+
+    updateNode(el, frameShape(next, { preserveType: true }), { include: [ 'fill' ] })
+
+    expect(el.getAttribute('cx')).to.equal('40')
+    expect(el.getAttribute('cy')).to.equal('30')
+    expect(el.getAttribute('r')).to.equal('10')
+    expect(el.getAttribute('fill')).to.equal('red')
+  })
+
+  it('should replace a Node of a remembered type with a path if the points have changed', () => {
+    const svg = createSvg('<rect x="0" y="0" width="10" height="10" /><circle cx="50" cy="50" r="20" />')
+    const el = svg.childNodes[ 0 ]
+    const frameShp = frameShape(el, { preserveType: true })
+
+    const n = updateNode(el, { ...frameShp, points: frameShp.points.slice(0, 3) })
+
+    expect(n).to.not.equal(el)
+    expect(n.nodeName).to.equal('path')
+    expect(n.getAttribute('d')).to.equal('M0,0H10V10')
+    expect(svg.childNodes[ 0 ]).to.equal(n)
+    expect(svg.childNodes[ 1 ].nodeName).to.equal('circle')
+  })
+
+  it('should replace a child Node of a remembered type with a path if the points have changed', () => {
+    const el = createSvg('<circle cx="50" cy="50" r="20" />')
+    const frameShp = frameShape(el, { preserveType: true })
+    const circle = frameShp.childFrameShapes[ 0 ]
+
+    updateNode(el, { ...frameShp, childFrameShapes: [ { ...circle, points: circle.points.slice(0, 2) } ] })
+
+    expect(el.childNodes.length).to.equal(1)
+    expect(el.childNodes[ 0 ].nodeName).to.equal('path')
+  })
 })
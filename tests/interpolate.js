@@ -0,0 +1,111 @@
+/* globals describe it expect */
+
+import { toPoints } from 'svg-points'
+import { interpolate, node } from '../src'
+
+const shape = (plainShapeObject, attributes = {}) => ({ attributes, points: toPoints(plainShapeObject) })
+
+const small = shape({ type: 'rect', x: 0, y: 0, width: 10, height: 10 }, { fill: 'red', opacity: 0 })
+const large = shape({ type: 'rect', x: 0, y: 0, width: 20, height: 20 }, { fill: '#0000ff', opacity: 1 })
+
+describe('interpolate', () => {
+  it('should throw if not passed two FrameShapes', () => {
+    expect(() => interpolate(small, 'potato')).to.throw('frameShape must be of type object')
+  })
+
+  it('should throw if easing option is not a function', () => {
+    expect(() => interpolate(small, large, { easing: 'linear' })).to.throw('easing option must be of type function')
+  })
+
+  it('should return the from and to FrameShapes at 0 and 1', () => {
+    const tween = interpolate(small, large)
+
+    expect(tween(0).points).to.eql(small.points)
+    expect(tween(1).points).to.eql(large.points)
+  })
+
+  it('should interpolate points', () => {
+    const points = interpolate(small, large)(0.5).points
+
+    expect(points[ 2 ]).to.include({ x: 15, y: 15 })
+  })
+
+  it('should interpolate curve control points', () => {
+    const from = shape({ type: 'path', d: 'M0,0C0,10 10,10 10,0' })
+    const to = shape({ type: 'path', d: 'M0,0C0,20 10,30 10,0' })
+    const curve = interpolate(from, to)(0.5).points[ 1 ].curve
+
+    expect(curve).to.eql({ type: 'cubic', x1: 0, y1: 15, x2: 10, y2: 20 })
+  })
+
+  it('should interpolate numeric and colour attributes', () => {
+    const attributes = interpolate(small, large)(0.5).attributes
+
+    expect(attributes.opacity).to.equal(0.5)
+    expect(attributes.fill).to.eql([ 127.5, 0, 127.5, 1 ])
+  })
+
+  it('should interpolate numeric strings', () => {
+    const from = { ...small, attributes: { 'stroke-width': '2' } }
+    const to = { ...small, attributes: { 'stroke-width': '4' } }
+
+    expect(interpolate(from, to)(0.5).attributes[ 'stroke-width' ]).to.equal(3)
+  })
+
+  it('should switch other attributes halfway', () => {
+    const from = { ...small, attributes: { fill: 'none', id: 'a' } }
+    const to = { ...small, attributes: { fill: 'red' } }
+    const tween = interpolate(from, to)
+
+    expect(tween(0.4).attributes).to.eql({ fill: 'none', id: 'a' })
+    expect(tween(0.6).attributes).to.eql({ fill: 'red' })
+  })
+
+  it('should switch attributes that are not presentation attributes halfway', () => {
+    const from = { ...small, attributes: { class: '1', 'data-step': 1, id: '1' } }
+    const to = { ...small, attributes: { class: '2', 'data-step': 2, id: '2' } }
+    const tween = interpolate(from, to)
+
+    expect(tween(0.4).attributes).to.eql({ class: '1', 'data-step': 1, id: '1' })
+    expect(tween(0.6).attributes).to.eql({ class: '2', 'data-step': 2, id: '2' })
+  })
+
+  it('should use the easing option', () => {
+    const tween = interpolate(small, large, { easing: t => t * t })
+
+    expect(tween(0.5).attributes.opacity).to.equal(0.25)
+    expect(tween(0.5).points[ 2 ]).to.include({ x: 12.5, y: 12.5 })
+  })
+
+  it('should use the attributeEasing option for that attribute', () => {
+    const tween = interpolate(small, large, { attributeEasing: { opacity: t => t * t } })
+
+    expect(tween(0.5).attributes.opacity).to.equal(0.25)
+    expect(tween(0.5).points[ 2 ]).to.include({ x: 15, y: 15 })
+  })
+
+  it('should recurse through childFrameShapes', () => {
+    const from = { attributes: { opacity: 0 }, childFrameShapes: [ small ] }
+    const to = { attributes: { opacity: 1 }, childFrameShapes: [ large ] }
+    const frameShape = interpolate(from, to)(0.5)
+
+    expect(frameShape.attributes.opacity).to.equal(0.5)
+    expect(frameShape.childFrameShapes[ 0 ].attributes.opacity).to.equal(0.5)
+    expect(frameShape.childFrameShapes[ 0 ].points[ 2 ]).to.include({ x: 15, y: 15 })
+  })
+
+  it('should normalise FrameShapes that are not compatible', () => {
+    const triangle = shape({ type: 'polygon', points: '0,0 10,0 5,10' })
+    const tween = interpolate(triangle, small)
+
+    expect(tween(0).points.length).to.equal(tween(1).points.length)
+    expect(tween(1).points.length).to.equal(small.points.length)
+  })
+
+  it('should create FrameShapes that can be passed to node', () => {
+    const el = node(interpolate(small, large)(0.5))
+
+    expect(el.getAttribute('fill')).to.equal('rgb(128,0,128)')
+    expect(el.getAttribute('opacity')).to.equal('0.5')
+  })
+})
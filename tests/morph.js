@@ -0,0 +1,112 @@
+/* globals describe it expect */
+
+import { toPoints } from 'svg-points'
+import { normalise, totalLength } from '../src'
+
+const shape = plainShapeObject => ({ attributes: {}, points: toPoints(plainShapeObject) })
+
+const square = shape({ type: 'rect', x: 0, y: 0, width: 10, height: 10 })
+const triangle = shape({ type: 'polygon', points: '0,0 10,0 5,10' })
+const circle = shape({ type: 'circle', cx: 5, cy: 5, r: 5 })
+
+const structure = frameShp => frameShp.childFrameShapes
+  ? frameShp.childFrameShapes.map(structure)
+  : frameShp.points.map(({ moveTo, curve }) => `${moveTo ? 'M' : ''}${curve ? curve.type : 'L'}`)
+
+describe('normalise', () => {
+  it('should throw if not passed two FrameShapes', () => {
+    expect(() => normalise(square, 'potato')).to.throw('frameShape must be of type object')
+  })
+
+  it('should add points to equalise point counts', () => {
+    const [ from, to ] = normalise(triangle, square)
+
+    expect(from.points.length).to.equal(to.points.length)
+    expect(structure(from)).to.eql(structure(to))
+  })
+
+  it('should keep straight lines when neither FrameShape has curves', () => {
+    const [ from ] = normalise(triangle, square)
+
+    expect(from.points.every(point => !point.curve)).to.equal(true)
+  })
+
+  it('should not change the outline of a FrameShape', () => {
+    const [ from, to ] = normalise(triangle, circle)
+
+    expect(totalLength(from)).to.be.closeTo(totalLength(triangle), 1e-6)
+    expect(totalLength(to)).to.be.closeTo(totalLength(circle), 1e-6)
+    expect(structure(from)).to.eql(structure(to))
+  })
+
+  it('should rotate closed subpaths to minimise travel', () => {
+    const rotated = shape({ type: 'polygon', points: '10,10 0,10 0,0 10,0' })
+    const [ , to ] = normalise(square, rotated)
+
+    expect(to.points[ 0 ]).to.include({ x: 0, y: 0 })
+  })
+
+  it('should not rotate if rotate option is false', () => {
+    const rotated = shape({ type: 'polygon', points: '10,10 0,10 0,0 10,0' })
+    const [ , to ] = normalise(square, rotated, { rotate: false })
+
+    expect(to.points[ 0 ]).to.include({ x: 10, y: 10 })
+  })
+
+  it('should add collapsed subpaths to equalise subpath counts', () => {
+    const compound = shape({ type: 'path', d: 'M0,0H10V10H0ZM20,20H30V30H20Z' })
+    const [ from, to ] = normalise(square, compound)
+
+    expect(structure(from)).to.eql(structure(to))
+
+    const moveTo = from.points.filter(point => point.moveTo)[ 1 ]
+
+    expect(moveTo.x).to.be.closeTo(25, 1e-6)
+    expect(moveTo.y).to.be.closeTo(25, 1e-6)
+  })
+
+  it('should pad group trees with collapsed placeholders', () => {
+    const from = { attributes: { fill: 'red' }, childFrameShapes: [ square ] }
+    const to = { attributes: { fill: 'blue' }, childFrameShapes: [ triangle, { ...circle, attributes: { id: 'c' } } ] }
+    const result = normalise(from, to)
+
+    expect(result[ 0 ].attributes).to.eql({ fill: 'red' })
+    expect(result[ 0 ].childFrameShapes.length).to.equal(2)
+    expect(structure(result[ 0 ])).to.eql(structure(result[ 1 ]))
+
+    const placeholder = result[ 0 ].childFrameShapes[ 1 ]
+
+    expect(placeholder.attributes).to.eql({})
+    expect(totalLength(placeholder)).to.be.closeTo(0, 1e-9)
+    expect(placeholder.points[ 0 ].x).to.be.closeTo(5, 1e-6)
+    expect(placeholder.points[ 0 ].y).to.be.closeTo(5, 1e-6)
+  })
+
+  it('should not duplicate ids, Passthroughs or Defs in collapsed placeholders', () => {
+    const ids = frameShp => [
+      ...(frameShp.attributes.id ? [ frameShp.attributes.id ] : []),
+      ...(frameShp.childFrameShapes || []).reduce((result, c) => [ ...result, ...ids(c) ], [])
+    ]
+
+    const title = { index: 0, node: { type: 'title', attributes: {}, childNodes: [ { text: 'Circle' } ] } }
+    const defs = { g: { type: 'linearGradient', attributes: {}, stops: [] } }
+    const group = { attributes: { id: 'g' }, childFrameShapes: [ { ...circle, attributes: { id: 'c' } } ], defs, passthrough: [ title ] }
+    const from = { attributes: {}, childFrameShapes: [ square ] }
+    const to = { attributes: {}, childFrameShapes: [ { ...triangle, attributes: { id: 't' } }, group ] }
+    const result = normalise(from, to)
+    const placeholder = result[ 0 ].childFrameShapes[ 1 ]
+
+    expect(ids(result[ 0 ])).to.eql([])
+    expect(ids(result[ 1 ])).to.eql([ 't', 'g', 'c' ])
+    expect(placeholder).to.not.have.property('defs')
+    expect(placeholder).to.not.have.property('passthrough')
+  })
+
+  it('should wrap a shape in a group to match a group', () => {
+    const [ from, to ] = normalise(square, { attributes: {}, childFrameShapes: [ triangle ] })
+
+    expect(from.childFrameShapes.length).to.equal(1)
+    expect(structure(from)).to.eql(structure(to))
+    expect(to.childFrameShapes[ 0 ].points.length).to.equal(from.childFrameShapes[ 0 ].points.length)
+  })
+})
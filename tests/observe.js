@@ -0,0 +1,141 @@
+/* globals describe it expect */
+
+import { createRenderer, frameShape, observe } from '../src'
+
+const createSvg = markup => {
+  const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg')
+  svg.innerHTML = markup
+  return svg.firstChild
+}
+
+const mutations = () => new Promise(resolve => setTimeout(resolve))
+
+const markup = '<g><rect x="0" y="0" width="10" height="10" fill="red" /><circle cx="5" cy="5" r="5" /></g>'
+
+describe('observe', () => {
+  it('should throw if callback is not a function', () => {
+    expect(() => observe(createSvg(markup), 'callback')).to.throw('callback must be of type function')
+  })
+
+  it('should have the FrameShape of the Node', () => {
+    const el = createSvg(markup)
+    const observer = observe(el, () => {})
+
+    expect(observer.frameShape).to.eql(frameShape(el))
+
+    observer.disconnect()
+  })
+
+  it('should call back with the new FrameShape and the changed attributes', () => {
+    const el = createSvg(markup)
+    const calls = []
+    const observer = observe(el, (frameShp, changes) => calls.push({ frameShp, changes }))
+
+    el.firstChild.setAttribute('fill', 'blue')
+
+    return mutations().then(() => {
+      observer.disconnect()
+
+      expect(calls.length).to.equal(1)
+      expect(calls[ 0 ].frameShp).to.eql(frameShape(el))
+      expect(calls[ 0 ].changes).to.eql([
+        { attributes: [ 'fill' ], path: 'childFrameShapes[0]', type: 'attributes' }
+      ])
+      expect(observer.frameShape).to.equal(calls[ 0 ].frameShp)
+    })
+  })
+
+  it('should describe changes to points and children', () => {
+    const el = createSvg(markup)
+    const calls = []
+    const observer = observe(el, (frameShp, changes) => calls.push(changes))
+
+    el.lastChild.setAttribute('r', '10')
+
+    return mutations().then(() => {
+      el.appendChild(createSvg('<path d="M0,0H10" />'))
+
+      return mutations()
+    }).then(() => {
+      observer.disconnect()
+
+      expect(calls).to.eql([
+        [ { path: 'childFrameShapes[1]', type: 'points' } ],
+        [ { path: '', type: 'childFrameShapes' } ]
+      ])
+    })
+  })
+
+  it('should only create points again for Nodes whose core props changed', () => {
+    const el = createSvg(markup)
+    const observer = observe(el, () => {})
+    const rect = observer.frameShape.childFrameShapes[ 0 ]
+    const circle = observer.frameShape.childFrameShapes[ 1 ]
+
+    el.firstChild.setAttribute('fill', 'blue')
+    el.lastChild.setAttribute('cx', '10')
+
+    return mutations().then(() => {
+      observer.disconnect()
+
+      expect(observer.frameShape.childFrameShapes[ 0 ].points).to.equal(rect.points)
+      expect(observer.frameShape.childFrameShapes[ 1 ].points).to.not.equal(circle.points)
+    })
+  })
+
+  it('should not call back if the FrameShape is unchanged', () => {
+    const el = createSvg(markup)
+    const calls = []
+    const observer = observe(el, () => calls.push(true), { exclude: [ 'data-state' ] })
+
+    el.firstChild.setAttribute('data-state', 'active')
+
+    return mutations().then(() => {
+      observer.disconnect()
+
+      expect(calls).to.eql([])
+    })
+  })
+
+  it('should stop calling back once disconnected', () => {
+    const el = createSvg(markup)
+    const calls = []
+    const observer = observe(el, () => calls.push(true))
+
+    observer.disconnect()
+
+    el.firstChild.setAttribute('fill', 'blue')
+
+    return mutations().then(() => {
+      expect(calls).to.eql([])
+    })
+  })
+
+  it('should use the observe function of the Adapter', () => {
+    const el = { type: 'path', attributes: { d: 'M0,0H10' }, children: [] }
+    const calls = []
+
+    let notify = null
+
+    const renderer = createRenderer({
+      getAttributes: n => ({ ...n.attributes }),
+      getChildren: n => [ ...n.children ],
+      getNodeName: n => n.type,
+      observe: (n, callback) => {
+        notify = callback
+        return () => { notify = null }
+      }
+    })
+
+    const observer = renderer.observe(el, (frameShp, changes) => calls.push(changes))
+
+    el.attributes.d = 'M0,0H20'
+    notify()
+
+    expect(calls).to.eql([ [ { path: '', type: 'points' } ] ])
+
+    observer.disconnect()
+
+    expect(notify).to.equal(null)
+  })
+})
@@ -0,0 +1,148 @@
+/* globals describe it expect */
+
+import { applyPatch, diff, invertPatch, node } from '../src'
+
+const line = (x, attributes = {}) => ({
+  attributes,
+  points: [{ x: 0, y: 0, moveTo: true }, { x, y: 0 }]
+})
+
+const group = (childFrameShapes, attributes = {}) => ({ attributes, childFrameShapes })
+
+describe('diff', () => {
+  it('should throw if not passed a FrameShape', () => {
+    expect(() => diff(node(line(10)), 'potato')).to.throw('frameShape must be of type object')
+  })
+
+  it('should return an empty Patch if nothing has changed', () => {
+    expect(diff(node(line(10, { fill: 'red' })), line(10, { fill: 'red' }))).to.eql({})
+  })
+
+  it('should return the current and next values of changed attributes', () => {
+    const el = node(line(10, { fill: 'red', stroke: 'blue' }))
+
+    expect(diff(el, line(20, { fill: 'green', opacity: 0.5 }))).to.eql({
+      attributes: {
+        d: [ 'M0,0H10', 'M0,0H20' ],
+        fill: [ 'red', 'green' ],
+        opacity: [ null, '0.5' ],
+        stroke: [ 'blue', null ]
+      }
+    })
+  })
+
+  it('should not change the Node', () => {
+    const el = node(line(10))
+
+    diff(el, line(20))
+
+    expect(el.getAttribute('d')).to.equal('M0,0H10')
+  })
+
+  it('should return a serialisable Patch', () => {
+    const el = node(group([ line(10), line(20) ]))
+    const patch = diff(el, group([ line(30) ]))
+
+    expect(JSON.parse(JSON.stringify(patch))).to.eql(patch)
+  })
+
+  it('should describe created, kept and removed child Nodes', () => {
+    const el = node(group([ line(10, { id: 'a' }), line(20, { id: 'b' }) ]))
+    const patch = diff(el, group([ line(30, { id: 'c' }), line(20, { id: 'b' }) ]), { key: 'id' })
+
+    expect(patch.childNodes).to.eql([
+      { frameShape: line(30, { id: 'c' }) },
+      { index: 1 }
+    ])
+
+    expect(patch.removed).to.eql([ { index: 0, frameShape: line(10, { id: 'a' }) } ])
+  })
+})
+
+describe('applyPatch', () => {
+  it('should throw if not passed a Patch', () => {
+    expect(() => applyPatch(node(line(10)), 'potato')).to.throw('patch must be of type object')
+  })
+
+  it('should apply a Patch to the Node', () => {
+    const el = node(group([ line(10, { id: 'a' }), line(20, { id: 'b' }) ], { fill: 'red' }))
+    const b = el.childNodes[ 1 ]
+
+    applyPatch(el, diff(el, group([ line(20, { id: 'b' }), line(30, { id: 'c' }) ], { fill: 'blue' }), { key: 'id' }))
+
+    expect(el.getAttribute('fill')).to.equal('blue')
+    expect(el.childNodes.length).to.equal(2)
+    expect(el.childNodes[ 0 ]).to.equal(b)
+    expect(el.childNodes[ 1 ].getAttribute('id')).to.equal('c')
+  })
+
+  it('should apply a deserialised Patch', () => {
+    const el = node(line(10))
+    const patch = JSON.parse(JSON.stringify(diff(el, line(20, { fill: 'red' }))))
+
+    applyPatch(el, patch)
+
+    expect(el.getAttribute('d')).to.equal('M0,0H20')
+    expect(el.getAttribute('fill')).to.equal('red')
+  })
+})
+
+describe('invertPatch', () => {
+  it('should undo attribute changes', () => {
+    const el = node(line(10, { fill: 'red', stroke: 'blue' }))
+    const patch = diff(el, line(20, { fill: 'green', opacity: 0.5 }))
+
+    applyPatch(el, patch)
+    applyPatch(el, invertPatch(patch))
+
+    expect(el.getAttribute('d')).to.equal('M0,0H10')
+    expect(el.getAttribute('fill')).to.equal('red')
+    expect(el.getAttribute('stroke')).to.equal('blue')
+    expect(el.hasAttribute('opacity')).to.equal(false)
+  })
+
+  it('should undo child Node changes', () => {
+    const el = node(group([
+      line(10, { id: 'a' }),
+      line(20, { id: 'b' }),
+      group([ line(30) ], { id: 'c' })
+    ]))
+
+    const before = el.outerHTML
+
+    const patch = diff(el, group([
+      group([ line(40) ], { id: 'c' }),
+      line(50, { id: 'd' }),
+      line(20, { id: 'b', fill: 'red' })
+    ]), { key: 'id' })
+
+    applyPatch(el, patch)
+
+    expect(el.outerHTML).to.not.equal(before)
+
+    applyPatch(el, invertPatch(patch))
+
+    expect(el.outerHTML).to.equal(before)
+  })
+
+  it('should return the original Patch when inverted twice', () => {
+    const el = node(group([ line(10), line(20) ]))
+    const patch = diff(el, group([ line(30) ]))
+
+    expect(invertPatch(invertPatch(patch))).to.eql(patch)
+  })
+
+  it('should undo the replacement of a Node', () => {
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg')
+    svg.innerHTML = '<circle cx="50" cy="50" r="20" fill="red" />'
+
+    const patch = diff(svg.childNodes[ 0 ], line(10))
+    const el = applyPatch(svg.childNodes[ 0 ], patch)
+
+    expect(svg.innerHTML).to.equal('<path d="M0,0H10"></path>')
+
+    applyPatch(el, invertPatch(patch))
+
+    expect(svg.innerHTML).to.equal('<circle cx="50" cy="50" r="20" fill="red"></circle>')
+  })
+})
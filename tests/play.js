@@ -0,0 +1,220 @@
+/* globals describe it expect */
+
+import { node, play } from '../src'
+
+const frameShp = (d, attributes = {}) => ({
+  attributes,
+  points: [{ x: 0, y: 0, moveTo: true }, { x: d, y: 0 }]
+})
+
+const createClock = () => {
+  const callbacks = {}
+
+  let id = 0
+  let time = 0
+
+  return {
+    cancelFrame: frame => { delete callbacks[ frame ] },
+    now: () => time,
+    requestFrame: callback => {
+      callbacks[ ++id ] = callback
+      return id
+    },
+    tick: ms => {
+      time += ms
+
+      const pending = Object.keys(callbacks)
+
+      for (let i = 0, l = pending.length; i < l; i++) {
+        const callback = callbacks[ pending[ i ] ]
+        delete callbacks[ pending[ i ] ]
+        callback()
+      }
+    }
+  }
+}
+
+const keyframes = [ { frameShape: frameShp(0) }, { frameShape: frameShp(100) } ]
+
+// The x of the end of the line, as a zero length line is written as M0,0Z
+const x = el => parseFloat(el.getAttribute('d').split('H')[ 1 ] || 0)
+
+describe('play', () => {
+  it('should throw if not passed at least two keyframes', () => {
+    const el = node(frameShp(0))
+    expect(() => play(el, [ { frameShape: frameShp(0) } ])).to.throw('keyframes must be an array of at least two keyframes')
+  })
+
+  it('should throw if a keyframe has no frameShape or el', () => {
+    const el = node(frameShp(0))
+    expect(() => play(el, [ { frameShape: frameShp(0) }, {} ])).to.throw('keyframe must have either a frameShape or el property')
+  })
+
+  it('should update the Node on each frame', () => {
+    const clock = createClock()
+    const el = node(frameShp(0))
+
+    play(el, keyframes, { clock, duration: 1000 })
+
+    expect(x(el)).to.be.closeTo(0, 1e-9)
+
+    clock.tick(250)
+    expect(x(el)).to.be.closeTo(25, 1e-9)
+
+    clock.tick(250)
+    expect(x(el)).to.be.closeTo(50, 1e-9)
+  })
+
+  it('should stop and call onFinish at the end', () => {
+    const clock = createClock()
+    const el = node(frameShp(0))
+
+    let finished = 0
+
+    const playback = play(el, keyframes, { clock, duration: 1000, onFinish: () => finished++ })
+
+    clock.tick(1500)
+
+    expect(x(el)).to.be.closeTo(100, 1e-9)
+    expect(playback.playing).to.equal(false)
+    expect(finished).to.equal(1)
+  })
+
+  it('should pause and resume', () => {
+    const clock = createClock()
+    const el = node(frameShp(0))
+    const playback = play(el, keyframes, { clock, duration: 1000 })
+
+    clock.tick(200)
+    playback.pause()
+    clock.tick(500)
+
+    expect(x(el)).to.be.closeTo(20, 1e-9)
+
+    playback.play()
+    clock.tick(100)
+
+    expect(x(el)).to.be.closeTo(30, 1e-9)
+  })
+
+  it('should not start if paused option is true', () => {
+    const clock = createClock()
+    const el = node(frameShp(50))
+    const playback = play(el, keyframes, { clock, paused: true })
+
+    clock.tick(500)
+
+    expect(playback.playing).to.equal(false)
+    expect(x(el)).to.be.closeTo(0, 1e-9)
+  })
+
+  it('should seek to a time', () => {
+    const clock = createClock()
+    const el = node(frameShp(0))
+    const playback = play(el, keyframes, { clock, duration: 1000, paused: true })
+
+    playback.seek(750)
+
+    expect(x(el)).to.be.closeTo(75, 1e-9)
+    expect(playback.currentTime).to.equal(750)
+  })
+
+  it('should reverse', () => {
+    const clock = createClock()
+    const el = node(frameShp(0))
+    const playback = play(el, keyframes, { clock, duration: 1000 })
+
+    clock.tick(600)
+    playback.reverse()
+    clock.tick(200)
+
+    expect(x(el)).to.be.closeTo(40, 1e-9)
+
+    clock.tick(1000)
+
+    expect(x(el)).to.be.closeTo(0, 1e-9)
+    expect(playback.playing).to.equal(false)
+  })
+
+  it('should play iterations', () => {
+    const clock = createClock()
+    const el = node(frameShp(0))
+
+    play(el, keyframes, { clock, duration: 1000, iterations: 2 })
+
+    clock.tick(1250)
+    expect(x(el)).to.be.closeTo(25, 1e-9)
+  })
+
+  it('should alternate direction', () => {
+    const clock = createClock()
+    const el = node(frameShp(0))
+    const playback = play(el, keyframes, { alternate: true, clock, duration: 1000, iterations: 2 })
+
+    clock.tick(1250)
+    expect(x(el)).to.be.closeTo(75, 1e-9)
+
+    clock.tick(1000)
+    expect(x(el)).to.be.closeTo(0, 1e-9)
+    expect(playback.playing).to.equal(false)
+  })
+
+  it('should use keyframe offsets', () => {
+    const clock = createClock()
+    const el = node(frameShp(0))
+
+    play(el, [
+      { frameShape: frameShp(0) },
+      { frameShape: frameShp(80), offset: 0.8 },
+      { frameShape: frameShp(100) }
+    ], { clock, duration: 1000 })
+
+    clock.tick(400)
+    expect(x(el)).to.be.closeTo(40, 1e-9)
+
+    clock.tick(500)
+    expect(x(el)).to.be.closeTo(90, 1e-9)
+  })
+
+  it('should use keyframe durations', () => {
+    const clock = createClock()
+    const el = node(frameShp(0))
+
+    play(el, [
+      { frameShape: frameShp(0) },
+      { frameShape: frameShp(10), duration: 100 },
+      { frameShape: frameShp(20), duration: 400 }
+    ], { clock })
+
+    clock.tick(50)
+    expect(x(el)).to.be.closeTo(5, 1e-9)
+
+    clock.tick(250)
+    expect(x(el)).to.be.closeTo(15, 1e-9)
+  })
+
+  it('should use keyframe easing', () => {
+    const clock = createClock()
+    const el = node(frameShp(0))
+
+    play(el, [
+      { frameShape: frameShp(0) },
+      { frameShape: frameShp(100), easing: t => t * t }
+    ], { clock, duration: 1000 })
+
+    clock.tick(500)
+    expect(x(el)).to.be.closeTo(25, 1e-9)
+  })
+
+  it('should read keyframes from Nodes', () => {
+    const clock = createClock()
+    const el = node(frameShp(0))
+
+    play(el, [ { el: node(frameShp(0)) }, { el: node(frameShp(100, { fill: 'red' })) } ], { clock, duration: 1000 })
+
+    clock.tick(1000)
+
+    expect(x(el)).to.be.closeTo(100, 1e-9)
+    expect(el.getAttribute('fill')).to.equal('red')
+  })
+})
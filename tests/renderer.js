@@ -0,0 +1,170 @@
+/* globals describe it expect */
+
+import { createRenderer } from '../src'
+
+const virtualAdapter = {
+  appendChild: (parent, child) => parent.children.push(child),
+  createElement: type => ({ type, attributes: {}, children: [] }),
+  getAttributes: el => ({ ...el.attributes }),
+  getChildren: el => [ ...el.children ],
+  getNodeName: el => el.type,
+  insertBefore: (parent, child, ref) => {
+    const i = parent.children.indexOf(child)
+
+    if (i !== -1) {
+      parent.children.splice(i, 1)
+    }
+
+    const r = parent.children.indexOf(ref)
+    parent.children.splice(r === -1 ? parent.children.length : r, 0, child)
+  },
+  removeAttribute: (el, name) => delete el.attributes[ name ],
+  removeChild: (parent, child) => parent.children.splice(parent.children.indexOf(child), 1),
+  setAttribute: (el, name, value) => { el.attributes[ name ] = value }
+}
+
+const { diff, frameShape, node, plainShapeObject, updateNode } = createRenderer(virtualAdapter)
+
+const createGroup = () => ({
+  type: 'g',
+  attributes: { fill: 'yellow' },
+  children: [
+    { type: 'path', attributes: { d: 'M0,0H10' }, children: [] },
+    { type: 'text', attributes: {}, children: [] },
+    { type: 'rect', attributes: { x: '0', y: '0', width: '10', height: '10' }, children: [] }
+  ]
+})
+
+describe('createRenderer', () => {
+  it('should throw if not passed a valid Node', () => {
+    expect(() => frameShape({ type: 'div', attributes: {}, children: [] }))
+      .to.throw('el must be an SVG basic shape or group element')
+  })
+
+  it('should create a FrameShape using the adapter', () => {
+    expect(frameShape(createGroup())).to.eql({
+      attributes: { fill: 'yellow' },
+      childFrameShapes: [
+        { attributes: {}, points: [{ x: 0, y: 0, moveTo: true }, { x: 10, y: 0 }] },
+        {
+          attributes: {},
+          points: [
+            { x: 0, y: 0, moveTo: true },
+            { x: 10, y: 0 },
+            { x: 10, y: 10 },
+            { x: 0, y: 10 },
+            { x: 0, y: 0 }
+          ]
+        }
+      ]
+    })
+  })
+
+  it('should create a PlainShapeObject using the adapter', () => {
+    expect(plainShapeObject(createGroup()).shapes[ 1 ]).to.eql({
+      type: 'rect',
+      x: 0,
+      y: 0,
+      width: 10,
+      height: 10
+    })
+  })
+
+  it('should create a Node using the adapter', () => {
+    const el = node({
+      attributes: { fill: 'yellow' },
+      childFrameShapes: [
+        { attributes: { fill: 'red' }, points: [{ x: 0, y: 0, moveTo: true }, { x: 10, y: 0 }] }
+      ]
+    })
+
+    expect(el).to.eql({
+      type: 'g',
+      attributes: { fill: 'yellow' },
+      children: [
+        { type: 'path', attributes: { d: 'M0,0H10', fill: 'red' }, children: [] }
+      ]
+    })
+  })
+
+  it('should update a Node using the adapter', () => {
+    const el = createGroup()
+
+    updateNode(el, {
+      attributes: {},
+      childFrameShapes: [
+        { attributes: { fill: 'red' }, points: [{ x: 10, y: 10, moveTo: true }, { x: 20, y: 10 }] }
+      ]
+    })
+
+    expect(el).to.eql({
+      type: 'g',
+      attributes: {},
+      children: [
+        { type: 'path', attributes: { d: 'M10,10H20', fill: 'red' }, children: [] },
+        { type: 'text', attributes: {}, children: [] }
+      ]
+    })
+  })
+
+  it('should calculate a Patch using the adapter', () => {
+    const el = createGroup()
+
+    expect(diff(el, {
+      attributes: { fill: 'yellow' },
+      childFrameShapes: [
+        { attributes: {}, points: [{ x: 0, y: 0, moveTo: true }, { x: 20, y: 0 }] }
+      ]
+    })).to.eql({
+      childNodes: [
+        { index: 0, patch: { attributes: { d: [ 'M0,0H10', 'M0,0H20' ] } } }
+      ],
+      removed: [
+        {
+          index: 1,
+          frameShape: {
+            attributes: {},
+            points: [
+              { x: 0, y: 0, moveTo: true },
+              { x: 10, y: 0 },
+              { x: 10, y: 10 },
+              { x: 0, y: 10 },
+              { x: 0, y: 0 }
+            ],
+            shape: { type: 'rect', x: 0, y: 0, width: 10, height: 10 }
+          }
+        }
+      ]
+    })
+  })
+
+  it('should throw if a Node must be replaced and the adapter has no getParent function', () => {
+    const el = { type: 'path', attributes: { d: 'M0,0H10' }, children: [] }
+
+    expect(() => updateNode(el, { attributes: {}, childFrameShapes: [] }))
+      .to.throw('adapter must have a getParent function to replace a Node')
+  })
+
+  it('should replace a Node within its parent using the getParent function of the adapter', () => {
+    const el = { type: 'path', attributes: { d: 'M0,0H10' }, children: [] }
+    const parent = { type: 'g', attributes: {}, children: [ el ] }
+    const renderer = createRenderer({ ...virtualAdapter, getParent: n => n === el ? parent : null })
+
+    const n = renderer.updateNode(el, { attributes: {}, childFrameShapes: [] })
+
+    expect(n).to.not.equal(el)
+    expect(parent.children).to.eql([ { type: 'g', attributes: {}, children: [] } ])
+  })
+
+  it('should fall back to the DOM for functions missing from the adapter', () => {
+    const { node } = createRenderer({})
+
+    const el = node({
+      attributes: {},
+      points: [{ x: 0, y: 0, moveTo: true }, { x: 10, y: 0 }]
+    })
+
+    expect(el.namespaceURI).to.equal('http://www.w3.org/2000/svg')
+    expect(el.getAttribute('d')).to.equal('M0,0H10')
+  })
+})
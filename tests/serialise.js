@@ -0,0 +1,90 @@
+/* globals describe it expect */
+
+import { deserialise, frameShapeFromString, serialise } from '../src'
+
+const markup = `
+  <svg>
+    <defs>
+      <linearGradient id="sunset"><stop offset="0" stop-color="orange" /></linearGradient>
+      <clipPath id="clip"><rect x="0" y="0" width="10" height="10" /></clipPath>
+    </defs>
+    <title>Sunset</title>
+    <circle cx="50" cy="50" r="20" fill="url(#sunset)" clip-path="url(#clip)" />
+    <path d="M0,0C0,10 10,10 10,0Q15,5 20,0A5,5 30 1 0 30,0L40,0ZM50,50H60" stroke-width="2" />
+  </svg>
+`
+
+describe('serialise', () => {
+  it('should throw if the FrameShape is not valid', () => {
+    const frameShp = { attributes: {}, points: [ { x: NaN, y: 0, moveTo: true } ] }
+
+    expect(() => serialise(frameShp)).to.throw('frameShape is not valid: points[0].x is NaN')
+  })
+
+  it('should write a versioned format with packed points', () => {
+    const frameShp = { attributes: { fill: 'red' }, points: [ { x: 0, y: 0, moveTo: true }, { x: 10, y: 0 } ] }
+
+    expect(JSON.parse(serialise(frameShp))).to.eql({ v: 1, s: { a: { fill: 'red' }, p: 'ML', n: [ 0, 0, 10, 0 ] } })
+  })
+
+  it('should be smaller than the FrameShape as JSON', () => {
+    const frameShp = frameShapeFromString(markup)
+
+    expect(serialise(frameShp).length).to.be.below(JSON.stringify(frameShp).length / 2)
+  })
+})
+
+describe('deserialise', () => {
+  it('should round trip a FrameShape losslessly', () => {
+    const frameShp = frameShapeFromString(markup, {
+      defs: true,
+      normalise: true,
+      passthrough: true,
+      preserveType: true,
+      splitSubpaths: true
+    })
+
+    expect(deserialise(serialise(frameShp))).to.eql(frameShp)
+  })
+
+  it('should keep the presence and type of arc flags', () => {
+    const frameShp = {
+      attributes: {},
+      points: [
+        { x: 0, y: 0, moveTo: true },
+        { x: 10, y: 0, curve: { type: 'arc', rx: 5, ry: 5, largeArcFlag: true } },
+        { x: 20, y: 0, curve: { type: 'arc', rx: 5, ry: 5, sweepFlag: 0, xAxisRotation: 0 } },
+        { x: 30, y: 0, curve: { type: 'arc', rx: 5, ry: 5, largeArcFlag: false, sweepFlag: 1 } }
+      ]
+    }
+
+    expect(deserialise(serialise(frameShp))).to.eql(frameShp)
+  })
+
+  it('should accept a parsed object', () => {
+    const frameShp = frameShapeFromString('<path d="M0,0H10" />')
+
+    expect(deserialise(JSON.parse(serialise(frameShp)))).to.eql(frameShp)
+  })
+
+  it('should throw if the data has no version', () => {
+    expect(() => deserialise('{}')).to.throw('data must be an object with a version')
+  })
+
+  it('should throw if the version is not supported', () => {
+    expect(() => deserialise({ v: 99, s: {} })).to.throw('data version 99 is not supported, the latest version is 1')
+  })
+
+  it('should throw if the data is not valid', () => {
+    expect(() => deserialise({ v: 1, s: { g: [ { p: 'MX', n: [] } ] } }))
+      .to.throw('data is not valid: s.g[0].p must be a string of the commands A, C, L, M and Q')
+
+    expect(() => deserialise({ v: 1, s: { p: 'ML', n: [ 0, 0, 10 ] } }))
+      .to.throw('data is not valid: s.n must have 4 numbers for its commands, not 3')
+  })
+
+  it('should throw if the FrameShape is not valid', () => {
+    expect(() => deserialise({ v: 1, s: { p: 'ML', n: [ 0, 0, 10, null ] } }))
+      .to.throw('frameShape is not valid: points[1].y must be of type number')
+  })
+})
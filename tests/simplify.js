@@ -0,0 +1,108 @@
+/* globals describe it expect */
+
+import { toPath } from 'svg-points'
+
+import {
+  frameShapeFromString,
+  node,
+  toSVGString,
+  totalLength,
+  updateNode
+} from '../src'
+
+const path = (d, options) => frameShapeFromString(`<path d="${d}" />`, options)
+
+describe('frameShape point options', () => {
+  it('should round coordinates with the precision option', () => {
+    const frameShp = path('M0.123456,1.98765C2.1111,3.2222 4.33333,5.44444 6.55555,7.66666', { precision: 2 })
+
+    expect(frameShp.points).to.eql([
+      { x: 0.12, y: 1.99, moveTo: true },
+      { x: 6.56, y: 7.67, curve: { type: 'cubic', x1: 2.11, y1: 3.22, x2: 4.33, y2: 5.44 } }
+    ])
+  })
+
+  it('should remove duplicate and collinear points with the dedupe option', () => {
+    const frameShp = path('M0,0H5H5H10V10H0Z', { dedupe: true })
+
+    expect(toPath(frameShp.points)).to.equal('M0,0H10V10H0Z')
+  })
+
+  it('should keep points that turn back on themselves with the dedupe option', () => {
+    const frameShp = path('M0,0H10H5', { dedupe: true })
+
+    expect(frameShp.points.length).to.equal(3)
+  })
+
+  it('should remove duplicates created by rounding', () => {
+    const frameShp = path('M0,0H10.001H10.002V10', { dedupe: true, precision: 1 })
+
+    expect(toPath(frameShp.points)).to.equal('M0,0H10V10')
+  })
+
+  it('should simplify straight lines within a tolerance with the simplify option', () => {
+    const frameShp = path('M0,0L5,0.1L10,0L15,-0.1L20,0L20,20', { simplify: 0.5 })
+
+    expect(toPath(frameShp.points)).to.equal('M0,0H20V20')
+  })
+
+  it('should keep points outside the tolerance', () => {
+    const frameShp = path('M0,0L5,2L10,0', { simplify: 0.5 })
+
+    expect(frameShp.points.length).to.equal(3)
+  })
+
+  it('should merge curves within a tolerance with the simplify option', () => {
+    const split = 'M0,0C0,5 2.5,7.5 5,7.5C7.5,7.5 10,5 10,0'
+    const frameShp = path(split, { simplify: 0.1 })
+
+    expect(frameShp.points.length).to.equal(2)
+    expect(frameShp.points[ 1 ]).to.include({ x: 10, y: 0 })
+    expect(totalLength(frameShp)).to.be.closeTo(totalLength(path(split)), 0.1)
+  })
+
+  it('should not merge curves across a corner', () => {
+    const frameShp = path('M0,0C0,5 5,5 5,0C5,5 10,5 10,0', { simplify: 0.1 })
+
+    expect(frameShp.points.length).to.equal(3)
+  })
+})
+
+describe('precision option when writing', () => {
+  const frameShp = path('M0.123456,0H10.98765')
+
+  it('should round path data written by node', () => {
+    expect(node(frameShp, { precision: 1 }).getAttribute('d')).to.equal('M0.1,0H11')
+  })
+
+  it('should round path data written by updateNode', () => {
+    const el = node(path('M0,0H1'))
+
+    updateNode(el, frameShp, { precision: 2 })
+
+    expect(el.getAttribute('d')).to.equal('M0.12,0H10.99')
+  })
+
+  it('should not write path data that is unchanged once rounded', () => {
+    const el = node(frameShp, { precision: 1 })
+    const writes = []
+
+    el.setAttribute = name => writes.push(name)
+
+    updateNode(el, path('M0.1111,0H11.0001'), { precision: 1 })
+
+    expect(writes).to.eql([])
+  })
+
+  it('should round path data of new child Nodes', () => {
+    const el = node({ attributes: {}, childFrameShapes: [] })
+
+    updateNode(el, { attributes: {}, childFrameShapes: [ frameShp ] }, { precision: 1 })
+
+    expect(el.firstChild.getAttribute('d')).to.equal('M0.1,0H11')
+  })
+
+  it('should round path data written by toSVGString', () => {
+    expect(toSVGString(frameShp, { precision: 0 })).to.equal('<path d="M0,0H11"/>')
+  })
+})
@@ -0,0 +1,92 @@
+/* globals describe it expect */
+
+import { frameShape, node, plainShapeObject, toSVGString, updateNode } from '../src'
+
+const createPath = attributes => {
+  const path = document.createElementNS('http://www.w3.org/2000/svg', 'path')
+  path.setAttribute('d', 'M0,0H10')
+
+  for (let k in attributes) {
+    path.setAttribute(k, attributes[ k ])
+  }
+
+  return path
+}
+
+describe('style', () => {
+  it('should keep the style attribute by default', () => {
+    const el = createPath({ style: 'fill:red' })
+    expect(frameShape(el).attributes).to.eql({ style: 'fill:red' })
+  })
+
+  it('should expand inline style to presentation attributes', () => {
+    const el = createPath({
+      fill: 'blue',
+      style: 'fill: red; stroke: url("data:a;b") !important; transition: opacity 1s'
+    })
+
+    expect(frameShape(el, { expandStyle: true }).attributes).to.eql({
+      fill: 'red',
+      stroke: 'url("data:a;b")',
+      style: 'transition:opacity 1s'
+    })
+  })
+
+  it('should expand inline style before normalising', () => {
+    const el = createPath({ style: 'fill:red;stroke-width:2px' })
+
+    expect(plainShapeObject(el, { expandStyle: true, normalise: true })).to.eql({
+      type: 'path',
+      d: 'M0,0H10',
+      fill: [ 255, 0, 0, 1 ],
+      'stroke-width': 2
+    })
+  })
+
+  it('should read properties from the computed style', () => {
+    const style = document.createElement('style')
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg')
+    const el = createPath({ 'class': 'potato' })
+
+    style.textContent = '.potato { fill: rgb(255, 0, 0); }'
+    svg.appendChild(el)
+    document.head.appendChild(style)
+    document.body.appendChild(svg)
+
+    const { attributes } = frameShape(el, { computedStyle: [ 'fill' ] })
+
+    document.head.removeChild(style)
+    document.body.removeChild(svg)
+
+    expect(attributes.fill).to.equal('rgb(255, 0, 0)')
+  })
+
+  it('should write presentation attributes as inline style', () => {
+    const frameShp = {
+      attributes: { fill: [ 255, 0, 0, 1 ], stroke: 'blue', 'class': 'potato', style: 'transition:none' },
+      points: [{ x: 0, y: 0, moveTo: true }, { x: 10, y: 0 }]
+    }
+
+    const el = node(frameShp, { inlineStyle: true })
+
+    expect(el.hasAttribute('fill')).to.equal(false)
+    expect(el.getAttribute('class')).to.equal('potato')
+    expect(el.getAttribute('style')).to.equal('transition:none;fill:rgb(255,0,0);stroke:blue')
+
+    expect(toSVGString(frameShp, { inlineStyle: true })).to.equal(
+      '<path d="M0,0H10" class="potato" style="transition:none;fill:rgb(255,0,0);stroke:blue"/>'
+    )
+  })
+
+  it('should update presentation attributes as inline style', () => {
+    const el = createPath({ fill: 'red' })
+
+    updateNode(el, {
+      attributes: { fill: 'blue' },
+      points: [{ x: 0, y: 0, moveTo: true }, { x: 10, y: 0 }]
+    }, { inlineStyle: true })
+
+    expect(el.hasAttribute('fill')).to.equal(false)
+    expect(el.getAttribute('style')).to.equal('fill:blue')
+  })
+})
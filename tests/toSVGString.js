@@ -0,0 +1,120 @@
+/* globals describe it expect */
+
+import { node, toSVGString } from '../src'
+
+const frameShp = {
+  attributes: { fill: 'yellow' },
+  childFrameShapes: [
+    {
+      attributes: { 'class': 'potato' },
+      points: [{ x: 0, y: 0, moveTo: true }, { x: 10, y: 0 }]
+    },
+    {
+      attributes: { fill: 'red' },
+      childFrameShapes: [
+        { attributes: {}, points: [{ x: 10, y: 10, moveTo: true }, { x: 20, y: 10 }] }
+      ]
+    }
+  ]
+}
+
+describe('toSVGString', () => {
+  it('should throw if FrameShape is not an object', () => {
+    expect(() => toSVGString('potato')).to.throw('frameShape must be of type object')
+  })
+
+  it('should return the correct markup', () => {
+    const frameShp = {
+      attributes: { fill: 'yellow' },
+      points: [{ x: 0, y: 0, moveTo: true }, { x: 10, y: 0 }]
+    }
+
+    expect(toSVGString(frameShp)).to.equal('<path d="M0,0H10" fill="yellow"/>')
+  })
+
+  it('should write passthrough Nodes in order', () => {
+    const frameShp = {
+      attributes: {},
+      childFrameShapes: [
+        { attributes: {}, points: [{ x: 0, y: 0, moveTo: true }, { x: 10, y: 0 }] }
+      ],
+      passthrough: [
+        { index: 0, node: { type: 'title', attributes: {}, childNodes: [ { text: 'Fish & chips' } ] } },
+        { index: 1, node: { type: 'stop', attributes: { offset: '1' }, childNodes: [] } }
+      ]
+    }
+
+    expect(toSVGString(frameShp)).to.equal(
+      '<g><title>Fish &amp; chips</title><path d="M0,0H10"/><stop offset="1"/></g>'
+    )
+  })
+
+  it('should return the markup of a remembered shape type', () => {
+    const frameShp = {
+      attributes: { fill: 'red' },
+      points: [{ x: 0, y: 0, moveTo: true }, { x: 10, y: 10 }],
+      shape: { type: 'line', x1: 0, y1: 0, x2: 10, y2: 10 }
+    }
+
+    expect(toSVGString(frameShp)).to.equal('<line x1="0" y1="0" x2="10" y2="10" fill="red"/>')
+  })
+
+  it('should return the correct group markup', () => {
+    expect(toSVGString(frameShp)).to.equal(
+      '<g fill="yellow">' +
+        '<path d="M0,0H10" class="potato"/>' +
+        '<g fill="red"><path d="M10,10H20"/></g>' +
+      '</g>'
+    )
+  })
+
+  it('should return the same element tree as node', () => {
+    const el = document.createElementNS('http://www.w3.org/2000/svg', 'svg')
+    el.innerHTML = toSVGString(frameShp)
+    expect(el.firstChild.isEqualNode(node(frameShp))).to.equal(true)
+  })
+
+  it('should escape attribute values', () => {
+    const frameShp = {
+      attributes: { 'data-potato': '"Tomato" & <Potato>' },
+      points: [{ x: 0, y: 0, moveTo: true }, { x: 10, y: 0 }]
+    }
+
+    expect(toSVGString(frameShp)).to.equal(
+      '<path d="M0,0H10" data-potato="&quot;Tomato&quot; &amp; &lt;Potato&gt;"/>'
+    )
+  })
+
+  it('should wrap in an svg element', () => {
+    const frameShp = {
+      attributes: {},
+      points: [{ x: 0, y: 0, moveTo: true }, { x: 10, y: 0 }]
+    }
+
+    expect(toSVGString(frameShp, { svg: true })).to.equal(
+      '<svg xmlns="http://www.w3.org/2000/svg"><path d="M0,0H10"/></svg>'
+    )
+
+    expect(toSVGString(frameShp, { svg: { viewBox: '0 0 100 100' } })).to.equal(
+      '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"><path d="M0,0H10"/></svg>'
+    )
+  })
+
+  it('should declare the xlink namespace when xlink attributes are written', () => {
+    const frameShp = {
+      attributes: {},
+      childFrameShapes: [],
+      passthrough: [ { index: 0, node: { type: 'use', attributes: { 'xlink:href': '#icon' }, childNodes: [] } } ]
+    }
+
+    const markup = toSVGString(frameShp, { svg: true })
+    const doc = new window.DOMParser().parseFromString(markup, 'image/svg+xml')
+
+    expect(markup).to.equal(
+      '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"><g><use xlink:href="#icon"/></g></svg>'
+    )
+
+    expect(doc.getElementsByTagName('parsererror').length).to.equal(0)
+    expect(doc.querySelector('use').getAttributeNS('http://www.w3.org/1999/xlink', 'href')).to.equal('#icon')
+  })
+})
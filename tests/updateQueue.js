@@ -0,0 +1,179 @@
+/* globals describe it expect */
+
+import { createUpdateQueue, node } from '../src'
+
+const frameShp = (d, attributes = {}) => ({
+  attributes,
+  points: [{ x: 0, y: 0, moveTo: true }, { x: d, y: 0 }]
+})
+
+const createClock = () => {
+  const callbacks = []
+
+  return {
+    requestFrame: callback => { callbacks.push(callback) },
+    tick: () => callbacks.splice(0).forEach(callback => callback()),
+    callbacks
+  }
+}
+
+const countWrites = el => {
+  const writes = []
+  const setAttribute = el.setAttribute.bind(el)
+
+  el.setAttribute = (name, value) => {
+    writes.push(name)
+    setAttribute(name, value)
+  }
+
+  return writes
+}
+
+describe('createUpdateQueue', () => {
+  it('should not update the Node until the next frame', () => {
+    const clock = createClock()
+    const queue = createUpdateQueue({ requestFrame: clock.requestFrame })
+    const el = node(frameShp(10))
+
+    queue.updateNode(el, frameShp(20))
+
+    expect(el.getAttribute('d')).to.equal('M0,0H10')
+
+    clock.tick()
+
+    expect(el.getAttribute('d')).to.equal('M0,0H20')
+  })
+
+  it('should request a single frame for many updates', () => {
+    const clock = createClock()
+    const queue = createUpdateQueue({ requestFrame: clock.requestFrame })
+    const a = node(frameShp(10))
+    const b = node(frameShp(10))
+
+    queue.updateNode(a, frameShp(20))
+    queue.updateNode(b, frameShp(30))
+
+    expect(clock.callbacks.length).to.equal(1)
+
+    clock.tick()
+
+    expect(a.getAttribute('d')).to.equal('M0,0H20')
+    expect(b.getAttribute('d')).to.equal('M0,0H30')
+  })
+
+  it('should write each attribute once when a Node is updated many times', () => {
+    const clock = createClock()
+    const queue = createUpdateQueue({ requestFrame: clock.requestFrame })
+    const el = node(frameShp(10))
+    const writes = countWrites(el)
+
+    queue.updateNode(el, frameShp(20, { fill: 'red' }))
+    queue.updateNode(el, frameShp(30, { fill: 'blue' }))
+    clock.tick()
+
+    expect(writes.sort()).to.eql([ 'd', 'fill' ])
+    expect(el.getAttribute('d')).to.equal('M0,0H30')
+    expect(el.getAttribute('fill')).to.equal('blue')
+  })
+
+  it('should merge updates of a group and its children', () => {
+    const clock = createClock()
+    const queue = createUpdateQueue({ requestFrame: clock.requestFrame })
+    const el = node({ attributes: {}, childFrameShapes: [ frameShp(10) ] })
+    const child = el.childNodes[ 0 ]
+    const writes = countWrites(child)
+
+    queue.updateNode(el, { attributes: {}, childFrameShapes: [ frameShp(20) ] })
+    queue.updateNode(child, frameShp(30))
+    clock.tick()
+
+    expect(writes).to.eql([ 'd' ])
+    expect(el.childNodes[ 0 ]).to.equal(child)
+    expect(child.getAttribute('d')).to.equal('M0,0H30')
+  })
+
+  it('should resolve the returned promise on flush', () => {
+    const clock = createClock()
+    const queue = createUpdateQueue({ requestFrame: clock.requestFrame })
+    const el = node(frameShp(10))
+    const promise = queue.updateNode(el, frameShp(20))
+
+    clock.tick()
+
+    return promise.then(n => {
+      expect(n).to.equal(el)
+      expect(el.getAttribute('d')).to.equal('M0,0H20')
+    })
+  })
+
+  it('should resolve the returned promise with the Node that replaced the updated Node', () => {
+    const clock = createClock()
+    const queue = createUpdateQueue({ requestFrame: clock.requestFrame })
+    const parent = node({ attributes: {}, childFrameShapes: [ frameShp(10) ] })
+    const el = parent.firstChild
+    const promise = queue.updateNode(el, { attributes: {}, childFrameShapes: [] })
+
+    clock.tick()
+
+    return promise.then(n => {
+      expect(n).to.not.equal(el)
+      expect(n.nodeName).to.equal('g')
+      expect(parent.firstChild).to.equal(n)
+    })
+  })
+
+  it('should apply queued updates immediately on flush', () => {
+    const clock = createClock()
+    const queue = createUpdateQueue({ requestFrame: clock.requestFrame })
+    const el = node(frameShp(10))
+
+    queue.updateNode(el, frameShp(20))
+    queue.flush()
+
+    expect(el.getAttribute('d')).to.equal('M0,0H20')
+  })
+
+  it('should not flush updates queued after a flush on the frame requested before it', () => {
+    const clock = createClock()
+    const queue = createUpdateQueue({ requestFrame: clock.requestFrame })
+    const el = node(frameShp(10))
+
+    queue.updateNode(el, frameShp(20))
+    queue.flush()
+    queue.updateNode(el, frameShp(30))
+
+    clock.callbacks.shift()()
+
+    expect(el.getAttribute('d')).to.equal('M0,0H20')
+
+    clock.tick()
+
+    expect(el.getAttribute('d')).to.equal('M0,0H30')
+  })
+
+  it('should throw if not passed a FrameShape', () => {
+    const queue = createUpdateQueue({ requestFrame: () => {} })
+    const el = node(frameShp(10))
+
+    expect(() => queue.updateNode(el, 'potato')).to.throw('frameShape must be of type object')
+  })
+
+  it('should reject the Promise if an update throws', () => {
+    const clock = createClock()
+    const queue = createUpdateQueue({ requestFrame: clock.requestFrame })
+    const a = node(frameShp(10))
+    const b = node({ attributes: {}, childFrameShapes: [] })
+    const promise = queue.updateNode(a, frameShp(20))
+
+    queue.updateNode(b, { attributes: {}, childFrameShapes: [ { attributes: {} } ] })
+
+    clock.tick()
+
+    return promise.then(() => {
+      throw new Error('Expected the Promise to be rejected')
+    }, err => {
+      expect(err.message).to.equal('frameShape must have either a points or childFrameShapes property')
+      expect(a.getAttribute('d')).to.equal('M0,0H10')
+    })
+  })
+})
@@ -0,0 +1,94 @@
+/* globals describe it expect */
+
+import { frameShapeFromString, validate } from '../src'
+
+const messages = frameShp => validate(frameShp).map(problem => problem.message)
+
+describe('validate', () => {
+  it('should return no problems for a valid FrameShape', () => {
+    const frameShp = frameShapeFromString(`
+      <g fill="red">
+        <circle cx="50" cy="50" r="20" />
+        <path d="M0,0Q5,10 10,0C10,5 15,5 15,0A5,5 0 0 1 25,0" />
+      </g>
+    `, { normalise: true, passthrough: true, preserveType: true })
+
+    expect(validate(frameShp)).to.eql([])
+  })
+
+  it('should report a FrameShape that is not an object', () => {
+    expect(validate('potato')).to.eql([ { message: 'frameShape must be of type object', path: '' } ])
+  })
+
+  it('should report every problem with its path', () => {
+    const frameShp = {
+      attributes: { fill: {} },
+      childFrameShapes: [
+        { attributes: {}, points: [ { x: 0, y: 0, moveTo: true }, { x: NaN, y: '5' } ] },
+        { points: [] }
+      ]
+    }
+
+    expect(validate(frameShp)).to.eql([
+      { message: 'attributes.fill must be of type string, number or colour', path: 'attributes.fill' },
+      { message: 'childFrameShapes[0].points[1].x is NaN', path: 'childFrameShapes[0].points[1].x' },
+      { message: 'childFrameShapes[0].points[1].y must be of type number', path: 'childFrameShapes[0].points[1].y' },
+      { message: 'childFrameShapes[1].attributes is missing', path: 'childFrameShapes[1].attributes' }
+    ])
+  })
+
+  it('should check curves deeply', () => {
+    const frameShp = {
+      attributes: {},
+      points: [
+        { x: 0, y: 0, moveTo: true },
+        { x: 10, y: 0, curve: { type: 'cubic', x1: 0, y1: 10, x2: Infinity } },
+        { x: 20, y: 0, curve: { type: 'arc', rx: 5, ry: 5, sweepFlag: 'yes' } },
+        { x: 30, y: 0, curve: { type: 'spline' } },
+        { x: 40, y: 0, moveTo: true, curve: { type: 'quadratic', x1: 0, y1: 0 } }
+      ]
+    }
+
+    expect(messages(frameShp)).to.eql([
+      'points[1].curve.x2 must be finite',
+      'points[1].curve.y2 is missing',
+      'points[2].curve.sweepFlag must be 0, 1 or a boolean',
+      'points[3].curve.type must be cubic, quadratic or arc',
+      'points[4].curve must not be set on a moveTo point'
+    ])
+  })
+
+  it('should quote attribute names that are not identifiers', () => {
+    expect(messages({ attributes: { 'stroke-width': NaN }, points: [] }))
+      .to.eql([ 'attributes["stroke-width"] is NaN' ])
+  })
+
+  it('should check colours', () => {
+    expect(messages({ attributes: { fill: [ 255, 0, 0 ], stroke: [ 0, 0, 'a', 1 ] }, points: [] }))
+      .to.eql([ 'attributes.fill must be a colour of four numbers', 'attributes.stroke[2] must be of type number' ])
+  })
+
+  it('should report missing or conflicting points and childFrameShapes', () => {
+    expect(messages({ attributes: {} })).to.eql([ 'frameShape must have either a points or childFrameShapes property' ])
+    expect(messages({ attributes: {}, points: [], childFrameShapes: [] }))
+      .to.eql([ 'frameShape must not have both points and childFrameShapes properties' ])
+  })
+
+  it('should check passthrough, defs, shape and compound properties', () => {
+    const frameShp = {
+      attributes: {},
+      childFrameShapes: [],
+      compound: 1,
+      defs: { grad: { type: 'linearGradient', attributes: {}, stops: [ { offset: 'a', color: 'red' } ] } },
+      passthrough: [ { index: 2, node: { type: 'title' } } ],
+      shape: { type: 'potato' }
+    }
+
+    expect(messages(frameShp)).to.eql([
+      'compound must be of type boolean',
+      'passthrough[0].index must be an integer from 0 to 0',
+      'defs.grad.stops[0].offset must be of type number',
+      'shape must be a plainShapeObject of an SVG basic shape'
+    ])
+  })
+})